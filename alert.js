@@ -1,4 +1,6 @@
 // Alert Handler Module
+const alertLog = logger.module('alert');
+
 class AlertHandler {
     constructor() {
         this.isAlertActive = false;
@@ -10,6 +12,21 @@ class AlertHandler {
         this.shakeDetection = null;
         this.alertAudioContext = null;
         this.beepInterval = null;
+
+        // Seconds to respond per severity, set by the detection profile (see profiles.js)
+        this.countdownTimes = {
+            'low': 60,
+            'medium': 30,
+            'high': 20,
+            'critical': 15
+        };
+
+        // Dismissal and feedback options from Settings (see settings.js)
+        this.options = {
+            voice: true,
+            shake: true,
+            vibration: true
+        };
     }
 
     showAlert(severity, details) {
@@ -35,10 +52,14 @@ class AlertHandler {
         this.startCountdown();
 
         // Start voice recognition
-        this.startVoiceRecognition();
+        if (this.options.voice) {
+            this.startVoiceRecognition();
+        }
 
         // Start shake detection
-        this.startShakeDetection();
+        if (this.options.shake) {
+            this.startShakeDetection();
+        }
 
         // Play alert sound
         this.playAlertSound();
@@ -49,17 +70,11 @@ class AlertHandler {
         // Vibrate device
         this.vibrateDevice();
 
-        addLog(`Alert triggered - Severity: ${severity}`, 'error');
+        alertLog.error(`Alert triggered - Severity: ${severity}`, { severity: severity });
     }
 
     getCountdownTime(severity) {
-        const times = {
-            'low': 60,
-            'medium': 30,
-            'high': 20,
-            'critical': 15
-        };
-        return times[severity] || 30;
+        return this.countdownTimes[severity] || 30;
     }
 
     updateAlertDisplay(severity, details) {
@@ -71,6 +86,26 @@ class AlertHandler {
 
         document.getElementById('alertSeverity').textContent = severityText[severity];
         document.getElementById('countdownNumber').textContent = this.countdownSeconds;
+
+        // Why the detector thinks this is a crash
+        const directionElement = document.getElementById('alertDirection');
+        if (directionElement) {
+            directionElement.textContent = details && details.crashType
+                ? `💥 ${describeCrashType(details.crashType)}`
+                : '';
+        }
+
+        const confidenceElement = document.getElementById('alertConfidence');
+        const factorsElement = document.getElementById('alertFactors');
+        const fusion = details && details.fusion;
+        if (confidenceElement) {
+            confidenceElement.textContent = fusion ? `Confidence: ${Math.round(fusion.confidence * 100)}%` : '';
+        }
+        if (factorsElement) {
+            factorsElement.innerHTML = fusion
+                ? fusionEngine.describe(fusion).map(line => `<li>${line}</li>`).join('')
+                : '';
+        }
     }
 
     async updateLocation() {
@@ -107,14 +142,14 @@ class AlertHandler {
             if (timeLeft <= 10 && timeLeft > 0) {
                 this.playUrgentBeep();
                 // Vibrate more frequently
-                if (navigator.vibrate) {
+                if (navigator.vibrate && this.options.vibration) {
                     navigator.vibrate(100);
                 }
             }
 
             // Final warning at 5 seconds
             if (timeLeft === 5) {
-                addLog('⚠️ WARNING: 5 seconds remaining!', 'error');
+                alertLog.error('WARNING: 5 seconds remaining!');
             }
 
             // Decrement time
@@ -122,7 +157,7 @@ class AlertHandler {
 
             // When time reaches zero or below, send alert
             if (timeLeft < 0) {
-                addLog('⏰ Countdown reached zero!', 'error');
+                alertLog.error('Countdown reached zero!');
                 this.clearCountdown();
                 this.sendEmergencyAlert();
                 return; // Exit to prevent further execution
@@ -137,9 +172,21 @@ class AlertHandler {
         }
     }
 
-    cancelAlert() {
-        addLog('Alert cancelled by user', 'info');
+    // method: how the user dismissed it - 'button', 'voice' or 'shake'
+    cancelAlert(method = 'button') {
+        alertLog.info(`Alert cancelled by user (${method})`, { method: method });
         
+        if (this.alertDetails.snapshot) {
+            blackBoxRecorder.setOutcome(this.alertDetails.snapshot, 'cancelled');
+        }
+        if (this.alertDetails.incidentId) {
+            incidentStore.update(this.alertDetails.incidentId, {
+                status: 'cancelled',
+                outcome: 'cancelled',
+                cancelMethod: method
+            }, { event: 'cancelled', method: method });
+        }
+
         this.clearCountdown();
         this.stopVoiceRecognition();
         this.stopShakeDetection();
@@ -184,8 +231,8 @@ class AlertHandler {
 
             for (let keyword of cancelKeywords) {
                 if (transcript.includes(keyword)) {
-                    addLog(`Voice command detected: "${transcript}"`, 'info');
-                    this.cancelAlert();
+                    alertLog.info(`Voice command detected: "${transcript}"`, { transcript: transcript });
+                    this.cancelAlert('voice');
                     break;
                 }
             }
@@ -197,7 +244,7 @@ class AlertHandler {
 
         try {
             this.voiceRecognition.start();
-            addLog('Voice recognition activated', 'info');
+            alertLog.info('Voice recognition activated');
         } catch (error) {
             console.log('Could not start voice recognition:', error);
         }
@@ -234,8 +281,8 @@ class AlertHandler {
 
             if (gForce > shakeThreshold && (currentTime - lastShakeTime) > shakeTimeout) {
                 lastShakeTime = currentTime;
-                addLog('Shake gesture detected', 'info');
-                this.cancelAlert();
+                alertLog.info('Shake gesture detected');
+                this.cancelAlert('shake');
             }
         };
 
@@ -365,13 +412,13 @@ class AlertHandler {
 
     vibrateDevice() {
         // Vibrate in a pattern: [vibrate, pause, vibrate, pause, ...]
-        if (navigator.vibrate) {
+        if (navigator.vibrate && this.options.vibration) {
             navigator.vibrate([200, 100, 200, 100, 200]);
         }
     }
 
     sendEmergencyAlert() {
-        addLog('No response from user - sending emergency alert', 'error');
+        alertLog.error('No response from user - sending emergency alert');
         
         this.clearCountdown();
         this.stopVoiceRecognition();
@@ -381,21 +428,24 @@ class AlertHandler {
 
         // Ensure emergency handler exists
         if (typeof emergencyHandler === 'undefined' || !emergencyHandler) {
-            addLog('ERROR: Emergency handler not available!', 'error');
+            alertLog.error('ERROR: Emergency handler not available!');
             alert('⚠️ Emergency system error! Please call emergency services manually.');
             return;
         }
 
         try {
             // Send emergency notification
-            addLog('Calling emergencyHandler.sendAlert...', 'info');
+            alertLog.info('Calling emergencyHandler.sendAlert...');
             emergencyHandler.sendAlert(this.currentSeverity, this.alertDetails);
-            addLog('Emergency alert sent successfully', 'info');
+            if (this.alertDetails.snapshot) {
+                blackBoxRecorder.setOutcome(this.alertDetails.snapshot, 'sent');
+            }
+            alertLog.info('Emergency alert sent successfully');
             
             // Show emergency sent screen
             this.switchScreen('emergencyScreen');
         } catch (error) {
-            addLog(`Failed to send emergency alert: ${error.message}`, 'error');
+            alertLog.error(`Failed to send emergency alert: ${error.message}`);
             alert('⚠️ Failed to send emergency alert! Please call emergency services manually.');
             console.error('Emergency send error:', error);
         }
@@ -415,18 +465,23 @@ class AlertHandler {
 // Global functions for button handlers
 function cancelAlert() {
     if (window.alertHandler) {
-        window.alertHandler.cancelAlert();
+        window.alertHandler.cancelAlert('button');
     }
 }
 
 function callEmergencyNow() {
     if (window.alertHandler) {
-        addLog('User requested immediate emergency assistance', 'error');
+        alertLog.error('User requested immediate emergency assistance');
         window.alertHandler.sendEmergencyAlert();
     }
 }
 
 function returnToDashboard() {
+    if (escalationEngine.state === 'running') {
+        if (!confirm('Stop contacting people and return to the dashboard?')) return;
+        escalationEngine.stop('closed');
+    }
+
     if (window.alertHandler) {
         window.alertHandler.switchScreen('dashboard');
     }
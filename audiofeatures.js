@@ -0,0 +1,194 @@
+// Audio Feature Extraction Module
+// Turns raw microphone frames into loudness, onset and spectral features and
+// a 0-1 score of how much the frame sounds like a collision.
+class AudioFeatureExtractor {
+    constructor(sampleRate = 44100) {
+        // dB SPL that corresponds to 0 dBFS - typical phone microphones clip around 120 dB
+        this.calibrationOffset = 120;
+
+        // Calibrated level (dB SPL) at which the loudness factor saturates
+        this.loudLevel = 100;
+        this.loudnessRange = 30;  // dB below loudLevel where the loudness factor reaches 0
+
+        // Onset detection: spectral flux above the recent average by this many deviations
+        this.onsetDeviations = 3;
+        this.minOnsetFlux = 0.2;
+        this.onsetDecay = 250;    // ms for the onset factor to fall to ~37%
+        this.fluxHistorySize = 40;
+
+        // Frequency bands (Hz)
+        this.broadbandBand = [200, 8000];
+        this.glassBand = [3000, 8000];
+
+        this.reset(sampleRate);
+    }
+
+    reset(sampleRate = this.sampleRate) {
+        this.sampleRate = sampleRate;
+        this.previousMagnitudes = null;
+        this.fluxHistory = [];
+        this.lastOnsetTime = null;
+    }
+
+    // samples: Float32Array of the time-domain frame in [-1, 1]; its length must be a power of two
+    extract(samples, timestamp = Date.now()) {
+        let sumSquares = 0;
+        let peak = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sumSquares += samples[i] * samples[i];
+            peak = Math.max(peak, Math.abs(samples[i]));
+        }
+
+        const rms = Math.sqrt(sumSquares / samples.length);
+        const dbfs = toDecibels(rms);
+        const level = dbfs + this.calibrationOffset;
+
+        const magnitudes = magnitudeSpectrum(samples);
+        const flux = this.spectralFlux(magnitudes);
+        const onset = this.detectOnset(flux, timestamp);
+
+        const broadband = this.bandIndices(this.broadbandBand, magnitudes.length);
+        const glass = this.bandIndices(this.glassBand, magnitudes.length);
+        const power = magnitudes.map(magnitude => magnitude * magnitude);
+        const totalPower = power.reduce((sum, value) => sum + value, 0);
+
+        const features = {
+            rms: rms,
+            dbfs: dbfs,
+            peakDbfs: toDecibels(peak),
+            level: level,
+            flux: flux,
+            onset: onset,
+            flatness: spectralFlatness(power.slice(broadband[0], broadband[1])),
+            glassRatio: totalPower > 0 ? sumRange(power, glass[0], glass[1]) / totalPower : 0,
+            timestamp: timestamp
+        };
+        features.crashScore = this.scoreCrash(features);
+
+        return features;
+    }
+
+    // Positive change in magnitude since the previous frame, relative to this frame's energy
+    spectralFlux(magnitudes) {
+        const previous = this.previousMagnitudes;
+        this.previousMagnitudes = magnitudes;
+        if (!previous || previous.length !== magnitudes.length) return 0;
+
+        let rise = 0;
+        let total = 0;
+        for (let i = 0; i < magnitudes.length; i++) {
+            rise += Math.max(0, magnitudes[i] - previous[i]);
+            total += magnitudes[i];
+        }
+        return total > 0 ? rise / total : 0;
+    }
+
+    detectOnset(flux, timestamp) {
+        const history = this.fluxHistory;
+        const mean = history.length > 0 ? history.reduce((sum, value) => sum + value, 0) / history.length : 0;
+        const deviation = history.length > 0
+            ? Math.sqrt(history.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / history.length)
+            : 0;
+        const threshold = Math.max(this.minOnsetFlux, mean + this.onsetDeviations * deviation);
+
+        history.push(flux);
+        if (history.length > this.fluxHistorySize) history.shift();
+
+        if (flux > threshold) {
+            this.lastOnsetTime = timestamp;
+            return true;
+        }
+        return false;
+    }
+
+    // Loud, sudden and broadband (or glass-like) sounds score high. Sustained tones such
+    // as horns, sirens or music fail the onset and flatness parts.
+    scoreCrash(features) {
+        const loudness = clamp01((features.level - (this.loudLevel - this.loudnessRange)) / this.loudnessRange);
+        const onset = this.lastOnsetTime === null
+            ? 0
+            : Math.exp(-(features.timestamp - this.lastOnsetTime) / this.onsetDecay);
+        const broadband = clamp01(features.flatness / 0.5);
+        const glass = clamp01(features.glassRatio / 0.5);
+
+        return loudness * (0.4 * onset + 0.35 * broadband + 0.25 * glass);
+    }
+
+    bandIndices([low, high], binCount) {
+        const binWidth = this.sampleRate / (2 * binCount);
+        return [Math.floor(low / binWidth), Math.ceil(high / binWidth)];
+    }
+}
+
+// Helper functions
+function toDecibels(amplitude) {
+    return amplitude > 0 ? Math.max(-100, 20 * Math.log10(amplitude)) : -100;
+}
+
+function clamp01(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+function sumRange(values, start, end) {
+    let sum = 0;
+    for (let i = start; i < Math.min(end, values.length); i++) sum += values[i];
+    return sum;
+}
+
+// Geometric over arithmetic mean of the power spectrum: ~0.56 for white noise, ~0 for a tone
+function spectralFlatness(power) {
+    if (power.length === 0) return 0;
+
+    let logSum = 0;
+    let sum = 0;
+    for (let i = 0; i < power.length; i++) {
+        logSum += Math.log(power[i] + 1e-20);
+        sum += power[i];
+    }
+    const arithmetic = sum / power.length;
+    return arithmetic > 0 ? Math.exp(logSum / power.length) / arithmetic : 0;
+}
+
+// Hann-windowed magnitude spectrum (bins 0..N/2-1) using an in-place radix-2 FFT
+function magnitudeSpectrum(samples) {
+    const n = samples.length;
+    const real = new Float64Array(n);
+    const imag = new Float64Array(n);
+    for (let i = 0; i < n; i++) {
+        real[i] = samples[i] * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1)));
+    }
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tr = real[b] * cos - imag[b] * sin;
+                const ti = real[b] * sin + imag[b] * cos;
+                real[b] = real[a] - tr;
+                imag[b] = imag[a] - ti;
+                real[a] += tr;
+                imag[a] += ti;
+            }
+        }
+    }
+
+    const magnitudes = new Array(n / 2);
+    for (let i = 0; i < n / 2; i++) {
+        magnitudes[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]) / n;
+    }
+    return magnitudes;
+}
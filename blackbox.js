@@ -0,0 +1,212 @@
+// Black Box Module
+// Keeps a rolling window of raw sensor samples and freezes it, plus a few seconds
+// after the trigger, whenever an accident alert fires.
+const blackBoxLog = logger.module('blackbox');
+
+class SampleRingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+
+    push(item) {
+        const index = (this.start + this.length) % this.capacity;
+        this.items[index] = item;
+
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            // Buffer full - overwrite the oldest sample
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    toArray() {
+        const result = [];
+        for (let i = 0; i < this.length; i++) {
+            result.push(this.items[(this.start + i) % this.capacity]);
+        }
+        return result;
+    }
+
+    since(timestamp) {
+        return this.toArray().filter(sample => sample.t >= timestamp);
+    }
+
+    clear() {
+        this.items = new Array(this.capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+}
+
+class BlackBoxRecorder {
+    constructor() {
+        this.preSeconds = 15;   // Kept before the trigger
+        this.postSeconds = 5;   // Collected after the trigger
+        this.buffer = new SampleRingBuffer(4096);
+        this.activeCaptures = [];
+
+        // Always recording while the sensors run, like a vehicle event data recorder
+        sensorManager.callbacks.push((sensorData) => this.recordSensors(sensorData));
+        audioMonitor.callbacks.push((audioData) => this.recordAudio(audioData));
+        gpsTracker.callbacks.push((position) => this.recordPosition(position));
+    }
+
+    recordSensors(sensorData) {
+        const accel = sensorData.acceleration;
+        const linear = sensorData.linearAcceleration;
+        const rotation = sensorData.rotation;
+
+        this.addSample({
+            t: sensorData.timestamp || Date.now(),
+            type: 'imu',
+            ax: roundTo(accel.x), ay: roundTo(accel.y), az: roundTo(accel.z),
+            lx: roundTo(linear.x), ly: roundTo(linear.y), lz: roundTo(linear.z),
+            g: roundTo(sensorData.impactForce),
+            jerk: roundTo(sensorData.jerk),
+            alpha: roundTo(rotation.alpha), beta: roundTo(rotation.beta), gamma: roundTo(rotation.gamma)
+        });
+    }
+
+    recordAudio(audioData) {
+        this.addSample({
+            t: audioData.timestamp || Date.now(),
+            type: 'audio',
+            level: audioData.level,
+            score: roundTo(audioData.crashScore)
+        });
+    }
+
+    recordPosition(position) {
+        if (!position) return;
+
+        this.addSample({
+            t: position.timestamp || Date.now(),
+            type: 'gps',
+            lat: position.latitude,
+            lon: position.longitude,
+            accuracy: position.accuracy
+        });
+    }
+
+    addSample(sample) {
+        // Dry-run replays leave the buffer as it was, as they leave no snapshots
+        if (accidentDetector.replaySession && accidentDetector.replaySession.dryRun) return;
+
+        this.buffer.push(sample);
+
+        // Feed captures that are still collecting post-trigger samples
+        this.activeCaptures.slice().forEach(capture => {
+            if (sample.t > capture.snapshot.triggeredAt) {
+                if (sample.t <= capture.endsAt) {
+                    capture.snapshot.samples.push(sample);
+                } else {
+                    this.finalize(capture);
+                }
+            }
+        });
+    }
+
+    // Freezes the pre-trigger window and keeps collecting for postSeconds.
+    // The returned snapshot object is filled in place and persisted once complete.
+    capture(triggeredAt, severity) {
+        const snapshot = {
+            id: `bb-${triggeredAt}`,
+            triggeredAt: triggeredAt,
+            severity: severity,
+            preSeconds: this.preSeconds,
+            postSeconds: this.postSeconds,
+            samples: this.buffer.since(triggeredAt - this.preSeconds * 1000)
+                .filter(sample => sample.t <= triggeredAt),
+            complete: false,
+            outcome: 'pending'
+        };
+
+        const capture = {
+            snapshot: snapshot,
+            endsAt: triggeredAt + this.postSeconds * 1000,
+            timer: null
+        };
+
+        // Finish even if the sensors stop reporting after the crash
+        capture.timer = setTimeout(() => this.finalize(capture), (this.postSeconds + 1) * 1000);
+        this.activeCaptures.push(capture);
+
+        blackBoxLog.info(`Black box snapshot started - ${snapshot.samples.length} pre-trigger samples`,
+            { snapshot: snapshot.id, severity: severity, samples: snapshot.samples.length });
+        return snapshot;
+    }
+
+    finalize(capture) {
+        if (!this.activeCaptures.includes(capture)) return;
+
+        clearTimeout(capture.timer);
+        this.activeCaptures = this.activeCaptures.filter(active => active !== capture);
+        capture.snapshot.complete = true;
+
+        blackBoxLog.info(`Black box snapshot saved - ${capture.snapshot.samples.length} samples`,
+            { snapshot: capture.snapshot.id, samples: capture.snapshot.samples.length });
+        this.persist(capture.snapshot);
+    }
+
+    setOutcome(snapshot, outcome) {
+        snapshot.outcome = outcome;
+        if (snapshot.complete) {
+            this.persist(snapshot);
+        }
+    }
+
+    persist(snapshot) {
+        return localDB.put('snapshots', snapshot).catch((error) => {
+            blackBoxLog.error(`Could not save black box snapshot: ${error.message}`, { snapshot: snapshot.id });
+        });
+    }
+
+    async getSnapshots() {
+        const snapshots = await localDB.getAll('snapshots');
+        return snapshots.sort((a, b) => b.triggeredAt - a.triggeredAt);
+    }
+
+    deleteSnapshot(id) {
+        return localDB.delete('snapshots', id);
+    }
+}
+
+// Helper functions
+function roundTo(value, digits = 3) {
+    if (typeof value !== 'number' || !isFinite(value)) return value;
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+// Global functions for button handlers
+async function renderBlackBoxList() {
+    const container = document.getElementById('blackBoxList');
+    if (!container) return;
+
+    const snapshots = await blackBoxRecorder.getSnapshots();
+    if (snapshots.length === 0) {
+        container.innerHTML = '<p style="color: #6b7280;">No recordings yet</p>';
+        return;
+    }
+
+    container.innerHTML = snapshots.map(snapshot => `
+        <div class="sensor-item">
+            <span>${new Date(snapshot.triggeredAt).toLocaleString()} - ${snapshot.severity} (${snapshot.outcome}), ${snapshot.samples.length} samples</span>
+            <button class="btn-small" onclick="downloadBlackBox('${snapshot.id}')">⬇️</button>
+        </div>
+    `).join('');
+}
+
+async function downloadBlackBox(id) {
+    const snapshot = await localDB.get('snapshots', id);
+    if (snapshot) {
+        downloadFile(`blackbox-${snapshot.triggeredAt}.json`, JSON.stringify(snapshot, null, 2), 'application/json');
+    }
+}
+
+// Create global instance
+const blackBoxRecorder = new BlackBoxRecorder();
@@ -0,0 +1,260 @@
+// Calibration Learning Module
+// Learns how hard normal driving shakes the phone in its mount - potholes, speed bumps,
+// hard braking - and derives the impact threshold for that mount from the recorded drives.
+const CALIBRATION_BIN_WIDTH = 0.05;  // g per histogram bin
+const CALIBRATION_BIN_COUNT = 320;   // Peaks above 16g land in the last bin
+const calibrationLog = logger.module('calibration');
+
+class CalibrationLearner {
+    constructor() {
+        this.isLearning = false;
+        this.drive = null;
+        this.currentPeak = 0;
+
+        this.peakFloor = 0.3;            // g - below this the phone is just riding along
+        this.minDriveDuration = 300000;  // ms - shorter drives are discarded
+        this.minDrives = 3;
+        this.minBumps = 30;              // Across all drives, so one quiet road is not enough
+        this.percentile = 99;
+        this.margin = 1.5;               // g above the percentile peak
+
+        sensorManager.callbacks.push((sensorData) => this.recordSensors(sensorData));
+    }
+
+    start(mount = settingsManager.get('mount')) {
+        if (this.isLearning) {
+            calibrationLog.info('Calibration drive already being recorded');
+            return;
+        }
+
+        this.drive = {
+            id: `drive-${Date.now()}`,
+            mount: mount,
+            startedAt: Date.now(),
+            duration: 0,
+            bumps: 0,
+            maxPeak: 0,
+            histogram: new Array(CALIBRATION_BIN_COUNT).fill(0)
+        };
+        this.currentPeak = 0;
+        this.isLearning = true;
+
+        if (!sensorManager.isMonitoring) {
+            calibrationLog.warning('Sensors are not running - start monitoring so the drive gets recorded');
+        }
+
+        calibrationLog.info(`Calibration drive started - ${MOUNT_POSITIONS[mount].name}`, { drive: this.drive.id, mount: mount });
+    }
+
+    // Resolves to the saved drive, or null when it was too short to keep
+    async stop() {
+        if (!this.isLearning) return null;
+
+        this.closePeak();
+        this.isLearning = false;
+        const drive = this.drive;
+        this.drive = null;
+        drive.duration = Date.now() - drive.startedAt;
+
+        if (drive.duration < this.minDriveDuration) {
+            calibrationLog.warning(`Calibration drive discarded - shorter than ${this.minDriveDuration / 60000} minutes`,
+                { drive: drive.id, duration: drive.duration, minDuration: this.minDriveDuration });
+            return null;
+        }
+
+        try {
+            await localDB.put('drives', drive);
+        } catch (error) {
+            calibrationLog.error(`Could not save calibration drive: ${error.message}`, { drive: drive.id });
+            return null;
+        }
+
+        calibrationLog.info(`Calibration drive saved - ${drive.bumps} bumps, max ${drive.maxPeak.toFixed(2)}g`, {
+            drive: drive.id,
+            mount: drive.mount,
+            duration: drive.duration,
+            bumps: drive.bumps,
+            g: drive.maxPeak
+        });
+        return drive;
+    }
+
+    recordSensors(sensorData) {
+        if (!this.isLearning || sensorData.eventType !== 'motion') return;
+
+        // Handling the phone while parked (clipping it into the mount) is not road data
+        const speed = gpsTracker.getSpeed(sensorData.timestamp);
+        if (speed !== null && speed < accidentDetector.detectionThresholds.stoppedSpeed) {
+            this.currentPeak = 0;
+            return;
+        }
+
+        if (sensorData.impactForce >= this.peakFloor) {
+            this.currentPeak = Math.max(this.currentPeak, sensorData.impactForce);
+        } else {
+            this.closePeak();
+        }
+    }
+
+    // A bump ends when the reading falls back below the floor; only its peak is kept
+    closePeak() {
+        if (this.currentPeak === 0) return;
+
+        const bin = Math.min(CALIBRATION_BIN_COUNT - 1, Math.floor(this.currentPeak / CALIBRATION_BIN_WIDTH));
+        this.drive.histogram[bin]++;
+        this.drive.bumps++;
+        this.drive.maxPeak = Math.max(this.drive.maxPeak, this.currentPeak);
+        this.currentPeak = 0;
+    }
+
+    async getDrives(mount = settingsManager.get('mount')) {
+        const drives = await localDB.getAll('drives');
+        return drives
+            .filter(drive => drive.mount === mount)
+            .sort((a, b) => a.startedAt - b.startedAt);
+    }
+
+    // Threshold a margin above the chosen percentile of bump peaks, rounded up to the
+    // Settings slider step. Null until there are enough drives and bumps to trust.
+    derive(drives) {
+        const histogram = new Array(CALIBRATION_BIN_COUNT).fill(0);
+        drives.forEach(drive => {
+            drive.histogram.forEach((count, bin) => {
+                histogram[bin] += count;
+            });
+        });
+
+        const bumps = histogram.reduce((sum, count) => sum + count, 0);
+        if (drives.length < this.minDrives || bumps < this.minBumps) return null;
+
+        const peak = histogramPercentile(histogram, this.percentile);
+        const field = SETTINGS_SCHEMA.impactThreshold;
+        const threshold = Math.ceil((peak + this.margin) / field.step) * field.step;
+
+        return {
+            impactThreshold: Math.min(field.max, Math.max(field.min, threshold)),
+            percentile: this.percentile,
+            percentilePeak: roundTo(peak, 2),
+            margin: this.margin,
+            drives: drives.length,
+            bumps: bumps,
+            maxPeak: roundTo(Math.max(...drives.map(drive => drive.maxPeak)), 2),
+            derivedAt: Date.now()
+        };
+    }
+
+    // Derives and stores the threshold for the current mount. Resolves to what changed,
+    // or null while more drives are needed.
+    async calibrate() {
+        const mount = settingsManager.get('mount');
+        const calibration = this.derive(await this.getDrives(mount));
+        if (!calibration) return null;
+
+        const before = settingsManager.get('impactThreshold');
+        settingsManager.update({
+            calibrations: Object.assign({}, settingsManager.get('calibrations'), { [mount]: calibration }),
+            impactThreshold: calibration.impactThreshold
+        });
+
+        const change = { mount: mount, before: before, after: calibration.impactThreshold, calibration: calibration };
+        calibrationLog.info(`Calibrated ${MOUNT_POSITIONS[mount].name}: impact threshold ` +
+            `${before.toFixed(1)}g → ${change.after.toFixed(1)}g`, { mount: mount, before: before, after: change.after });
+        return change;
+    }
+
+    // Forgets the drives and learned threshold for the current mount; the profile's own
+    // threshold takes over again
+    async clear() {
+        const mount = settingsManager.get('mount');
+        const drives = await this.getDrives(mount);
+        await Promise.all(drives.map(drive => localDB.delete('drives', drive.id)));
+
+        const calibrations = Object.assign({}, settingsManager.get('calibrations'));
+        delete calibrations[mount];
+        settingsManager.update({
+            calibrations: calibrations,
+            impactThreshold: DETECTION_PROFILES[settingsManager.get('profile')].impactThreshold
+        });
+
+        calibrationLog.info(`Calibration cleared for ${MOUNT_POSITIONS[mount].name}`, { mount: mount, drives: drives.length });
+    }
+
+    describeChange(change) {
+        const c = change.calibration;
+        return `${MOUNT_POSITIONS[change.mount].name}: impact threshold ${change.before.toFixed(1)}g → ` +
+            `${change.after.toFixed(1)}g (${c.percentile}th percentile of ${c.bumps} bumps over ` +
+            `${c.drives} drives was ${c.percentilePeak.toFixed(2)}g, plus ${c.margin}g margin)`;
+    }
+}
+
+// Helper functions
+// Upper edge of the bin holding the nearest-rank percentile
+function histogramPercentile(histogram, percentile) {
+    const total = histogram.reduce((sum, count) => sum + count, 0);
+    const rank = Math.max(1, Math.ceil(percentile / 100 * total));
+
+    let seen = 0;
+    for (let bin = 0; bin < histogram.length; bin++) {
+        seen += histogram[bin];
+        if (seen >= rank) return (bin + 1) * CALIBRATION_BIN_WIDTH;
+    }
+    return histogram.length * CALIBRATION_BIN_WIDTH;
+}
+
+// Global functions for button handlers
+async function toggleCalibrationDrive() {
+    const button = document.getElementById('calibrationBtn');
+
+    if (calibrationLearner.isLearning) {
+        if (button) button.textContent = '📏 Start Learning Drive';
+        const drive = await calibrationLearner.stop();
+        if (drive) {
+            const change = await calibrationLearner.calibrate();
+            const result = document.getElementById('calibrationResult');
+            if (change && result) result.textContent = calibrationLearner.describeChange(change);
+        }
+        renderCalibrationStatus();
+    } else {
+        calibrationLearner.start();
+        if (button) button.textContent = '⏹️ Finish Drive';
+        renderCalibrationStatus();
+    }
+}
+
+async function clearCalibration() {
+    if (!confirm('Forget the recorded drives and learned threshold for this mount?')) return;
+
+    await calibrationLearner.clear();
+    const result = document.getElementById('calibrationResult');
+    if (result) result.textContent = '';
+    renderCalibrationStatus();
+}
+
+async function renderCalibrationStatus() {
+    const status = document.getElementById('calibrationStatus');
+    if (!status) return;
+
+    const mount = settingsManager.get('mount');
+    const learned = settingsManager.get('calibrations')[mount];
+    const drives = await calibrationLearner.getDrives(mount);
+    const bumps = drives.reduce((sum, drive) => sum + drive.bumps, 0);
+
+    if (calibrationLearner.isLearning) {
+        status.textContent = 'Recording - drive normally and press Finish Drive when you arrive';
+    } else if (learned) {
+        status.textContent = `Learned ${learned.impactThreshold.toFixed(1)}g from ${drives.length} drives (${bumps} bumps)`;
+    } else {
+        status.textContent = `${drives.length} of ${calibrationLearner.minDrives} drives recorded (${bumps} bumps) - ` +
+            'using the profile threshold';
+    }
+}
+
+// Create global instance
+const calibrationLearner = new CalibrationLearner();
+
+window.addEventListener('load', () => {
+    settingsManager.callbacks.push((changed) => {
+        if (changed.includes('mount')) renderCalibrationStatus();
+    });
+    renderCalibrationStatus();
+});
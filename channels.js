@@ -0,0 +1,321 @@
+// Notification Channels Module
+// Every way an alert can leave the device - URI schemes that hand the message to another
+// app, browser APIs and HTTP - behind one interface. Each channel declares what it can do
+// and returns a typed result; EmergencyHandler only picks channels and reports results.
+const CHANNELS_STORAGE_KEY = 'vadChannels';
+const channelLog = logger.module('channels');
+
+// sent: delivered without the user's help, opened: handed to another app to finish,
+// failed: tried and errored, unsupported: not available here, not configured or disabled
+const CHANNEL_RESULTS = ['sent', 'opened', 'failed', 'unsupported'];
+
+class ChannelRegistry {
+    constructor() {
+        this.channels = new Map();
+        this.enabled = {};     // Per-user switches - channels are on unless turned off
+        this.config = {};      // Per-channel options, e.g. { webhook: { url, authHeader, authValue } }
+        this.callbacks = [];
+    }
+
+    // channel: {
+    //   id, label, icon, description,
+    //   capabilities: { recipient: 'phone' | 'email' | null, automatic, location },
+    //   isSupported(request) -> boolean, send(request) -> status or { status, detail }
+    // }
+    // recipient null means the channel reaches no one in particular and is broadcast once per alert
+    register(channel) {
+        if (!channel.id || typeof channel.send !== 'function') {
+            throw new Error('A channel needs an id and a send function');
+        }
+
+        const registered = Object.assign({
+            label: channel.id,
+            icon: '📣',
+            description: '',
+            isSupported: () => true
+        }, channel);
+        registered.capabilities = Object.assign({ recipient: null, automatic: false, location: false }, channel.capabilities);
+
+        this.channels.set(channel.id, registered);
+        return registered;
+    }
+
+    get(id) {
+        return this.channels.get(id) || null;
+    }
+
+    list() {
+        return Array.from(this.channels.values());
+    }
+
+    // Channels addressed to a person - the ones a contact can pick
+    addressable() {
+        return this.list().filter(channel => channel.capabilities.recipient).map(channel => channel.id);
+    }
+
+    // Enabled channels that reach no one in particular
+    broadcasts() {
+        return this.list()
+            .filter(channel => !channel.capabilities.recipient && this.isEnabled(channel.id))
+            .map(channel => channel.id);
+    }
+
+    load() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(CHANNELS_STORAGE_KEY) || '{}') || {};
+        } catch (error) {
+            channelLog.warning('Stored channel settings are corrupt - using defaults');
+        }
+
+        this.enabled = Object.assign({}, stored.enabled);
+        this.config = Object.assign({}, stored.config);
+    }
+
+    save() {
+        localStorage.setItem(CHANNELS_STORAGE_KEY, JSON.stringify({ enabled: this.enabled, config: this.config }));
+        this.callbacks.forEach(callback => callback());
+    }
+
+    isEnabled(id) {
+        return this.enabled[id] !== false;
+    }
+
+    setEnabled(id, enabled) {
+        if (!this.get(id)) {
+            throw new Error(`Unknown channel ${id}`);
+        }
+
+        this.enabled[id] = Boolean(enabled);
+        this.save();
+        channelLog.info(`Channel ${id} ${enabled ? 'enabled' : 'disabled'}`, { channel: id });
+    }
+
+    getConfig(id) {
+        return Object.assign({}, this.config[id]);
+    }
+
+    configure(id, config) {
+        if (!this.get(id)) {
+            throw new Error(`Unknown channel ${id}`);
+        }
+
+        this.config[id] = Object.assign({}, this.config[id], config);
+        this.save();
+    }
+
+    isSupported(id, request = {}) {
+        const channel = this.get(id);
+        if (!channel) return false;
+
+        try {
+            return Boolean(channel.isSupported(request));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // request: { recipient: { kind, name, phone, email } | null, message, location, subject,
+    //            alert: { incidentId, severity, details } }
+    // Resolves to { channel, label, status, detail } - never rejects
+    async send(id, request) {
+        const channel = this.get(id);
+        const result = (status, detail = '') => ({
+            channel: id,
+            label: channel ? channel.label : id,
+            status: status,
+            detail: detail
+        });
+
+        const unsupported = (detail) => {
+            channelLog.debug(`${channel ? channel.label : id} skipped - ${detail}`, { channel: id });
+            return result('unsupported', detail);
+        };
+
+        if (!channel) return unsupported('unknown channel');
+        if (!this.isEnabled(id)) return unsupported('disabled');
+
+        const needs = channel.capabilities.recipient;
+        if (needs && !(request.recipient && request.recipient[needs])) {
+            return unsupported(`no ${needs}`);
+        }
+        if (!this.isSupported(id, request)) {
+            return unsupported('not available');
+        }
+
+        let outcome;
+        try {
+            outcome = await channel.send(request);
+        } catch (error) {
+            channelLog.error(`${channel.label} failed: ${error.message}`, { channel: id });
+            return result('failed', error.message);
+        }
+
+        const status = typeof outcome === 'string' ? outcome : outcome && outcome.status;
+        if (!CHANNEL_RESULTS.includes(status)) {
+            channelLog.error(`${channel.label} returned an unknown result: ${status}`, { channel: id });
+            return result('failed', `unknown result ${status}`);
+        }
+
+        channelLog.info(`${channel.label}: ${status}`, {
+            channel: id,
+            to: request.recipient ? request.recipient.name : null
+        });
+        return result(status, outcome.detail || '');
+    }
+}
+
+// Helper functions
+function mapsLinkFor(location) {
+    return location && !location.unavailable
+        ? gpsTracker.getGoogleMapsUrl(location.latitude, location.longitude)
+        : '';
+}
+
+// Global functions for button handlers
+function renderChannels() {
+    const container = document.getElementById('channelList');
+    if (!container) return;
+
+    container.innerHTML = channelRegistry.list().map(channel => {
+        const available = channelRegistry.isSupported(channel.id, { recipient: null });
+        const reaches = {
+            phone: 'Contacts with a phone number',
+            email: 'Contacts with an email address'
+        }[channel.capabilities.recipient] || 'Every alert';
+        return `
+            <div class="sensor-item channel-item">
+                <span>
+                    <strong>${channel.icon} ${escapeHtml(channel.label)}</strong><br>
+                    <small>${escapeHtml(channel.description)} · ${reaches}` +
+                    `${channel.capabilities.automatic ? ' · automatic' : ''}` +
+                    `${!channel.capabilities.recipient && !available ? ' · not available' : ''}</small>
+                </span>
+                <input type="checkbox" id="channelEnabled-${channel.id}"` +
+                    `${channelRegistry.isEnabled(channel.id) ? ' checked' : ''} onchange="toggleChannel('${channel.id}', this.checked)">
+            </div>
+        `;
+    }).join('');
+}
+
+function toggleChannel(id, enabled) {
+    channelRegistry.setEnabled(id, enabled);
+}
+
+// Create global instance with the built-in channels
+const channelRegistry = new ChannelRegistry();
+
+channelRegistry.register({
+    id: 'sms',
+    label: 'SMS',
+    icon: '💬',
+    description: 'Opens the messaging app with the alert filled in',
+    capabilities: { recipient: 'phone', automatic: false, location: true },
+    send: (request) => {
+        emergencyHandler.openLink(`sms:${request.recipient.phone}?body=${encodeURIComponent(request.message)}`);
+        return 'opened';
+    }
+});
+
+channelRegistry.register({
+    id: 'call',
+    label: 'Call',
+    icon: '📞',
+    description: 'Opens the dialer - or dials straight away for the emergency number with Auto-Dial on',
+    capabilities: { recipient: 'phone', automatic: false, location: false },
+    send: (request) => {
+        const autoDial = request.recipient.kind === 'emergency' && localStorage.getItem('enableAutoCall') === 'true';
+        emergencyHandler.initiateCall(request.recipient.phone, autoDial);
+        return { status: 'opened', detail: autoDial ? 'auto-dialed' : '' };
+    }
+});
+
+channelRegistry.register({
+    id: 'whatsapp',
+    label: 'WhatsApp',
+    icon: '🟢',
+    description: 'Opens WhatsApp with the alert filled in',
+    capabilities: { recipient: 'phone', automatic: false, location: true },
+    send: (request) => {
+        // WhatsApp wants the number with country code and no + or spaces
+        const cleanNumber = request.recipient.phone.replace(/[^0-9]/g, '');
+        window.open(`https://wa.me/${cleanNumber}?text=${encodeURIComponent(request.message)}`, '_blank');
+        return 'opened';
+    }
+});
+
+channelRegistry.register({
+    id: 'email',
+    label: 'Email',
+    icon: '✉️',
+    description: 'Opens the mail app with the alert filled in',
+    capabilities: { recipient: 'email', automatic: false, location: true },
+    send: (request) => {
+        const subject = request.subject || '🚨 EMERGENCY ALERT';
+        const link = mapsLinkFor(request.location);
+        const body = request.message + (link ? `\n\nLocation: ${link}` : '');
+        window.open(`mailto:${request.recipient.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`, '_blank');
+        return 'opened';
+    }
+});
+
+channelRegistry.register({
+    id: 'share',
+    label: 'Web Share',
+    icon: '📤',
+    description: 'Offers the alert to any app through the share sheet',
+    capabilities: { recipient: null, automatic: false, location: true },
+    isSupported: () => typeof navigator.share === 'function',
+    send: async (request) => {
+        await navigator.share({
+            title: request.subject || '🚨 EMERGENCY ALERT',
+            text: request.message,
+            url: mapsLinkFor(request.location) || undefined
+        });
+        return 'opened';
+    }
+});
+
+channelRegistry.register({
+    id: 'notification',
+    label: 'Notification',
+    icon: '🔔',
+    description: 'System notification - tapping an alert calls the emergency number',
+    capabilities: { recipient: null, automatic: true, location: false },
+    isSupported: () => 'Notification' in window,
+    send: (request) => {
+        if (Notification.permission !== 'granted') {
+            return { status: 'unsupported', detail: 'permission not granted' };
+        }
+
+        // Only the alert itself offers the call - follow-ups just bring the app forward
+        const type = request.type || 'emergency';
+        const emergencyNumber = emergencyHandler.getEmergencyNumber();
+        const body = type === 'emergency'
+            ? `Tap to call ${emergencyNumber}\n\n${request.message}`
+            : request.message;
+        const notification = new Notification(request.subject || '🚨 EMERGENCY ALERT', {
+            body: body,
+            icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><circle cx="50" cy="50" r="40" fill="%23ef4444"/><text x="50" y="65" font-size="50" text-anchor="middle" fill="white">⚠</text></svg>',
+            badge: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><circle cx="50" cy="50" r="40" fill="%23ef4444"/></svg>',
+            tag: type === 'emergency' ? 'emergency-alert' : `emergency-${type}`,
+            requireInteraction: type === 'emergency',
+            vibrate: [200, 100, 200, 100, 200]
+        });
+
+        notification.onclick = () => {
+            window.focus();
+            if (type === 'emergency') {
+                emergencyHandler.initiateCall(emergencyNumber, false);
+            }
+        };
+        return 'sent';
+    }
+});
+
+channelRegistry.load();
+
+window.addEventListener('load', () => {
+    channelRegistry.callbacks.push(() => renderChannels());
+    renderChannels();
+});
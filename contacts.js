@@ -0,0 +1,306 @@
+// Emergency Contacts Module
+// Personal contacts told about an emergency alongside the emergency number. Each contact
+// picks the channels to be reached on - any channelRegistry channel addressed to a phone
+// number or email - and the severities worth waking them up for.
+const CONTACTS_STORAGE_KEY = 'vadContacts';
+const contactLog = logger.module('contacts');
+
+// Severities that raise an alert - lower ones never reach sendAlert
+const CONTACT_SEVERITIES = ['medium', 'high', 'critical'];
+
+class ContactManager {
+    constructor() {
+        this.contacts = [];
+        this.callbacks = [];
+        this.nextId = 1;
+    }
+
+    // Returns the normalized contact or throws if it can't be reached as configured
+    validate(contact) {
+        const name = String(contact.name || '').trim();
+        const phone = String(contact.phone || '').trim();
+        const email = String(contact.email || '').trim();
+        const channels = Array.isArray(contact.channels) ? contact.channels : ['sms'];
+        const severities = Array.isArray(contact.severities) ? contact.severities : CONTACT_SEVERITIES;
+
+        if (!name) {
+            throw new Error('Contact needs a name');
+        }
+        if (phone && !/^\+?[0-9 ()-]{3,20}$/.test(phone)) {
+            throw new Error(`${name}: phone number is not valid`);
+        }
+        if (email && !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+            throw new Error(`${name}: email address is not valid`);
+        }
+        if (channels.length === 0) {
+            throw new Error(`${name}: pick at least one channel`);
+        }
+        channels.forEach(channel => {
+            const definition = channelRegistry.get(channel);
+            if (!definition || !definition.capabilities.recipient) {
+                throw new Error(`${name}: unknown channel ${channel}`);
+            }
+            if (definition.capabilities.recipient === 'phone' && !phone) {
+                throw new Error(`${name}: ${definition.label} needs a phone number`);
+            }
+            if (definition.capabilities.recipient === 'email' && !email) {
+                throw new Error(`${name}: ${definition.label} needs an email address`);
+            }
+        });
+        severities.forEach(severity => {
+            if (!CONTACT_SEVERITIES.includes(severity)) {
+                throw new Error(`${name}: unknown severity ${severity}`);
+            }
+        });
+
+        return {
+            id: contact.id || `contact-${Date.now()}-${this.nextId++}`,
+            name: name,
+            relationship: String(contact.relationship || '').trim(),
+            phone: phone,
+            email: email,
+            channels: channelRegistry.addressable().filter(channel => channels.includes(channel)),
+            severities: CONTACT_SEVERITIES.filter(severity => severities.includes(severity)),
+            priority: typeof contact.priority === 'number' ? contact.priority : this.contacts.length + 1
+        };
+    }
+
+    // Reads stored contacts, dropping any that no longer validate
+    load() {
+        let stored = [];
+        try {
+            stored = JSON.parse(localStorage.getItem(CONTACTS_STORAGE_KEY) || '[]') || [];
+        } catch (error) {
+            contactLog.warning('Stored contacts are corrupt - starting with none', { error: error.message });
+        }
+
+        this.contacts = [];
+        (Array.isArray(stored) ? stored : []).forEach(contact => {
+            try {
+                this.contacts.push(this.validate(contact));
+            } catch (error) {
+                contactLog.warning(`Ignoring stored contact - ${error.message}`, { name: contact && contact.name });
+            }
+        });
+        this.renumber();
+        return this.getAll();
+    }
+
+    save() {
+        localStorage.setItem(CONTACTS_STORAGE_KEY, JSON.stringify(this.contacts));
+        this.callbacks.forEach(callback => callback(this.getAll()));
+    }
+
+    // Sorted by priority, 1 first
+    getAll() {
+        return this.contacts
+            .slice()
+            .sort((a, b) => a.priority - b.priority)
+            .map(contact => JSON.parse(JSON.stringify(contact)));
+    }
+
+    get(id) {
+        return this.getAll().find(contact => contact.id === id) || null;
+    }
+
+    // Contacts to notify for an alert of this severity, in priority order
+    forSeverity(severity) {
+        return this.getAll().filter(contact => contact.severities.includes(severity));
+    }
+
+    add(contact) {
+        const added = this.validate(Object.assign({}, contact, { id: null, priority: this.contacts.length + 1 }));
+        this.contacts.push(added);
+        this.save();
+        contactLog.info(`Emergency contact added: ${added.name}`, {
+            contact: added.id,
+            priority: added.priority,
+            channels: added.channels,
+            severities: added.severities
+        });
+        return added;
+    }
+
+    update(id, changes) {
+        const index = this.contacts.findIndex(contact => contact.id === id);
+        if (index === -1) {
+            throw new Error(`Unknown contact ${id}`);
+        }
+
+        const updated = this.validate(Object.assign({}, this.contacts[index], changes, {
+            id: id,
+            priority: this.contacts[index].priority
+        }));
+        this.contacts[index] = updated;
+        this.save();
+        return updated;
+    }
+
+    remove(id) {
+        const contact = this.contacts.find(entry => entry.id === id);
+        if (!contact) return false;
+
+        this.contacts = this.contacts.filter(entry => entry.id !== id);
+        this.renumber();
+        this.save();
+        contactLog.info(`Emergency contact removed: ${contact.name}`, { contact: contact.id });
+        return true;
+    }
+
+    // offset: -1 moves the contact up the list (earlier), +1 down
+    move(id, offset) {
+        const ordered = this.contacts.slice().sort((a, b) => a.priority - b.priority);
+        const index = ordered.findIndex(contact => contact.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= ordered.length) return false;
+
+        [ordered[index], ordered[target]] = [ordered[target], ordered[index]];
+        ordered.forEach((contact, position) => {
+            contact.priority = position + 1;
+        });
+        this.contacts = ordered;
+        this.save();
+        return true;
+    }
+
+    renumber() {
+        this.contacts.sort((a, b) => a.priority - b.priority);
+        this.contacts.forEach((contact, index) => {
+            contact.priority = index + 1;
+        });
+    }
+}
+
+// Global functions for button handlers
+let editingContactId = null;
+
+function renderContacts() {
+    const container = document.getElementById('contactList');
+    if (!container) return;
+
+    const contacts = contactManager.getAll();
+    if (contacts.length === 0) {
+        container.innerHTML = '<p style="color: #6b7280;">No personal contacts yet - only the emergency number is alerted</p>';
+        return;
+    }
+
+    container.innerHTML = contacts.map((contact, index) => `
+        <div class="sensor-item contact-item">
+            <span>
+                <strong>${index + 1}. ${escapeHtml(contact.name)}</strong>
+                ${contact.relationship ? ` (${escapeHtml(contact.relationship)})` : ''}<br>
+                ${contact.channels.map(channel => channelRegistry.get(channel).icon).join(' ')}
+                · ${contact.severities.join(', ')}
+            </span>
+            <span>
+                <button class="btn-small" onclick="moveContact('${contact.id}', -1)"${index === 0 ? ' disabled' : ''}>↑</button>
+                <button class="btn-small" onclick="moveContact('${contact.id}', 1)"${index === contacts.length - 1 ? ' disabled' : ''}>↓</button>
+                <button class="btn-small" onclick="editContact('${contact.id}')">✏️</button>
+                <button class="btn-small" onclick="removeContact('${contact.id}')">🗑️</button>
+            </span>
+        </div>
+    `).join('');
+}
+
+// One checkbox per channel a contact can be reached on
+function renderContactChannelOptions() {
+    const container = document.getElementById('contactChannelOptions');
+    if (!container) return;
+
+    container.innerHTML = '<strong>Channels</strong>' + channelRegistry.addressable().map(id => {
+        const channel = channelRegistry.get(id);
+        return `<label><input type="checkbox" id="contactChannel-${id}"> ${channel.icon} ${escapeHtml(channel.label)}</label>`;
+    }).join('');
+}
+
+function readContactForm() {
+    const value = id => {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    };
+    const checked = (prefix, keys) => keys.filter(key => {
+        const element = document.getElementById(`${prefix}${key}`);
+        return element && element.checked;
+    });
+
+    return {
+        name: value('contactName'),
+        relationship: value('contactRelationship'),
+        phone: value('contactPhone'),
+        email: value('contactEmail'),
+        channels: checked('contactChannel-', channelRegistry.addressable()),
+        severities: checked('contactSeverity-', CONTACT_SEVERITIES)
+    };
+}
+
+function fillContactForm(contact) {
+    const set = (id, value) => {
+        const element = document.getElementById(id);
+        if (element) element.value = value;
+    };
+    const check = (prefix, keys, selected) => keys.forEach(key => {
+        const element = document.getElementById(`${prefix}${key}`);
+        if (element) element.checked = selected.includes(key);
+    });
+
+    set('contactName', contact ? contact.name : '');
+    set('contactRelationship', contact ? contact.relationship : '');
+    set('contactPhone', contact ? contact.phone : '');
+    set('contactEmail', contact ? contact.email : '');
+    check('contactChannel-', channelRegistry.addressable(), contact ? contact.channels : ['sms', 'call']);
+    check('contactSeverity-', CONTACT_SEVERITIES, contact ? contact.severities : CONTACT_SEVERITIES);
+
+    const button = document.getElementById('saveContactBtn');
+    if (button) button.textContent = contact ? '💾 Update Contact' : '➕ Add Contact';
+}
+
+function saveContactForm() {
+    try {
+        if (editingContactId) {
+            contactManager.update(editingContactId, readContactForm());
+        } else {
+            contactManager.add(readContactForm());
+        }
+        editingContactId = null;
+        fillContactForm(null);
+    } catch (error) {
+        contactLog.error(`Could not save contact: ${error.message}`, { contact: editingContactId });
+        alert(error.message);
+    }
+}
+
+function editContact(id) {
+    const contact = contactManager.get(id);
+    if (!contact) return;
+
+    editingContactId = id;
+    fillContactForm(contact);
+}
+
+function cancelContactEdit() {
+    editingContactId = null;
+    fillContactForm(null);
+}
+
+function removeContact(id) {
+    const contact = contactManager.get(id);
+    if (!contact || !confirm(`Remove ${contact.name} from your emergency contacts?`)) return;
+
+    contactManager.remove(id);
+    if (editingContactId === id) cancelContactEdit();
+}
+
+function moveContact(id, offset) {
+    contactManager.move(id, offset);
+}
+
+// Create global instance and load the stored contacts straight away
+const contactManager = new ContactManager();
+contactManager.load();
+
+window.addEventListener('load', () => {
+    contactManager.callbacks.push(() => renderContacts());
+    renderContactChannelOptions();
+    renderContacts();
+    fillContactForm(null);
+});
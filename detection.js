@@ -1,28 +1,102 @@
 // Accident Detection Algorithm
+const detectionLog = logger.module('detection');
+const SEVERITY_LEVELS = ['none', 'low', 'medium', 'high', 'critical'];
+const CRASH_TYPE_LABELS = {
+    frontal: 'Frontal collision',
+    'rear-end': 'Rear-end collision',
+    side: 'Side impact',
+    rollover: 'Rollover',
+    fall: 'Fall / ejection',
+    unknown: 'Unclassified impact'
+};
+
 class AccidentDetector {
     constructor() {
         this.isActive = false;
         this.detectionThresholds = {
-            // Impact force thresholds (in g-force)
+            // Impact force thresholds (linear g-force above gravity)
             lowImpact: 2.5,      // 2.5g - minor bump
             mediumImpact: 4.0,   // 4.0g - moderate impact
             highImpact: 6.0,     // 6.0g - severe impact
             criticalImpact: 8.0, // 8.0g - critical impact
 
-            // Sound level thresholds (approximate dB)
-            crashSoundLevel: 100,  // Loud crash/collision sound
+            // Crash likelihood from AudioFeatureExtractor (0-1)
+            crashAudioScore: 0.6,
             
             // Rotation thresholds (degrees per check)
             suddenRotation: 45,
 
+            // Rollover: cumulative roll/pitch within a window, then the device has to
+            // stay tilted away from its calibrated orientation
+            rolloverRotation: 90,     // degrees of roll or pitch...
+            rolloverWindow: 3000,     // ...within this many ms
+            rolloverTilt: 60,         // degrees from baseline = on its side
+            upsideDownTilt: 135,      // degrees from baseline = upside down
+            rolloverHoldTime: 2000,   // ms the tilt must persist
+            rolloverSettleTime: 5000, // ms after the rotation for the tilt to appear
+
             // Sustained high force duration (ms)
-            sustainedForceDuration: 200
+            sustainedForceDuration: 200,
+
+            // Post-impact confirmation: does the device come to rest or drive on?
+            confirmationWindow: 5000,  // ms watched after a candidate impact
+            confirmationSettle: 500,   // ms of crash ringing ignored before measuring stillness
+            stillnessThreshold: 0.15,  // g standard deviation that counts as stationary
+            stoppedSpeed: 2,           // m/s (~7 km/h) - vehicle has stopped
+            drivingSpeed: 5.5,         // m/s (~20 km/h) - vehicle is still driving
+
+            // Phone drop: near-zero g free fall right before the impact
+            freeFallThreshold: 0.35,   // g including gravity
+            minFreeFallDuration: 100,  // ms (~5 cm drop)
+            dropImpactGap: 300,        // ms between the end of the fall and the impact
+
+            // Speed awareness: impacts only count once the vehicle has been driving
+            armingSpeed: 4.2,          // m/s (~15 km/h)
+            armingHoldTime: 300000,    // ms detection stays armed after the last time above armingSpeed
+            decelerationWindow: 2000,  // ms between the two GPS fixes...
+            decelerationDrop: 8.3      // ...that lose at least this much speed (m/s, ~30 km/h)
         };
 
         this.detectionHistory = [];
         this.lastImpactTime = 0;
         this.highForceStartTime = 0;
         this.sustainedHighForce = false;
+        this.rolloverDetector = new RolloverDetector();
+
+        // Candidate impact waiting for post-impact confirmation
+        this.pendingImpact = null;
+
+        // Phone drop classifier state
+        this.freeFallStart = 0;
+        this.lastFreeFall = null;
+        this.suppressedUntil = 0;
+
+        // Sensors switched on in Settings (see settings.js)
+        this.enabledSensors = {
+            accelerometer: true,
+            gyroscope: true,
+            microphone: true,
+            gps: true
+        };
+
+        // Detectors switched on by the selected detection profile (see profiles.js)
+        this.profile = { id: 'car', name: 'Car' };
+        this.enabledDetectors = {
+            impact: true,
+            audio: true,
+            rotation: true,
+            rollover: true,
+            dropFilter: true,
+            speedArming: true
+        };
+
+        // Set while a recorded trace is being replayed (see recorder.js), with the live
+        // detection state put aside until it ends
+        this.replaySession = null;
+        this.liveState = null;
+
+        this.onSensorData = (sensorData) => this.analyzeSensorData(sensorData);
+        this.onAudioData = (audioData) => this.analyzeAudioData(audioData);
     }
 
     start() {
@@ -30,30 +104,125 @@ class AccidentDetector {
         this.detectionHistory = [];
         
         // Start monitoring sensors
-        sensorManager.startMonitoring((sensorData) => {
-            this.analyzeSensorData(sensorData);
-        });
+        sensorManager.startMonitoring(this.onSensorData);
 
-        audioMonitor.startMonitoring((audioData) => {
-            this.analyzeAudioData(audioData);
-        });
+        if (this.enabledSensors.microphone) {
+            audioMonitor.startMonitoring(this.onAudioData);
+        }
+
+        detectionLog.info('Accident detection algorithm activated');
+    }
 
-        addLog('Accident detection algorithm activated', 'info');
+    // Takes effect immediately: hardware that is switched off while monitoring is stopped
+    setSensorEnabled(sensor, enabled) {
+        if (!(sensor in this.enabledSensors) || this.enabledSensors[sensor] === enabled) return;
+        this.enabledSensors[sensor] = enabled;
+        detectionLog.info(`${sensor} ${enabled ? 'enabled' : 'disabled'}`);
+
+        if (!this.isActive || this.replaySession) return;
+
+        if (sensor === 'microphone') {
+            if (enabled) {
+                audioMonitor.startMonitoring(this.onAudioData);
+            } else if (audioMonitor.isMonitoring) {
+                audioMonitor.stopMonitoring();
+            }
+        } else if (sensor === 'gps') {
+            if (enabled) {
+                gpsTracker.startTracking();
+            } else {
+                gpsTracker.stopTracking();
+            }
+        }
     }
 
     stop() {
         this.isActive = false;
-        addLog('Accident detection algorithm deactivated', 'info');
+        detectionLog.info('Accident detection algorithm deactivated');
+    }
+
+    // A live impact still being confirmed can't be put aside - its timer runs on - so
+    // callers wait for it before replaying (see TraceReplayer.replay)
+    beginReplay(session) {
+        this.replaySession = Object.assign({ events: [], alerts: [], dryRun: true }, session);
+        this.wasActiveBeforeReplay = this.isActive;
+        this.isActive = true;
+        this.liveState = this.saveState();
+        this.rolloverDetector = new RolloverDetector();
+        this.resetState();
+
+        // Subscribe without starting the physical sensors
+        if (!sensorManager.callbacks.includes(this.onSensorData)) {
+            sensorManager.callbacks.push(this.onSensorData);
+        }
+        if (!audioMonitor.callbacks.includes(this.onAudioData)) {
+            audioMonitor.callbacks.push(this.onAudioData);
+        }
+
+        return this.replaySession;
+    }
+
+    endReplay() {
+        // A trace that ends inside the confirmation window is settled as the timer would,
+        // so its alert is still reported
+        if (this.replaySession && this.pendingImpact) {
+            this.resolveConfirmation(this.pendingImpact.startedAt + this.detectionThresholds.confirmationWindow);
+        }
+
+        const session = this.replaySession;
+        this.replaySession = null;
+        this.isActive = this.wasActiveBeforeReplay;
+        this.resetState();
+        if (this.liveState) {
+            Object.assign(this, this.liveState);
+            this.liveState = null;
+        }
+        return session;
+    }
+
+    // Everything resetState clears - there is no pending impact when a replay begins
+    saveState() {
+        return {
+            detectionHistory: this.detectionHistory,
+            lastImpactTime: this.lastImpactTime,
+            highForceStartTime: this.highForceStartTime,
+            sustainedHighForce: this.sustainedHighForce,
+            previousRotation: this.previousRotation,
+            rolloverDetector: this.rolloverDetector,
+            freeFallStart: this.freeFallStart,
+            lastFreeFall: this.lastFreeFall,
+            suppressedUntil: this.suppressedUntil
+        };
+    }
+
+    resetState() {
+        this.detectionHistory = [];
+        this.lastImpactTime = 0;
+        this.highForceStartTime = 0;
+        this.sustainedHighForce = false;
+        this.previousRotation = null;
+        this.rolloverDetector.reset();
+        this.freeFallStart = 0;
+        this.lastFreeFall = null;
+        this.suppressedUntil = 0;
+
+        if (this.pendingImpact) {
+            clearTimeout(this.pendingImpact.timer);
+            this.pendingImpact = null;
+        }
     }
 
     analyzeSensorData(sensorData) {
         if (!this.isActive) return;
 
-        const currentTime = Date.now();
+        const currentTime = sensorData.timestamp || Date.now();
         const impactForce = sensorData.impactForce;
 
+        this.trackFreeFall(sensorData, currentTime);
+
         // Check for sudden high impact
-        if (impactForce >= this.detectionThresholds.lowImpact) {
+        if (this.enabledSensors.accelerometer && this.enabledDetectors.impact &&
+            impactForce >= this.detectionThresholds.lowImpact) {
             // Track sustained high force
             if (!this.sustainedHighForce) {
                 this.highForceStartTime = currentTime;
@@ -66,81 +235,433 @@ class AccidentDetector {
             // Determine severity based on impact force and duration
             let severity = this.calculateSeverity(impactForce, forceDuration);
 
+            // Screen fresh impacts for phone drops and a vehicle that is not driving
+            if (!this.pendingImpact && severity !== 'none') {
+                severity = this.screenImpact(severity, impactForce, currentTime);
+            }
+
+            const direction = classifyImpactDirection(sensorData.vehicleAcceleration, impactForce);
+
             // Add to detection history
             this.addDetectionEvent({
                 type: 'impact',
                 severity: severity,
                 force: impactForce,
+                jerk: sensorData.jerk,
                 duration: forceDuration,
+                direction: direction ? direction.from : null,
                 timestamp: currentTime
             });
 
-            // Trigger alert if threshold exceeded
+            // Medium and above become a candidate that has to pass post-impact confirmation
             if (severity !== 'none') {
-                this.triggerAccidentAlert(severity, {
+                const details = {
                     impactForce: impactForce,
-                    duration: forceDuration
-                });
+                    jerk: sensorData.jerk,
+                    duration: forceDuration,
+                    direction: direction
+                };
+                if (this.lastFreeFall && this.lastFreeFall.classified === currentTime) {
+                    details.freeFall = this.lastFreeFall;
+                }
+
+                if (severity === 'low' && !this.pendingImpact) {
+                    this.triggerAccidentAlert(severity, details, currentTime);
+                } else {
+                    this.addCandidateImpact(severity, details, currentTime);
+                }
             }
         } else {
             this.sustainedHighForce = false;
         }
 
-        // Check for sudden rotation (possible rollover)
-        this.checkRotationAnomaly(sensorData.rotation);
+        this.updateConfirmation(sensorData, currentTime);
+
+        // Check for sudden rotation and rollover
+        if (this.enabledSensors.gyroscope) {
+            this.checkRotationAnomaly(sensorData, currentTime);
+            if (this.enabledDetectors.rollover) {
+                this.checkRollover(sensorData, currentTime);
+            }
+        }
     }
 
     analyzeAudioData(audioData) {
-        if (!this.isActive) return;
+        if (!this.isActive || !this.enabledSensors.microphone || !this.enabledDetectors.audio) return;
+
+        const crashScore = audioData.crashScore || 0;
+        const pending = this.pendingImpact;
+
+        // Every sound while an impact is being confirmed is fusion evidence, even a quiet one
+        if (pending && crashScore > (pending.details.audioScore || 0)) {
+            pending.details.soundLevel = audioData.level;
+            pending.details.audioScore = crashScore;
+        }
 
-        // Detect loud crash sounds
-        if (audioData.level >= this.detectionThresholds.crashSoundLevel) {
-            const currentTime = Date.now();
+        // Detect crash-like sounds
+        if (crashScore >= this.detectionThresholds.crashAudioScore) {
+            const currentTime = audioData.timestamp || Date.now();
 
             // Avoid duplicate detections within 5 seconds
             if (currentTime - this.lastImpactTime > 5000) {
-                addLog(`Loud crash sound detected: ${audioData.level} dB`, 'warning');
+                detectionLog.warning(`Crash-like sound detected: ${audioData.level} dB, score ${crashScore.toFixed(2)}`,
+                    { level: audioData.level, score: crashScore });
                 
+                // A candidate impact is being confirmed - the sound strengthens it
+                if (pending) {
+                    pending.details.combined = true;
+
+                    this.addDetectionEvent({
+                        type: 'combined',
+                        severity: pending.severity,
+                        soundLevel: audioData.level,
+                        audioScore: crashScore,
+                        timestamp: currentTime
+                    });
+                    return;
+                }
+
                 // Check if there's also a recent impact force
                 const recentImpact = this.hasRecentImpact(currentTime, 2000);
                 
                 if (recentImpact) {
-                    // Sound + Impact = Higher confidence of accident
-                    const severity = this.calculateCombinedSeverity(recentImpact, audioData.level);
+                    // Sound + Impact = Higher confidence of accident, settled by the fusion engine
+                    const severity = recentImpact.severity;
                     
                     this.addDetectionEvent({
                         type: 'combined',
                         severity: severity,
                         soundLevel: audioData.level,
+                        audioScore: crashScore,
                         timestamp: currentTime
                     });
 
-                    this.triggerAccidentAlert(severity, {
+                    this.addCandidateImpact(severity, {
+                        impactForce: recentImpact.force,
                         soundLevel: audioData.level,
+                        audioScore: crashScore,
                         combined: true
-                    });
+                    }, currentTime);
                 }
             }
         }
     }
 
-    checkRotationAnomaly(rotation) {
+    trackFreeFall(sensorData, currentTime) {
+        if (sensorData.eventType !== 'motion') return;
+
+        if (sensorData.rawForce < this.detectionThresholds.freeFallThreshold) {
+            if (!this.freeFallStart) this.freeFallStart = currentTime;
+            return;
+        }
+
+        if (this.freeFallStart) {
+            const duration = currentTime - this.freeFallStart;
+            if (duration >= this.detectionThresholds.minFreeFallDuration) {
+                this.lastFreeFall = { start: this.freeFallStart, end: currentTime, duration: duration };
+            }
+            this.freeFallStart = 0;
+        }
+    }
+
+    screenImpact(severity, impactForce, currentTime) {
+        // Rest of a crash pulse that was already suppressed
+        if (currentTime < this.suppressedUntil) return 'none';
+
+        if (this.enabledDetectors.dropFilter) {
+            severity = this.classifyDrop(severity, impactForce, currentTime);
+        }
+
+        if (severity !== 'none' && !this.isArmed(currentTime)) {
+            const maxSpeed = gpsTracker.getMaxSpeed(currentTime - this.detectionThresholds.armingHoldTime, currentTime);
+            return this.suppressImpact(severity, 'not-armed', 'Detection not armed',
+                `${impactForce.toFixed(1)}g impact, vehicle below ` +
+                `${(this.detectionThresholds.armingSpeed * 3.6).toFixed(0)} km/h ` +
+                `(max ${(maxSpeed * 3.6).toFixed(0)} km/h recently)`, currentTime);
+        }
+
+        return severity;
+    }
+
+    // Armed once GPS has shown driving speed recently. Without a GPS speed there is
+    // no way to tell, so detection stays armed rather than missing a crash.
+    isArmed(currentTime = Date.now()) {
+        const t = this.detectionThresholds;
+        if (!this.enabledDetectors.speedArming) return true;
+        if (gpsTracker.getSpeed(currentTime) === null) return true;
+        return gpsTracker.getMaxSpeed(currentTime - t.armingHoldTime, currentTime) >= t.armingSpeed;
+    }
+
+    suppressImpact(severity, reason, label, explanation, currentTime) {
+        this.suppressedUntil = currentTime + 1000;
+        detectionLog.warning(`${label} - ${severity} impact suppressed`, { severity: severity });
+        this.addDetectionEvent({
+            type: 'suppressed',
+            severity: 'none',
+            originalSeverity: severity,
+            reason: reason,
+            explanation: explanation,
+            timestamp: currentTime
+        });
+        return 'none';
+    }
+
+    // Suppresses or downgrades impacts that follow a free fall, depending on whether
+    // the device was travelling at vehicle speed. Returns the severity to continue with.
+    classifyDrop(severity, impactForce, currentTime) {
+        const t = this.detectionThresholds;
+        const fall = this.lastFreeFall;
+        if (!fall || currentTime - fall.end > t.dropImpactGap) return severity;
+
+        const speed = gpsTracker.getSpeed(currentTime);
+        const speedText = speed === null ? 'no GPS speed' : `${(speed * 3.6).toFixed(0)} km/h`;
+        const reason = `free fall of ${fall.duration} ms ended ${currentTime - fall.end} ms before a ` +
+            `${impactForce.toFixed(1)}g impact, ${speedText}`;
+
+        fall.classified = currentTime;
+        fall.speed = speed;
+
+        if (speed !== null && speed >= t.drivingSpeed) {
+            // Moving at vehicle speed: the phone may have been thrown in a real crash
+            fall.verdict = 'vehicle-speed';
+            return severity;
+        }
+
+        if (speed === null) {
+            fall.verdict = 'possible-drop';
+            const downgraded = shiftSeverity(severity, -1);
+            detectionLog.warning(`Possible phone drop - ${severity} impact downgraded to ${downgraded}`,
+                { severity: severity, downgraded: downgraded });
+            this.addDetectionEvent({
+                type: 'downgraded',
+                severity: downgraded,
+                originalSeverity: severity,
+                reason: 'possible-drop',
+                explanation: reason,
+                timestamp: currentTime
+            });
+            return downgraded;
+        }
+
+        fall.verdict = 'drop';
+        return this.suppressImpact(severity, 'phone-drop', 'Phone drop detected', reason, currentTime);
+    }
+
+    addCandidateImpact(severity, details, currentTime) {
+        const pending = this.pendingImpact;
+
+        if (pending) {
+            // Keep the strongest reading of the same crash
+            if (SEVERITY_LEVELS.indexOf(severity) > SEVERITY_LEVELS.indexOf(pending.severity)) {
+                pending.severity = severity;
+            }
+            if ((details.impactForce || 0) > (pending.details.impactForce || 0)) {
+                Object.assign(pending.details, details);
+            }
+            return;
+        }
+
+        // An alert was just raised for this crash
+        if (currentTime - this.lastImpactTime < 10000) return;
+
+        this.pendingImpact = {
+            severity: severity,
+            details: Object.assign({}, details),
+            startedAt: currentTime,
+            samples: [],
+            timer: null
+        };
+        this.pendingImpact.details.snapshot = this.captureSnapshot(currentTime, severity);
+        this.pendingImpact.details.incidentId = this.openIncident(severity, this.pendingImpact.details, currentTime);
+
+        // Resolve even if the sensors stop reporting after the impact
+        this.pendingImpact.timer = setTimeout(() => {
+            this.resolveConfirmation(Date.now());
+        }, this.detectionThresholds.confirmationWindow + 500);
+
+        detectionLog.warning(`Possible ${severity} impact - checking whether the vehicle stopped...`,
+            { severity: severity, g: details.impactForce });
+    }
+
+    updateConfirmation(sensorData, currentTime) {
+        const pending = this.pendingImpact;
+        if (!pending) return;
+
+        const elapsed = currentTime - pending.startedAt;
+        if (sensorData.eventType === 'motion' && elapsed >= this.detectionThresholds.confirmationSettle) {
+            const linear = sensorData.linearAcceleration;
+            pending.samples.push({ x: linear.x / 9.81, y: linear.y / 9.81, z: linear.z / 9.81 });
+        }
+
+        if (elapsed >= this.detectionThresholds.confirmationWindow) {
+            this.resolveConfirmation(currentTime);
+        }
+    }
+
+    resolveConfirmation(currentTime) {
+        const pending = this.pendingImpact;
+        if (!pending) return;
+
+        clearTimeout(pending.timer);
+        this.pendingImpact = null;
+
+        const confirmation = this.assessConfirmation(pending, currentTime);
+        const fusion = fusionEngine.assess({
+            severity: pending.severity,
+            impactForce: pending.details.impactForce,
+            jerk: pending.details.jerk,
+            rotation: this.maxRecentRotation(pending.startedAt - 1000, currentTime),
+            audioScore: pending.details.audioScore,
+            deceleration: confirmation.deceleration,
+            outcome: confirmation.outcome
+        });
+        const severity = fusion.severity;
+
+        detectionLog.info(`Post-impact check: ${confirmation.outcome} - severity ${pending.severity} → ${severity} ` +
+            `(${Math.round(fusion.confidence * 100)}% confidence)`, {
+            outcome: confirmation.outcome,
+            candidateSeverity: pending.severity,
+            severity: severity,
+            confidence: fusion.confidence
+        });
+
+        this.addDetectionEvent({
+            type: 'confirmation',
+            severity: severity,
+            candidateSeverity: pending.severity,
+            outcome: confirmation.outcome,
+            motionStdDev: confirmation.motionStdDev,
+            speed: confirmation.speed,
+            confidence: fusion.confidence,
+            timestamp: currentTime
+        });
+
+        if (confirmation.deceleration) {
+            const drop = confirmation.deceleration;
+            detectionLog.warning(`GPS speed fell ${(drop.fromSpeed * 3.6).toFixed(0)} → ${(drop.toSpeed * 3.6).toFixed(0)} km/h ` +
+                `in ${(drop.duration / 1000).toFixed(1)}s`,
+                { fromSpeed: drop.fromSpeed, toSpeed: drop.toSpeed, duration: drop.duration });
+            this.addDetectionEvent({
+                type: 'deceleration',
+                severity: severity,
+                fromSpeed: drop.fromSpeed,
+                toSpeed: drop.toSpeed,
+                deceleration: drop.deceleration,
+                timestamp: currentTime
+            });
+        }
+
+        const details = Object.assign({}, pending.details, { confirmation: confirmation, fusion: fusion });
+        if (confirmation.deceleration) {
+            details.deceleration = confirmation.deceleration;
+        }
+        if (severity === 'low' || severity === 'none') {
+            if (details.snapshot) {
+                blackBoxRecorder.setOutcome(details.snapshot, 'suppressed');
+            }
+            if (details.incidentId) {
+                incidentStore.update(details.incidentId, {
+                    status: 'dismissed',
+                    outcome: 'dismissed',
+                    severity: severity,
+                    confidence: fusion.confidence
+                }, { event: 'dismissed', severity: severity, outcome: confirmation.outcome });
+            }
+        }
+
+        this.triggerAccidentAlert(severity, details, currentTime);
+    }
+
+    assessConfirmation(pending, currentTime) {
+        const t = this.detectionThresholds;
+        const motionStdDev = pending.samples.length >= 5 ? vectorStandardDeviation(pending.samples) : null;
+        const still = motionStdDev !== null && motionStdDev < t.stillnessThreshold;
+        const speed = gpsTracker.getSpeed(currentTime);
+
+        let outcome = 'unknown';
+
+        if (speed !== null) {
+            if (speed >= t.drivingSpeed) {
+                outcome = 'driving';
+            } else if (speed <= t.stoppedSpeed) {
+                outcome = still ? 'stationary' : 'stopped';
+            } else {
+                outcome = 'slowing';
+            }
+        } else if (motionStdDev !== null) {
+            outcome = still ? 'stationary' : 'moving';
+        }
+
+        // Losing a lot of speed around the impact is independent crash evidence
+        const deceleration = gpsTracker.findSpeedDrop(
+            pending.startedAt - t.decelerationWindow, currentTime, t.decelerationWindow, t.decelerationDrop);
+
+        return {
+            outcome: outcome,
+            motionStdDev: motionStdDev,
+            speed: speed,
+            deceleration: deceleration
+        };
+    }
+
+    // Largest sudden rotation (degrees between orientation readings) recorded in the window
+    maxRecentRotation(since, until) {
+        return this.detectionHistory
+            .filter(event => event.type === 'rotation' && event.timestamp >= since && event.timestamp <= until)
+            .reduce((max, event) => Math.max(max, event.deltaBeta, event.deltaGamma), 0);
+    }
+
+    captureSnapshot(currentTime, severity) {
+        if (this.replaySession && this.replaySession.dryRun) return undefined;
+        return blackBoxRecorder.capture(currentTime, severity);
+    }
+
+    // Dry-run replays leave no incidents behind, like the black box
+    openIncident(severity, details, currentTime, status) {
+        if (this.replaySession && this.replaySession.dryRun) return undefined;
+        return incidentStore.create(severity, details, currentTime, status).id;
+    }
+
+    checkRotationAnomaly(sensorData, currentTime) {
+        if (sensorData.eventType === 'motion') {
+            // Gyroscope rate: integrate degrees turned since the previous sample
+            if (sensorData.rotationRate) {
+                const seconds = sensorData.dt / 1000;
+                this.rolloverDetector.addRotation(
+                    sensorData.rotationRate.beta * seconds,
+                    sensorData.rotationRate.gamma * seconds,
+                    currentTime,
+                    this.detectionThresholds
+                );
+            }
+            return;
+        }
+
+        const rotation = sensorData.rotation;
+
         // Store previous rotation for comparison
         if (!this.previousRotation) {
             this.previousRotation = rotation;
             return;
         }
 
-        // Calculate rotation delta
-        const deltaAlpha = Math.abs(rotation.alpha - this.previousRotation.alpha);
-        const deltaBeta = Math.abs(rotation.beta - this.previousRotation.beta);
-        const deltaGamma = Math.abs(rotation.gamma - this.previousRotation.gamma);
+        // Calculate rotation delta, taking the 0/360 and ±180 wraparound into account
+        const signedBeta = angleDelta(rotation.beta, this.previousRotation.beta);
+        const signedGamma = angleDelta(rotation.gamma, this.previousRotation.gamma);
+        const deltaBeta = Math.abs(signedBeta);
+        const deltaGamma = Math.abs(signedGamma);
+
+        // Devices without a rotation rate fall back to orientation deltas for rollover tracking
+        if (!sensorData.rotationRate) {
+            this.rolloverDetector.addRotation(signedBeta, signedGamma, currentTime, this.detectionThresholds);
+        }
 
         // Check for sudden large rotation (possible vehicle flip/rollover)
-        if (deltaBeta > this.detectionThresholds.suddenRotation || 
-            deltaGamma > this.detectionThresholds.suddenRotation) {
+        if (this.enabledDetectors.rotation &&
+            (deltaBeta > this.detectionThresholds.suddenRotation ||
+            deltaGamma > this.detectionThresholds.suddenRotation)) {
             
-            addLog('Sudden rotation detected - possible rollover', 'warning');
+            detectionLog.warning('Sudden rotation detected - possible rollover');
             
             // This could indicate a rollover accident
             this.addDetectionEvent({
@@ -148,13 +669,75 @@ class AccidentDetector {
                 severity: 'high',
                 deltaBeta: deltaBeta,
                 deltaGamma: deltaGamma,
-                timestamp: Date.now()
+                timestamp: currentTime
             });
         }
 
         this.previousRotation = rotation;
     }
 
+    checkRollover(sensorData, currentTime) {
+        const rollover = this.rolloverDetector.update(sensorData.tilt, currentTime, this.detectionThresholds);
+        if (!rollover) return;
+
+        const details = {
+            rollover: true,
+            position: rollover.position,
+            tilt: rollover.tilt,
+            rotation: rollover.rotation
+        };
+        details.fusion = fusionEngine.assess(Object.assign({
+            severity: rollover.position === 'upside-down' ? 'critical' : 'high'
+        }, details));
+        const severity = details.fusion.severity;
+        detectionLog.error(`Rollover detected - vehicle ${rollover.position} (${rollover.tilt.toFixed(0)}° tilt)`,
+            { position: rollover.position, tilt: rollover.tilt });
+
+        this.addDetectionEvent({
+            type: 'rollover',
+            severity: severity,
+            position: rollover.position,
+            tilt: rollover.tilt,
+            rotation: rollover.rotation,
+            timestamp: currentTime
+        });
+
+        this.triggerAccidentAlert(severity, details, currentTime);
+    }
+
+    // Crash type from where the force came from, a free fall before the impact and how
+    // the phone rotated around it. direction is the principal direction of force.
+    classifyCrash(details, currentTime) {
+        const t = this.detectionThresholds;
+        const direction = details.direction || null;
+        const since = currentTime - t.confirmationWindow - 1000;
+        const tilt = sensorManager.sensorData.tilt;
+        const overturned = tilt >= t.rolloverTilt && this.maxRecentRotation(since, currentTime) >= t.suddenRotation;
+
+        let type = 'unknown';
+        let principal = direction ? describeImpactDirection(direction) : 'direction unknown';
+
+        if (details.rollover || overturned) {
+            const upsideDown = details.rollover ? details.position === 'upside-down' : tilt >= t.upsideDownTilt;
+            type = 'rollover';
+            principal = upsideDown ? 'vehicle upside down' : 'vehicle on its side';
+        } else if (details.freeFall) {
+            type = 'fall';
+            principal = `thrown clear - ${details.freeFall.duration} ms free fall before the impact`;
+        } else if (direction && (direction.from === 'below' || direction.from === 'above')) {
+            type = 'fall';
+        } else if (direction) {
+            type = { front: 'frontal', rear: 'rear-end', left: 'side', right: 'side' }[direction.from] || 'unknown';
+        }
+
+        return {
+            type: type,
+            label: CRASH_TYPE_LABELS[type],
+            direction: principal,
+            clock: type === 'frontal' || type === 'rear-end' || type === 'side' ? direction.clock : null
+        };
+    }
+
     calculateSeverity(impactForce, duration) {
         const t = this.detectionThresholds;
 
@@ -182,24 +765,12 @@ class AccidentDetector {
         return 'none';
     }
 
-    calculateCombinedSeverity(impactEvent, soundLevel) {
-        // Combine impact force and sound level for better accuracy
-        let severity = impactEvent.severity;
-
-        // Upgrade severity if loud sound confirms impact
-        if (soundLevel >= this.detectionThresholds.crashSoundLevel) {
-            if (severity === 'medium') severity = 'high';
-            if (severity === 'low') severity = 'medium';
-        }
-
-        return severity;
-    }
-
     hasRecentImpact(currentTime, timeWindow) {
         // Check if there was an impact within the time window
         for (let i = this.detectionHistory.length - 1; i >= 0; i--) {
             const event = this.detectionHistory[i];
-            if (currentTime - event.timestamp <= timeWindow && event.type === 'impact') {
+            if (currentTime - event.timestamp <= timeWindow && event.type === 'impact' &&
+                event.severity !== 'none') {
                 return event;
             }
         }
@@ -208,6 +779,10 @@ class AccidentDetector {
 
     addDetectionEvent(event) {
         this.detectionHistory.push(event);
+
+        if (this.replaySession) {
+            this.replaySession.events.push(event);
+        }
         
         // Keep only last 50 events
         if (this.detectionHistory.length > 50) {
@@ -233,23 +808,52 @@ class AccidentDetector {
         }
     }
 
-    triggerAccidentAlert(severity, details) {
-        const currentTime = Date.now();
-
+    triggerAccidentAlert(severity, details, currentTime = Date.now()) {
         // Avoid multiple alerts within 10 seconds
         if (currentTime - this.lastImpactTime < 10000) {
             return;
         }
 
-        this.lastImpactTime = currentTime;
-
         // Only trigger alert for medium severity and above
         if (severity === 'low' || severity === 'none') {
-            addLog(`${severity} severity impact detected - no alert`, 'warning');
+            detectionLog.warning(`${severity} severity impact detected - no alert`, { severity: severity });
             return;
         }
 
-        addLog(`ACCIDENT DETECTED - Severity: ${severity.toUpperCase()}`, 'error');
+        this.lastImpactTime = currentTime;
+
+        detectionLog.error(`ACCIDENT DETECTED - Severity: ${severity.toUpperCase()}`,
+            { severity: severity, g: details.impactForce });
+        details.profile = this.profile.name;
+        details.profileId = this.profile.id;
+        details.crashType = this.classifyCrash(details, currentTime);
+        detectionLog.info(`Crash type: ${describeCrashType(details.crashType)}`,
+            { crashType: details.crashType.type, direction: details.crashType.direction });
+
+        if (this.replaySession) {
+            this.replaySession.alerts.push({ severity, details, timestamp: currentTime });
+            if (this.replaySession.dryRun) return;
+        }
+
+        // Freeze the black box window around the trigger, unless the impact already did
+        if (!details.snapshot) {
+            details.snapshot = blackBoxRecorder.capture(currentTime, severity);
+        }
+        details.snapshot.severity = severity;
+
+        // Impacts opened their incident as a candidate; rollovers start one here
+        if (details.incidentId) {
+            incidentStore.update(details.incidentId, {
+                status: 'alert',
+                severity: severity,
+                profile: details.profile,
+                crashType: details.crashType,
+                impactForce: details.impactForce || null,
+                confidence: details.fusion ? details.fusion.confidence : null
+            }, { event: 'alert', severity: severity });
+        } else {
+            details.incidentId = this.openIncident(severity, details, currentTime, 'alert');
+        }
         
         // Trigger the alert screen
         if (window.alertHandler) {
@@ -262,5 +866,154 @@ class AccidentDetector {
     }
 }
 
+// Rollover Detection
+// Tracks cumulative roll/pitch over a short window and confirms a rollover once the
+// device has ended up on its side or upside down and stayed there.
+class RolloverDetector {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.rotations = [];
+        this.candidate = null;
+    }
+
+    addRotation(pitchDelta, rollDelta, timestamp, thresholds) {
+        this.rotations.push({ t: timestamp, pitch: pitchDelta, roll: rollDelta });
+
+        while (this.rotations.length && timestamp - this.rotations[0].t > thresholds.rolloverWindow) {
+            this.rotations.shift();
+        }
+    }
+
+    cumulativeRotation() {
+        let pitch = 0;
+        let roll = 0;
+        this.rotations.forEach(rotation => {
+            pitch += rotation.pitch;
+            roll += rotation.roll;
+        });
+        return Math.max(Math.abs(pitch), Math.abs(roll));
+    }
+
+    update(tilt, timestamp, thresholds) {
+        const rotation = this.cumulativeRotation();
+
+        if (!this.candidate && rotation >= thresholds.rolloverRotation) {
+            this.candidate = { startedAt: timestamp, rotation: rotation, tiltedSince: 0 };
+        }
+        if (!this.candidate) return null;
+
+        const candidate = this.candidate;
+        candidate.rotation = Math.max(candidate.rotation, rotation);
+
+        if (tilt >= thresholds.rolloverTilt) {
+            if (!candidate.tiltedSince) candidate.tiltedSince = timestamp;
+
+            if (timestamp - candidate.tiltedSince >= thresholds.rolloverHoldTime) {
+                this.reset();
+                return {
+                    position: tilt >= thresholds.upsideDownTilt ? 'upside-down' : 'on-side',
+                    tilt: tilt,
+                    rotation: candidate.rotation
+                };
+            }
+        } else {
+            candidate.tiltedSince = 0;
+
+            // Rotated but came back upright (phone turned in the hand, sharp turn)
+            if (timestamp - candidate.startedAt > thresholds.rolloverSettleTime) {
+                this.candidate = null;
+            }
+        }
+
+        return null;
+    }
+}
+
+// Helper functions
+function shiftSeverity(severity, levels) {
+    const index = SEVERITY_LEVELS.indexOf(severity) + levels;
+    // Never shift a detected impact below 'none' or above 'critical'
+    return SEVERITY_LEVELS[Math.min(Math.max(index, 0), SEVERITY_LEVELS.length - 1)];
+}
+
+function variance(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    return values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+}
+
+// Spread of a set of acceleration vectors (total variance across the three axes)
+function vectorStandardDeviation(vectors) {
+    return Math.sqrt(
+        variance(vectors.map(vector => vector.x)) +
+        variance(vectors.map(vector => vector.y)) +
+        variance(vectors.map(vector => vector.z))
+    );
+}
+
+function angleDelta(current, previous) {
+    // Shortest signed difference in degrees, e.g. 359° -> 1° is +2°
+    let delta = (current - previous) % 360;
+    if (delta > 180) delta -= 360;
+    if (delta < -180) delta += 360;
+    return delta;
+}
+
+// Which side the impact came from - the opposite of the way it threw the vehicle.
+// acceleration: SensorManager vehicleAcceleration (g). angle is degrees clockwise from
+// straight ahead and clock the matching clock position (12 = front, 3 = right).
+function classifyImpactDirection(acceleration, impactForce) {
+    if (!acceleration) return null;
+
+    const { longitudinal, lateral, vertical } = acceleration;
+    const known = longitudinal !== null && lateral !== null;
+    const horizontal = known
+        ? Math.hypot(longitudinal, lateral)
+        : Math.sqrt(Math.max(0, impactForce * impactForce - vertical * vertical));
+
+    const direction = {
+        from: 'unknown',
+        angle: null,
+        clock: null,
+        longitudinal: known ? roundTo(longitudinal, 2) : null,
+        lateral: known ? roundTo(lateral, 2) : null,
+        vertical: roundTo(vertical, 2)
+    };
+
+    if (Math.abs(vertical) > horizontal) {
+        direction.from = vertical > 0 ? 'below' : 'above';
+        return direction;
+    }
+
+    // Without the mount orientation a horizontal impact can't be placed
+    if (!known) return direction;
+
+    const angle = Math.atan2(lateral, -longitudinal) * 180 / Math.PI;
+    direction.angle = Math.round(angle);
+    direction.clock = ((Math.round(angle / 30) % 12) + 12) % 12 || 12;
+
+    if (Math.abs(angle) <= 45) {
+        direction.from = 'front';
+    } else if (Math.abs(angle) >= 135) {
+        direction.from = 'rear';
+    } else {
+        direction.from = angle < 0 ? 'left' : 'right';
+    }
+    return direction;
+}
+
+function describeImpactDirection(direction) {
+    if (direction.from === 'unknown') return 'direction unknown (mount orientation not learned yet)';
+    if (direction.from === 'below' || direction.from === 'above') return `vertical, from ${direction.from}`;
+    return `from the ${direction.from} (${direction.clock} o'clock)`;
+}
+
+// e.g. "Side impact - from the left (9 o'clock)"
+function describeCrashType(crashType) {
+    return `${crashType.label} - ${crashType.direction}`;
+}
+
 // Export instance
 const accidentDetector = new AccidentDetector();
@@ -1,25 +1,40 @@
+const gpsLog = logger.module('gps');
+const emergencyLog = logger.module('emergency');
+
 // GPS Tracker Module
 class GPSTracker {
     constructor() {
         this.currentPosition = null;
         this.watchId = null;
         this.isTracking = false;
+        this.callbacks = [];
+
+        // Recent fixes with speed and heading, oldest first
+        this.history = [];
+        // ms of fixes kept - at least AccidentDetector's armingHoldTime, or a long stop would
+        // forget the driving speed that arms detection
+        this.historyDuration = 300000;
+        this.maxDerivedAccuracy = 50;   // m - coarser fixes are too noisy to derive speed from
     }
 
     async requestPermission() {
         return new Promise((resolve, reject) => {
             if (!navigator.geolocation) {
-                addLog('❌ Geolocation not supported by browser', 'error');
+                gpsLog.error('Geolocation not supported by browser');
                 reject(new Error('Geolocation not supported'));
                 return;
             }
 
-            addLog('📍 Requesting GPS permission...', 'info');
+            gpsLog.info('Requesting GPS permission...');
             
             navigator.geolocation.getCurrentPosition(
                 (position) => {
-                    addLog('✅ GPS permission granted!', 'info');
-                    addLog(`📍 Current location: ${position.coords.latitude.toFixed(4)}, ${position.coords.longitude.toFixed(4)}`, 'info');
+                    gpsLog.info('GPS permission granted!');
+                    gpsLog.info(`Current location: ${position.coords.latitude.toFixed(4)}, ${position.coords.longitude.toFixed(4)}`, {
+                        latitude: position.coords.latitude,
+                        longitude: position.coords.longitude,
+                        accuracy: position.coords.accuracy
+                    });
                     resolve(true);
                 },
                 (error) => {
@@ -29,7 +44,7 @@ class GPSTracker {
                         3: 'GPS request timeout - Location service may be slow'
                     };
                     const errorMsg = errorMessages[error.code] || `GPS error: ${error.message}`;
-                    addLog(`⚠️ ${errorMsg}`, 'warning');
+                    gpsLog.warning(errorMsg);
                     // Don't reject - allow app to continue without GPS
                     resolve(false);
                 },
@@ -44,29 +59,24 @@ class GPSTracker {
 
     startTracking() {
         if (this.isTracking) {
-            addLog('GPS tracking already active', 'info');
+            gpsLog.info('GPS tracking already active');
             return;
         }
 
         if (!navigator.geolocation) {
-            addLog('❌ GPS not supported by this browser', 'error');
+            gpsLog.error('GPS not supported by this browser');
             if (typeof updateSensorStatus === 'function') {
                 updateSensorStatus('gpsStatus', false);
             }
             return;
         }
 
-        addLog('🔄 Starting continuous GPS tracking...', 'info');
-        addLog('📍 Make sure location is enabled in device settings', 'info');
+        gpsLog.info('Starting continuous GPS tracking...');
+        gpsLog.info('Make sure location is enabled in device settings');
 
         this.watchId = navigator.geolocation.watchPosition(
             (position) => {
-                this.currentPosition = {
-                    latitude: position.coords.latitude,
-                    longitude: position.coords.longitude,
-                    accuracy: position.coords.accuracy,
-                    timestamp: position.timestamp
-                };
+                this.updatePosition(position);
 
                 // Update status to active
                 if (typeof updateSensorStatus === 'function') {
@@ -75,9 +85,12 @@ class GPSTracker {
                 }
                 
                 if (!this.isTracking) {
-                    addLog(`✅ GPS tracking ACTIVE`, 'info');
-                    addLog(`📍 Location: ${position.coords.latitude.toFixed(4)}, ${position.coords.longitude.toFixed(4)}`, 'info');
-                    addLog(`🎯 Accuracy: ${position.coords.accuracy.toFixed(0)} meters`, 'info');
+                    gpsLog.info('GPS tracking ACTIVE');
+                    gpsLog.info(`Location: ${position.coords.latitude.toFixed(4)}, ${position.coords.longitude.toFixed(4)}`, {
+                        latitude: position.coords.latitude,
+                        longitude: position.coords.longitude
+                    });
+                    gpsLog.info(`Accuracy: ${position.coords.accuracy.toFixed(0)} meters`, { accuracy: position.coords.accuracy });
                     this.isTracking = true;
                 }
             },
@@ -88,8 +101,8 @@ class GPSTracker {
                     3: '⏱️ GPS timeout - Retrying...'
                 };
                 const errorMsg = errorMessages[error.code] || error.message;
-                addLog(errorMsg, 'error');
-                addLog('💡 Fix: Settings → Privacy → Location → ON', 'warning');
+                gpsLog.error(errorMsg);
+                gpsLog.warning('Fix: Settings → Privacy → Location → ON');
                 
                 // Update status to inactive
                 if (typeof updateSensorStatus === 'function') {
@@ -110,13 +123,97 @@ class GPSTracker {
         );
     }
 
+    // Stores a Geolocation fix, filling in speed and heading from the previous fix
+    // when the browser does not report them
+    updatePosition(position) {
+        const coords = position.coords;
+        const fix = {
+            latitude: coords.latitude,
+            longitude: coords.longitude,
+            accuracy: coords.accuracy,
+            speed: finiteOrNull(coords.speed),
+            heading: finiteOrNull(coords.heading),
+            speedSource: 'gps',
+            timestamp: position.timestamp
+        };
+
+        const previous = this.history[this.history.length - 1];
+        if (previous && (fix.speed === null || fix.heading === null)) {
+            const seconds = (fix.timestamp - previous.timestamp) / 1000;
+            const precise = Math.max(previous.accuracy, fix.accuracy) <= this.maxDerivedAccuracy;
+
+            if (seconds > 0 && seconds <= 30 && precise) {
+                const distance = distanceBetween(previous, fix);
+                if (fix.speed === null) {
+                    fix.speed = distance / seconds;
+                    fix.speedSource = 'derived';
+                }
+                // Bearing of a few metres of GPS jitter is meaningless
+                if (fix.heading === null && distance > fix.accuracy) {
+                    fix.heading = bearingBetween(previous, fix);
+                }
+            }
+        }
+
+        this.currentPosition = fix;
+        this.history.push(fix);
+        this.history = this.history.filter(entry => fix.timestamp - entry.timestamp <= this.historyDuration);
+
+        this.notifyCallbacks();
+        return fix;
+    }
+
+    getSpeedHistory(since = 0) {
+        return this.history.filter(entry => entry.timestamp >= since && entry.speed !== null);
+    }
+
+    // Highest speed (m/s) reported between the two times, or null without speed data
+    getMaxSpeed(since, until = Date.now()) {
+        const speeds = this.getSpeedHistory(since)
+            .filter(entry => entry.timestamp <= until)
+            .map(entry => entry.speed);
+        return speeds.length > 0 ? Math.max(...speeds) : null;
+    }
+
+    // Largest loss of speed between two fixes no more than `window` ms apart, both
+    // between `since` and `until`. Returns null unless at least `minDrop` m/s was lost.
+    findSpeedDrop(since, until, window, minDrop) {
+        const fixes = this.getSpeedHistory(since).filter(entry => entry.timestamp <= until);
+        let best = null;
+
+        fixes.forEach((before, i) => {
+            fixes.slice(i + 1).forEach(after => {
+                const duration = after.timestamp - before.timestamp;
+                const drop = before.speed - after.speed;
+                if (duration > 0 && duration <= window && drop >= minDrop && (!best || drop > best.drop)) {
+                    best = {
+                        fromSpeed: before.speed,
+                        toSpeed: after.speed,
+                        drop: drop,
+                        duration: duration,
+                        deceleration: drop / (duration / 1000),
+                        startedAt: before.timestamp
+                    };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    notifyCallbacks() {
+        this.callbacks.forEach(callback => {
+            callback(this.currentPosition);
+        });
+    }
+
     stopTracking() {
         if (this.watchId) {
             navigator.geolocation.clearWatch(this.watchId);
             this.watchId = null;
             this.isTracking = false;
             updateSensorStatus('gpsStatus', false);
-            addLog('GPS tracking stopped', 'info');
+            gpsLog.info('GPS tracking stopped');
         }
     }
 
@@ -126,30 +223,25 @@ class GPSTracker {
             if (this.currentPosition) {
                 const age = Date.now() - this.currentPosition.timestamp;
                 if (age < 30000) {
-                    addLog('Using cached GPS position', 'info');
+                    gpsLog.info('Using cached GPS position');
                     resolve(this.currentPosition);
                     return;
                 }
             }
 
             if (!navigator.geolocation) {
-                addLog('Geolocation not available', 'warning');
+                gpsLog.warning('Geolocation not available');
                 reject(new Error('Geolocation not supported'));
                 return;
             }
 
-            addLog('Getting current GPS position...', 'info');
+            gpsLog.info('Getting current GPS position...');
 
             navigator.geolocation.getCurrentPosition(
                 (position) => {
-                    const pos = {
-                        latitude: position.coords.latitude,
-                        longitude: position.coords.longitude,
-                        accuracy: position.coords.accuracy,
-                        timestamp: position.timestamp
-                    };
-                    this.currentPosition = pos;
-                    addLog(`GPS position obtained - Accuracy: ${pos.accuracy.toFixed(0)}m`, 'info');
+                    const pos = this.updatePosition(position);
+                    gpsLog.info(`GPS position obtained - Accuracy: ${pos.accuracy.toFixed(0)}m`,
+                        { latitude: pos.latitude, longitude: pos.longitude, accuracy: pos.accuracy });
                     resolve(pos);
                 },
                 (error) => {
@@ -159,14 +251,14 @@ class GPSTracker {
                         3: 'GPS request timed out'
                     };
                     const errorMsg = errorMessages[error.code] || error.message;
-                    addLog(`GPS error: ${errorMsg}`, 'warning');
+                    gpsLog.warning(`GPS error: ${errorMsg}`);
                     
                     // Return last known position or default
                     if (this.currentPosition) {
-                        addLog('Using last known GPS position', 'warning');
+                        gpsLog.warning('Using last known GPS position');
                         resolve(this.currentPosition);
                     } else {
-                        addLog('No GPS data available - using default', 'error');
+                        gpsLog.error('No GPS data available - using default');
                         reject(error);
                     }
                 },
@@ -179,6 +271,18 @@ class GPSTracker {
         });
     }
 
+    // Speed in m/s from a recent fix, or null if there is none
+    getSpeed(currentTime = Date.now(), maxAge = 5000) {
+        const position = this.currentPosition;
+        if (!position || typeof position.speed !== 'number' || isNaN(position.speed)) {
+            return null;
+        }
+        if (Math.abs(currentTime - position.timestamp) > maxAge) {
+            return null;
+        }
+        return position.speed;
+    }
+
     getGoogleMapsUrl(latitude, longitude) {
         return `https://www.google.com/maps?q=${latitude},${longitude}`;
     }
@@ -193,13 +297,19 @@ class GPSTracker {
 class EmergencyHandler {
     constructor() {
         this.emergencyNumber = '911';
+        // Channels tried for the emergency number - see channels.js
+        this.emergencyChannels = ['sms', 'whatsapp', 'call'];
         this.notifiedServices = [];
+        // The alert being delivered: { incidentId, severity, details } - passed on to every channel
+        this.activeAlert = null;
+        // Per-contact outcome of the last alert: { contactId, name, relationship, channels: { sms: 'opened', ... } }
+        this.contactStatus = [];
     }
 
     setEmergencyNumber(number) {
         this.emergencyNumber = number;
         localStorage.setItem('emergencyNumber', number);
-        addLog(`Emergency number set to: ${number}`, 'info');
+        emergencyLog.info(`Emergency number set to: ${number}`);
     }
 
     getEmergencyNumber() {
@@ -209,19 +319,21 @@ class EmergencyHandler {
 
     async sendAlert(severity, details) {
         this.notifiedServices = [];
+        this.contactStatus = [];
         
         // Get current location with better error handling
         let location;
         let locationAvailable = true;
         
         try {
-            addLog('Attempting to get GPS location for emergency...', 'info');
+            emergencyLog.info('Attempting to get GPS location for emergency...');
             location = await gpsTracker.getCurrentPosition();
-            addLog(`GPS location obtained: ${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}`, 'info');
+            emergencyLog.info(`GPS location obtained: ${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}`,
+                { latitude: location.latitude, longitude: location.longitude, accuracy: location.accuracy });
         } catch (error) {
             locationAvailable = false;
-            addLog(`Could not get GPS location: ${error.message}`, 'error');
-            addLog('Emergency alert will be sent WITHOUT location data', 'warning');
+            emergencyLog.error(`Could not get GPS location: ${error.message}`);
+            emergencyLog.warning('Emergency alert will be sent WITHOUT location data');
             
             // Use placeholder location
             location = { 
@@ -236,18 +348,40 @@ class EmergencyHandler {
         const message = this.prepareEmergencyMessage(severity, location, details, locationAvailable);
         
         // Update emergency screen
-        this.updateEmergencyScreen(severity, location, message, locationAvailable);
+        this.updateEmergencyScreen(severity, location, message, details);
 
-        // Try automatic notifications first (where supported)
-        await this.sendAutomaticNotifications(message, location);
+        // Record the sent emergency on the incident, or start one for a manual emergency
+        const incidentId = details.incidentId || incidentStore.create(severity, details, Date.now(), 'emergency').id;
+        this.activeAlert = { incidentId, severity, details };
 
-        // Fallback: Manual SMS/Call/WhatsApp (for browsers that don't support automatic)
-        this.sendSMS(message, location);
-        this.sendWhatsApp(message, location); // Add WhatsApp notification
-        this.initiateCall();
+        // Broadcast channels go out straight away without holding up the escalation
+        const broadcast = this.broadcast(message, location);
+
+        incidentStore.update(incidentId, {
+            status: 'emergency',
+            outcome: 'emergency-sent',
+            severity: severity,
+            location: locationAvailable ? location : null,
+            notifiedServices: this.notifiedServices.slice(),
+            contactStatus: JSON.parse(JSON.stringify(this.contactStatus)),
+            message: message
+        }, { event: 'emergency-sent', severity: severity });
+
+        // Contacts included for this severity one at a time, then the emergency number
+        escalationEngine.start({ severity, message, location, incidentId }, contactManager.forSeverity(severity));
+        broadcast.then(() => escalationEngine.record());
+
+        // Responders keep getting the user's position until they are safe or time runs out
+        liveLocationSharer.start(this.activeAlert);
+        incidentResolver.render();
 
         // Log the emergency
-        addLog('EMERGENCY ALERT SENT', 'error');
+        emergencyLog.error('EMERGENCY ALERT SENT', {
+            severity: severity,
+            latitude: locationAvailable ? location.latitude : null,
+            longitude: locationAvailable ? location.longitude : null,
+            notified: this.notifiedServices.length
+        });
     }
 
     prepareEmergencyMessage(severity, location, details) {
@@ -257,6 +391,12 @@ class EmergencyHandler {
 
         let message = `🚨 EMERGENCY ALERT 🚨\n\n`;
         message += `Severity: ${severityText}\n`;
+        if (details.profile) {
+            message += `Profile: ${details.profile}\n`;
+        }
+        if (details.crashType) {
+            message += `Crash type: ${describeCrashType(details.crashType)}\n`;
+        }
         message += `Time: ${timestamp}\n`;
         message += `Location: ${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}\n`;
         message += `Map: ${locationUrl}\n\n`;
@@ -269,15 +409,31 @@ class EmergencyHandler {
             message += `Sound Level: ${details.soundLevel} dB\n`;
         }
 
+        if (details.rollover) {
+            message += `Rollover: vehicle ${details.position}\n`;
+        }
+
+        if (details.deceleration) {
+            const { fromSpeed, toSpeed, duration } = details.deceleration;
+            message += `Speed: ${(fromSpeed * 3.6).toFixed(0)} → ${(toSpeed * 3.6).toFixed(0)} km/h in ${(duration / 1000).toFixed(1)}s\n`;
+        }
+
+        if (details.fusion) {
+            message += `\nConfidence: ${Math.round(details.fusion.confidence * 100)}%\n`;
+            fusionEngine.describe(details.fusion).forEach(line => {
+                message += `- ${line}\n`;
+            });
+        }
+
         message += `\nImmediate assistance required!`;
 
         return message;
     }
 
-    updateEmergencyScreen(severity, location, message) {
+    updateEmergencyScreen(severity, location, message, details = {}) {
         const locationElement = document.getElementById('emergencyLocation');
+        const crashTypeElement = document.getElementById('emergencyCrashType');
         const timeElement = document.getElementById('emergencyTime');
-        const servicesElement = document.getElementById('notifiedServices');
 
         if (locationElement) {
             const locationUrl = gpsTracker.getGoogleMapsUrl(location.latitude, location.longitude);
@@ -292,173 +448,67 @@ class EmergencyHandler {
             timeElement.textContent = new Date().toLocaleString();
         }
 
-        if (servicesElement) {
-            servicesElement.innerHTML = this.notifiedServices.map(service => 
-                `<li>✓ ${service}</li>`
-            ).join('');
-        }
-    }
-
-    async sendAutomaticNotifications(message, location) {
-        const emergencyNumber = this.getEmergencyNumber();
-        
-        // Method 1: Try Background Fetch API (works on some Android devices)
-        try {
-            if ('BackgroundFetchManager' in self) {
-                addLog('Attempting background notification...', 'info');
-                // This would require service worker implementation
-            }
-        } catch (error) {
-            console.log('Background fetch not supported:', error);
-        }
-
-        // Method 2: Try Notification API with actions
-        if ('Notification' in window && Notification.permission === 'granted') {
-            try {
-                const notification = new Notification('🚨 EMERGENCY ALERT', {
-                    body: `Emergency detected! Tap to call ${emergencyNumber}`,
-                    icon: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><circle cx="50" cy="50" r="40" fill="%23ef4444"/><text x="50" y="65" font-size="50" text-anchor="middle" fill="white">⚠</text></svg>',
-                    badge: 'data:image/svg+xml,<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100"><circle cx="50" cy="50" r="40" fill="%23ef4444"/></svg>',
-                    tag: 'emergency-alert',
-                    requireInteraction: true,
-                    vibrate: [200, 100, 200, 100, 200],
-                    actions: [
-                        { action: 'call', title: 'Call Emergency' },
-                        { action: 'sms', title: 'Send SMS' }
-                    ]
-                });
-
-                notification.onclick = () => {
-                    window.focus();
-                    this.initiateCall();
-                };
-
-                this.notifiedServices.push('Desktop Notification');
-                addLog('Emergency notification sent', 'info');
-            } catch (error) {
-                console.log('Notification error:', error);
-            }
-        }
-
-        // Method 3: Try to use Web Share Target API (if registered)
-        if (navigator.share) {
-            try {
-                // Note: This still requires user gesture, but we attempt it
-                await navigator.share({
-                    title: '🚨 EMERGENCY ALERT',
-                    text: message,
-                    url: gpsTracker.getGoogleMapsUrl(location.latitude, location.longitude)
-                });
-                this.notifiedServices.push('Web Share');
-            } catch (error) {
-                // User cancelled or not supported
-                console.log('Share failed:', error);
-            }
-        }
-
-        // Method 4: Store in IndexedDB for service worker to process
-        try {
-            const dbRequest = indexedDB.open('EmergencyDB', 1);
-            
-            dbRequest.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                if (!db.objectStoreNames.contains('alerts')) {
-                    db.createObjectStore('alerts', { keyPath: 'timestamp' });
-                }
-            };
-
-            dbRequest.onsuccess = (event) => {
-                const db = event.target.result;
-                const transaction = db.transaction(['alerts'], 'readwrite');
-                const store = transaction.objectStore('alerts');
-                
-                store.add({
-                    timestamp: Date.now(),
-                    message: message,
-                    location: location,
-                    emergencyNumber: emergencyNumber,
-                    severity: 'critical'
-                });
-                
-                addLog('Emergency stored in local database', 'info');
-            };
-        } catch (error) {
-            console.log('IndexedDB error:', error);
+        if (crashTypeElement) {
+            crashTypeElement.textContent = details.crashType ? describeCrashType(details.crashType) : 'Unknown';
         }
 
-        // Method 5: Try Beacon API (sends data even if page closes)
-        try {
-            const emergencyData = JSON.stringify({
-                type: 'emergency',
-                message: message,
-                location: location,
-                timestamp: Date.now()
-            });
-            
-            // You would need to set up a server endpoint for this
-            // navigator.sendBeacon('/emergency-endpoint', emergencyData);
-            
-            addLog('Emergency data prepared for transmission', 'info');
-        } catch (error) {
-            console.log('Beacon API error:', error);
-        }
+        this.renderNotifiedServices();
     }
 
-    sendSMS(message, location) {
-        const emergencyNumber = this.getEmergencyNumber();
+    renderNotifiedServices() {
+        const servicesElement = document.getElementById('notifiedServices');
+        if (!servicesElement) return;
 
-        // Method 1: SMS URL scheme (works on most mobile devices)
-        const smsBody = encodeURIComponent(message);
-        const smsUrl = `sms:${emergencyNumber}?body=${smsBody}`;
+        servicesElement.innerHTML = this.notifiedServices.map(service =>
+            `<li>✓ ${escapeHtml(service)}</li>`
+        ).join('');
+    }
 
-        // Try to open SMS app
-        try {
-            // Create a hidden link and click it
-            const link = document.createElement('a');
-            link.href = smsUrl;
-            link.style.display = 'none';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+    // Sends through each channel to one recipient (null for broadcast channels) and
+    // reports every result in notifiedServices as "<Channel>[ to <name>]: <status>".
+    // extra is merged into the request, e.g. { type: 'resolution', subject } for a follow-up.
+    async notify(recipient, channelIds, message, location, extra = {}) {
+        const request = Object.assign({ recipient, message, location, subject: '🚨 EMERGENCY ALERT', alert: this.activeAlert }, extra);
+        const results = await Promise.all(channelIds.map(id => channelRegistry.send(id, request)));
+
+        // Follow-ups are listed with the alert they follow, so tell them apart
+        const prefix = request.type === 'resolution' ? 'Follow-up ' : '';
+        results.forEach(result => {
+            // Channels that can't run here are only logged
+            if (result.status === 'unsupported') return;
+            const to = recipient ? ` to ${recipient.name}` : '';
+            const detail = result.detail ? ` (${result.detail})` : '';
+            this.notifiedServices.push(`${prefix}${result.label}${to}: ${result.status}${detail}`);
+        });
+        this.renderNotifiedServices();
+        return results;
+    }
 
-            this.notifiedServices.push(`SMS to ${emergencyNumber}`);
-            addLog(`SMS prepared for ${emergencyNumber}`, 'info');
-        } catch (error) {
-            addLog(`Could not send SMS: ${error.message}`, 'error');
-        }
+    // Channels that reach no one in particular (notification, share, webhook) - once per alert
+    broadcast(message, location) {
+        return this.notify(null, channelRegistry.broadcasts(), message, location);
+    }
 
-        // Method 2: If Web Share API is available
-        if (navigator.share) {
-            navigator.share({
-                title: 'EMERGENCY ALERT',
-                text: message
-            }).catch(err => console.log('Share failed:', err));
-        }
+    notifyEmergencyNumber(message, location) {
+        const number = this.getEmergencyNumber();
+        return this.notify({ kind: 'emergency', name: number, phone: number }, this.emergencyChannels, message, location);
     }
 
-    initiateCall() {
-        const emergencyNumber = this.getEmergencyNumber();
-        const autoCallEnabled = localStorage.getItem('enableAutoCall') === 'true';
+    initiateCall(number, autoDial = false) {
+        const telUrl = `tel:${number}`;
 
-        // Automatically initiate call
-        const telUrl = `tel:${emergencyNumber}`;
+        if (autoDial) {
+            emergencyLog.info('Attempting automatic call...');
 
-        try {
-            if (autoCallEnabled) {
-                addLog('📞 Attempting automatic call...', 'info');
-                
-                // Aggressive auto-dial attempt
-                this.attemptAutoDial(telUrl, emergencyNumber);
-            } else {
-                // Standard call initiation (requires user tap)
-                this.openDialer(telUrl, emergencyNumber);
-            }
-        } catch (error) {
-            addLog(`Could not initiate call: ${error.message}`, 'error');
+            // Aggressive auto-dial attempt
+            this.attemptAutoDial(telUrl, number);
+        } else {
+            // Standard call initiation (requires user tap)
+            this.openDialer(telUrl, number);
         }
-        
+
         // Show visual confirmation
-        this.showCallConfirmation(emergencyNumber);
+        this.showCallConfirmation(number);
     }
 
     attemptAutoDial(telUrl, number) {
@@ -492,37 +542,30 @@ class EmergencyHandler {
                 }, 1000);
             }, i * 200);
         }
-        
-        this.notifiedServices.push(`Call to ${number} (auto-dialed)`);
-        addLog(`✓ Auto-dial attempted to ${number}`, 'info');
+
+        emergencyLog.info(`Auto-dial attempted to ${number}`);
     }
 
     openDialer(telUrl, number) {
-        // Standard call initiation
-        try {
-            // Method 1: Create hidden iframe for auto-trigger
-            const iframe = document.createElement('iframe');
-            iframe.style.display = 'none';
-            iframe.src = telUrl;
-            document.body.appendChild(iframe);
-            
-            // Method 2: Also try direct navigation (fallback)
-            setTimeout(() => {
-                window.location.href = telUrl;
-            }, 500);
-            
-            // Clean up
-            setTimeout(() => {
-                if (iframe.parentNode) {
-                    document.body.removeChild(iframe);
-                }
-            }, 3000);
+        // Method 1: Create hidden iframe for auto-trigger
+        const iframe = document.createElement('iframe');
+        iframe.style.display = 'none';
+        iframe.src = telUrl;
+        document.body.appendChild(iframe);
+        
+        // Method 2: Also try direct navigation (fallback)
+        setTimeout(() => {
+            window.location.href = telUrl;
+        }, 500);
+        
+        // Clean up
+        setTimeout(() => {
+            if (iframe.parentNode) {
+                document.body.removeChild(iframe);
+            }
+        }, 3000);
 
-            this.notifiedServices.push(`Call to ${number} (initiated)`);
-            addLog(`Emergency call initiated to ${number}`, 'info');
-        } catch (error) {
-            addLog(`Could not open dialer: ${error.message}`, 'error');
-        }
+        emergencyLog.info(`Call initiated to ${number}`, { channel: 'call', to: number });
     }
 
     showCallConfirmation(number) {
@@ -551,51 +594,68 @@ class EmergencyHandler {
         }, 5000);
     }
 
-    // Send alert to multiple contacts
-    sendToMultipleContacts(contacts, message) {
-        contacts.forEach(contact => {
-            if (contact.phone) {
-                // Send SMS
-                const smsUrl = `sms:${contact.phone}?body=${encodeURIComponent(message)}`;
-                window.open(smsUrl, '_blank');
-                this.notifiedServices.push(`SMS to ${contact.name || contact.phone}`);
-            }
-        });
-    }
+    // Send alert to multiple contacts on each of their channels.
+    // The per-contact outcome keeps every typed result, unsupported ones included.
+    async sendToMultipleContacts(contacts, message, location) {
+        await Promise.all(contacts.map(async contact => {
+            const recipient = Object.assign({ kind: 'contact' }, contact);
+            const results = await this.notify(recipient, contact.channels, message, location);
+
+            const status = {
+                contactId: contact.id,
+                name: contact.name,
+                relationship: contact.relationship,
+                phone: contact.phone,
+                channels: {}
+            };
+            results.forEach(result => {
+                status.channels[result.channel] = result.status;
+            });
 
-    // Send email alert (if email is configured)
-    sendEmailAlert(message, location) {
-        const subject = '🚨 EMERGENCY ALERT';
-        const body = message + '\n\nLocation: ' + gpsTracker.getGoogleMapsUrl(location.latitude, location.longitude);
-        
-        const mailtoUrl = `mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
-        window.open(mailtoUrl, '_blank');
-        
-        this.notifiedServices.push('Email alert');
+            // A retry replaces the contact's earlier result
+            this.contactStatus = this.contactStatus.filter(entry => entry.contactId !== contact.id).concat(status);
+            emergencyLog.info(`Contact ${contact.name} notified`, { contact: contact.name, channels: status.channels });
+        }));
     }
 
-    // Send WhatsApp message (opens WhatsApp Web)
-    sendWhatsApp(message, location) {
-        const emergencyNumber = this.getEmergencyNumber();
-        
-        try {
-            // WhatsApp Web URL format
-            const whatsappMessage = encodeURIComponent(message);
-            // Note: WhatsApp requires country code without + or 0 prefix
-            const cleanNumber = emergencyNumber.replace(/[^0-9]/g, '');
-            const whatsappUrl = `https://wa.me/${cleanNumber}?text=${whatsappMessage}`;
-            
-            // Try to open WhatsApp Web in new tab
-            window.open(whatsappUrl, '_blank');
-            
-            this.notifiedServices.push(`WhatsApp to ${emergencyNumber}`);
-            addLog(`WhatsApp message sent to ${emergencyNumber}`, 'info');
-        } catch (error) {
-            addLog(`Could not send WhatsApp: ${error.message}`, 'error');
-        }
+    // Opens a URL scheme (sms:, tel:) through a hidden link click
+    openLink(url) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
     }
 }
 
+// Helper functions
+function finiteOrNull(value) {
+    return typeof value === 'number' && isFinite(value) ? value : null;
+}
+
+// Great-circle distance in metres (haversine)
+function distanceBetween(from, to) {
+    const radius = 6371000;
+    const toRad = Math.PI / 180;
+    const dLat = (to.latitude - from.latitude) * toRad;
+    const dLon = (to.longitude - from.longitude) * toRad;
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(from.latitude * toRad) * Math.cos(to.latitude * toRad) * Math.sin(dLon / 2) ** 2;
+    return 2 * radius * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Initial bearing in degrees clockwise from true north, like coords.heading
+function bearingBetween(from, to) {
+    const toRad = Math.PI / 180;
+    const lat1 = from.latitude * toRad;
+    const lat2 = to.latitude * toRad;
+    const dLon = (to.longitude - from.longitude) * toRad;
+    const y = Math.sin(dLon) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+    return (Math.atan2(y, x) / toRad + 360) % 360;
+}
+
 // Helper function to save emergency number
 function saveEmergencyNumber() {
     const input = document.getElementById('emergencyNumber');
@@ -621,5 +681,5 @@ window.addEventListener('load', () => {
         input.value = savedNumber;
     }
     
-    addLog('GPS and Emergency systems initialized', 'info');
+    emergencyLog.info('GPS and Emergency systems initialized');
 });
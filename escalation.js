@@ -0,0 +1,275 @@
+// Escalation Module
+// Works through the people to tell one tier at a time - the top contact (usually family),
+// then each following contact, then the public emergency number - re-sending and moving on
+// when nobody acknowledges in time. Runs while the emergency screen is shown.
+const ESCALATION_POLICY = {
+    first: { timeout: 60000, retries: 1 },       // Top-priority contact
+    next: { timeout: 45000, retries: 0 },        // Every following contact
+    emergency: { timeout: 120000, retries: 2 }   // Public emergency number - last resort
+};
+
+const ESCALATION_TIER_STATES = {
+    pending: 'Waiting',
+    active: 'Contacting',
+    'timed-out': 'No response',
+    acknowledged: 'Acknowledged',
+    skipped: 'Skipped',
+    'not-needed': 'Not needed'
+};
+
+class EscalationEngine {
+    constructor(policy = ESCALATION_POLICY) {
+        this.policy = policy;
+        this.state = 'idle';    // idle, running, acknowledged, exhausted, stopped
+        this.tiers = [];
+        this.current = -1;
+        this.alert = null;
+        this.acknowledgedBy = null;
+        this.timer = null;
+        this.ticker = null;
+        this.callbacks = [];
+    }
+
+    // One tier per contact in priority order, then the emergency number
+    buildTiers(contacts) {
+        const tiers = contacts.map((contact, index) => {
+            const policy = index === 0 ? this.policy.first : this.policy.next;
+            return {
+                id: contact.id,
+                kind: 'contact',
+                label: contact.relationship ? `${contact.name} (${contact.relationship})` : contact.name,
+                contact: contact,
+                timeout: policy.timeout,
+                retries: policy.retries,
+                attempts: 0,
+                lastSentAt: null,
+                state: 'pending'
+            };
+        });
+
+        tiers.push({
+            id: 'emergency',
+            kind: 'emergency',
+            label: `Emergency services (${emergencyHandler.getEmergencyNumber()})`,
+            contact: null,
+            timeout: this.policy.emergency.timeout,
+            retries: this.policy.emergency.retries,
+            attempts: 0,
+            lastSentAt: null,
+            state: 'pending'
+        });
+        return tiers;
+    }
+
+    // alert: { severity, message, location, incidentId }
+    start(alert, contacts) {
+        this.stop('restarted');
+
+        this.alert = alert;
+        this.tiers = this.buildTiers(contacts);
+        this.state = 'running';
+        this.acknowledgedBy = null;
+        this.startedAt = Date.now();
+        this.ticker = setInterval(() => this.render(), 1000);
+
+        emergencyLog.info(`Escalation started - ${this.tiers.length} tier(s)`,
+            { severity: alert.severity, tiers: this.tiers.map(tier => tier.label) });
+        this.advance(0);
+    }
+
+    advance(index) {
+        this.current = index;
+        this.tiers[index].state = 'active';
+        this.dispatch();
+    }
+
+    activeTier() {
+        return this.state === 'running' ? this.tiers[this.current] : null;
+    }
+
+    // Sends the alert to the active tier and waits for an acknowledgement
+    dispatch() {
+        const tier = this.tiers[this.current];
+        const { message, location } = this.alert;
+
+        tier.attempts++;
+        tier.lastSentAt = Date.now();
+        const sending = tier.kind === 'contact'
+            ? emergencyHandler.sendToMultipleContacts([tier.contact], message, location)
+            : emergencyHandler.notifyEmergencyNumber(message, location);
+
+        emergencyLog.warning(`Escalation: contacting ${tier.label} (attempt ${tier.attempts} of ${tier.retries + 1})`,
+            { tier: tier.id, attempt: tier.attempts });
+        this.record({ event: 'escalated', tier: tier.label, attempt: tier.attempts });
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.onTimeout(), tier.timeout);
+        this.changed();
+
+        // Channel results arrive asynchronously - save them once they are in
+        sending.then(() => this.record());
+    }
+
+    onTimeout() {
+        const tier = this.activeTier();
+        if (!tier) return;
+
+        if (tier.attempts <= tier.retries) {
+            this.dispatch();
+            return;
+        }
+
+        tier.state = 'timed-out';
+        emergencyLog.warning(`Escalation: no response from ${tier.label}`, { tier: tier.id });
+        if (this.current < this.tiers.length - 1) {
+            this.advance(this.current + 1);
+        } else {
+            this.finish('exhausted');
+        }
+    }
+
+    // by: who responded - defaults to the tier being contacted
+    acknowledge(by = null) {
+        const tier = this.activeTier();
+        if (!tier) return false;
+
+        tier.state = 'acknowledged';
+        this.tiers.slice(this.current + 1).forEach(later => {
+            later.state = 'not-needed';
+        });
+        this.finish('acknowledged', by || tier.label);
+        return true;
+    }
+
+    // Jumps straight to the emergency number, skipping the contacts still to go
+    skipToEmergency() {
+        const tier = this.activeTier();
+        if (!tier || tier.kind === 'emergency') return false;
+
+        const last = this.tiers.length - 1;
+        this.tiers.slice(this.current, last).forEach(skipped => {
+            skipped.state = 'skipped';
+        });
+        emergencyLog.warning('Escalation: skipped to emergency services');
+        this.record({ event: 'skipped-to-emergency' });
+        this.advance(last);
+        return true;
+    }
+
+    finish(state, acknowledgedBy = null) {
+        this.clearTimers();
+        this.state = state;
+        this.acknowledgedBy = acknowledgedBy;
+
+        if (state === 'acknowledged') {
+            emergencyLog.info(`Escalation stopped - acknowledged by ${acknowledgedBy}`, { by: acknowledgedBy });
+            this.record({ event: 'acknowledged', by: acknowledgedBy });
+        } else {
+            emergencyLog.error('Escalation finished - nobody acknowledged the alert');
+            this.record({ event: 'escalation-exhausted' });
+        }
+        this.changed();
+    }
+
+    stop(reason = 'stopped') {
+        if (this.state !== 'running') return;
+
+        this.clearTimers();
+        this.state = 'stopped';
+        emergencyLog.info(`Escalation stopped (${reason})`, { reason: reason });
+        this.record({ event: 'escalation-stopped', reason: reason });
+        this.changed();
+    }
+
+    clearTimers() {
+        clearTimeout(this.timer);
+        clearInterval(this.ticker);
+        this.timer = null;
+        this.ticker = null;
+    }
+
+    // Keeps the incident's notifications and timeline in step with the escalation
+    record(event = null) {
+        if (!this.alert || !this.alert.incidentId) return;
+
+        incidentStore.update(this.alert.incidentId, {
+            notifiedServices: emergencyHandler.notifiedServices.slice(),
+            contactStatus: JSON.parse(JSON.stringify(emergencyHandler.contactStatus)),
+            escalation: this.getStatus()
+        }, event);
+    }
+
+    // Seconds until the active tier times out, or null when not running
+    remaining() {
+        const tier = this.activeTier();
+        if (!tier) return null;
+        return Math.max(0, Math.ceil((tier.lastSentAt + tier.timeout - Date.now()) / 1000));
+    }
+
+    getStatus() {
+        const tier = this.activeTier();
+        return {
+            state: this.state,
+            activeTier: tier ? tier.label : null,
+            remaining: this.remaining(),
+            acknowledgedBy: this.acknowledgedBy,
+            tiers: this.tiers.map(entry => ({
+                label: entry.label,
+                kind: entry.kind,
+                state: entry.state,
+                attempts: entry.attempts
+            }))
+        };
+    }
+
+    changed() {
+        this.render();
+        emergencyHandler.renderNotifiedServices();
+        this.callbacks.forEach(callback => callback(this.getStatus()));
+    }
+
+    render() {
+        const list = document.getElementById('escalationProgress');
+        const summary = document.getElementById('escalationStatus');
+        const skipButton = document.getElementById('skipEscalationBtn');
+        const acknowledgeButton = document.getElementById('acknowledgeBtn');
+        const tier = this.activeTier();
+
+        if (list) {
+            list.innerHTML = this.tiers.map((entry, index) => {
+                const active = this.state === 'running' && index === this.current;
+                const detail = active
+                    ? ` - attempt ${entry.attempts} of ${entry.retries + 1}, ${this.remaining()}s left`
+                    : '';
+                return `<li class="escalation-tier ${entry.state}">${index + 1}. ${escapeHtml(entry.label)}: ` +
+                    `${ESCALATION_TIER_STATES[entry.state]}${detail}</li>`;
+            }).join('');
+        }
+
+        if (summary) {
+            const text = {
+                running: tier ? `Contacting ${tier.label}` : '',
+                acknowledged: `Acknowledged by ${this.acknowledgedBy}`,
+                exhausted: 'Nobody acknowledged - keep trying emergency services',
+                stopped: 'Escalation stopped',
+                idle: ''
+            };
+            summary.textContent = text[this.state];
+        }
+
+        if (skipButton) skipButton.disabled = !tier || tier.kind === 'emergency';
+        if (acknowledgeButton) acknowledgeButton.disabled = !tier;
+    }
+}
+
+// Global functions for button handlers
+function acknowledgeEscalation() {
+    escalationEngine.acknowledge();
+}
+
+function skipToEmergencyServices() {
+    escalationEngine.skipToEmergency();
+}
+
+// Create global instance
+const escalationEngine = new EscalationEngine();
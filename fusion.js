@@ -0,0 +1,118 @@
+// Sensor Fusion Module
+// Weighs every piece of crash evidence into a single confidence (logistic model over
+// per-factor scores) and settles the severity handed to the alert screen.
+class FusionEngine {
+    constructor() {
+        // Log-odds with no evidence at all (~3% crash confidence)
+        this.bias = -3.5;
+
+        // Log-odds added by a factor scoring 1.0
+        this.weights = {
+            impact: 5,
+            jerk: 1,
+            rotation: 4,
+            audio: 2,
+            speedChange: 2.5,
+            stillness: 2.5
+        };
+
+        // How confidence moves the severity measured from the impact itself
+        this.confidenceBands = [
+            { min: 0.9, shift: 1 },
+            { min: 0.5, shift: 0 },
+            { min: 0.25, shift: -1 },
+            { min: 0.1, shift: -2 }
+        ];
+
+        // Post-impact state of the vehicle (see AccidentDetector.assessConfirmation)
+        this.stillnessScores = {
+            stationary: 1,
+            stopped: 0.4,
+            slowing: 0,
+            moving: -0.6,
+            driving: -1
+        };
+
+        this.severeSpeedDrop = 13.9;  // m/s (~50 km/h) lost counts as at least high severity
+    }
+
+    // evidence: { severity, impactForce, jerk, rotation, rollover, position, audioScore,
+    // deceleration, outcome } - anything missing simply contributes nothing
+    assess(evidence) {
+        const factors = this.scoreFactors(evidence);
+        const logit = factors.reduce((sum, factor) => sum + factor.contribution, this.bias);
+        const confidence = 1 / (1 + Math.exp(-logit));
+
+        let baseSeverity = evidence.severity || 'none';
+        const drop = evidence.deceleration;
+        if (drop) {
+            const floor = drop.drop >= this.severeSpeedDrop ? 'high' : 'medium';
+            if (SEVERITY_LEVELS.indexOf(floor) > SEVERITY_LEVELS.indexOf(baseSeverity)) {
+                baseSeverity = floor;
+            }
+        }
+
+        const band = this.confidenceBands.find(entry => confidence >= entry.min);
+        const severity = band ? shiftSeverity(baseSeverity, band.shift) : 'none';
+
+        return {
+            confidence: confidence,
+            severity: severity,
+            baseSeverity: baseSeverity,
+            factors: factors
+        };
+    }
+
+    scoreFactors(evidence) {
+        const factors = [];
+        const add = (name, label, value, score) => {
+            if (score === null || score === undefined) return;
+            const weight = this.weights[name];
+            factors.push({ name, label, value, score, weight, contribution: weight * score });
+        };
+
+        if (evidence.impactForce) {
+            add('impact', 'Impact', `${evidence.impactForce.toFixed(1)}g`, clamp01((evidence.impactForce - 2) / 6));
+        }
+
+        if (evidence.jerk) {
+            add('jerk', 'Jerk', `${Math.round(evidence.jerk)} g/s`, clamp01(evidence.jerk / 400));
+        }
+
+        if (evidence.rollover) {
+            add('rotation', 'Rotation', `rollover (${evidence.position})`, 1);
+        } else if (evidence.rotation) {
+            add('rotation', 'Rotation', `${Math.round(evidence.rotation)}°`, clamp01(evidence.rotation / 180));
+        }
+
+        if (typeof evidence.audioScore === 'number') {
+            add('audio', 'Crash sound', `score ${evidence.audioScore.toFixed(2)}`, evidence.audioScore);
+        }
+
+        if (evidence.deceleration) {
+            const { fromSpeed, toSpeed, drop } = evidence.deceleration;
+            add('speedChange', 'Speed change',
+                `${(fromSpeed * 3.6).toFixed(0)} → ${(toSpeed * 3.6).toFixed(0)} km/h`, clamp01(drop / 16.7));
+        }
+
+        if (evidence.outcome in this.stillnessScores) {
+            add('stillness', 'After impact', evidence.outcome, this.stillnessScores[evidence.outcome]);
+        }
+
+        return factors;
+    }
+
+    // One line per factor, strongest first, e.g. "Impact: 6.5g (+3.8)"
+    describe(fusion) {
+        return fusion.factors
+            .slice()
+            .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+            .map(factor => {
+                const sign = factor.contribution >= 0 ? '+' : '−';
+                return `${factor.label}: ${factor.value} (${sign}${Math.abs(factor.contribution).toFixed(1)})`;
+            });
+    }
+}
+
+// Create global instance
+const fusionEngine = new FusionEngine();
@@ -0,0 +1,219 @@
+// Incident History Module
+// Every candidate detection becomes an incident that follows it through the alert to a
+// dismissal, cancellation or sent emergency. Kept in IndexedDB for the Incidents tab.
+const incidentLog = logger.module('incidents');
+const INCIDENT_OUTCOMES = {
+    pending: 'In progress',
+    dismissed: 'Dismissed by post-impact check',
+    cancelled: 'Cancelled',
+    'emergency-sent': 'Emergency sent',
+    // Closed from the emergency screen - see resolution.js
+    safe: 'Safe / false alarm',
+    'minor-help': 'Needed help, not critical',
+    'needs-help': 'Still needed help'
+};
+
+class IncidentStore {
+    constructor() {
+        // Incidents touched this session, so quick successive updates don't race the database
+        this.cache = new Map();
+        this.callbacks = [];
+    }
+
+    // status: 'candidate' for impacts awaiting confirmation, 'alert' for direct alerts
+    // (rollover) and 'emergency' for a manual emergency without an alert
+    create(severity, details = {}, timestamp = Date.now(), status = 'candidate') {
+        const position = gpsTracker.currentPosition;
+        const incident = {
+            id: `incident-${timestamp}`,
+            startedAt: timestamp,
+            updatedAt: timestamp,
+            status: status,
+            severity: severity,
+            candidateSeverity: severity,
+            outcome: 'pending',
+            cancelMethod: null,
+            profile: details.profile || accidentDetector.profile.name,
+            crashType: details.crashType || null,
+            impactForce: details.impactForce || null,
+            confidence: details.fusion ? details.fusion.confidence : null,
+            location: position ? {
+                latitude: position.latitude,
+                longitude: position.longitude,
+                accuracy: position.accuracy,
+                speed: position.speed
+            } : null,
+            snapshotId: details.snapshot ? details.snapshot.id : null,
+            // The approach to the impact, for the exported track
+            track: gpsTracker.history.map(fix => ({
+                t: fix.timestamp,
+                lat: fix.latitude,
+                lon: fix.longitude,
+                accuracy: fix.accuracy,
+                speed: fix.speed,
+                heading: fix.heading
+            })),
+            notifiedServices: [],
+            timeline: [{ t: timestamp, event: status, severity: severity }]
+        };
+
+        this.cache.set(incident.id, incident);
+        this.persist(incident);
+        incidentLog.info(`Incident recorded - ${severity} ${status}`,
+            { incident: incident.id, severity: severity, status: status });
+        return incident;
+    }
+
+    // event: timeline entry such as { event: 'cancelled', method: 'voice' }
+    async update(id, changes, event = null) {
+        const incident = this.cache.get(id) || await localDB.get('incidents', id);
+        if (!incident) {
+            incidentLog.warning(`Unknown incident ${id}`, { incident: id });
+            return null;
+        }
+
+        const now = Date.now();
+        Object.assign(incident, changes, { updatedAt: now });
+        if (event) {
+            incident.timeline.push(Object.assign({ t: now }, event));
+        }
+
+        this.cache.set(id, incident);
+        await this.persist(incident);
+        return incident;
+    }
+
+    persist(incident) {
+        return localDB.put('incidents', incident)
+            .then(() => {
+                this.callbacks.forEach(callback => callback(incident));
+            })
+            .catch((error) => {
+                incidentLog.error(`Could not save incident: ${error.message}`, { incident: incident.id });
+            });
+    }
+
+    get(id) {
+        return localDB.get('incidents', id);
+    }
+
+    // Newest first. filter: { outcome, severity } - 'all' or missing matches everything
+    async getIncidents(filter = {}) {
+        const incidents = await localDB.getAll('incidents');
+        return incidents
+            .filter(incident => !filter.outcome || filter.outcome === 'all' || incident.outcome === filter.outcome)
+            .filter(incident => !filter.severity || filter.severity === 'all' || incident.severity === filter.severity)
+            .sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    // Removes the incident together with its black box snapshot
+    async delete(id) {
+        const incident = this.cache.get(id) || await localDB.get('incidents', id);
+        this.cache.delete(id);
+        await localDB.delete('incidents', id);
+        if (incident && incident.snapshotId) {
+            await blackBoxRecorder.deleteSnapshot(incident.snapshotId);
+        }
+        incidentLog.info(`Incident ${id} deleted`,
+            { incident: id, snapshot: incident && incident.snapshotId ? incident.snapshotId : null });
+    }
+}
+
+// Global functions for button handlers
+async function renderIncidentList() {
+    const container = document.getElementById('incidentList');
+    if (!container) return;
+
+    const outcome = document.getElementById('incidentOutcomeFilter');
+    const severity = document.getElementById('incidentSeverityFilter');
+    const incidents = await incidentStore.getIncidents({
+        outcome: outcome ? outcome.value : 'all',
+        severity: severity ? severity.value : 'all'
+    });
+
+    if (incidents.length === 0) {
+        container.innerHTML = '<p style="color: #6b7280;">No incidents</p>';
+        return;
+    }
+
+    container.innerHTML = incidents.map(incident => `
+        <div class="sensor-item incident-item">
+            <span>
+                <strong>${new Date(incident.startedAt).toLocaleString()}</strong><br>
+                ${incident.severity.toUpperCase()}${incident.crashType ? ` · ${incident.crashType.label}` : ''}
+                · ${INCIDENT_OUTCOMES[incident.outcome]}
+            </span>
+            <span>
+                <button class="btn-small" onclick="openIncident('${incident.id}')">🔍</button>
+                <button class="btn-small" onclick="deleteIncident('${incident.id}')">🗑️</button>
+            </span>
+        </div>
+    `).join('');
+}
+
+async function openIncident(id) {
+    const container = document.getElementById('incidentDetail');
+    if (!container) return;
+
+    const incident = await incidentStore.get(id);
+    if (!incident) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const location = incident.location;
+    const rows = [
+        ['Started', new Date(incident.startedAt).toLocaleString()],
+        ['Severity', `${incident.severity.toUpperCase()} (detected as ${incident.candidateSeverity})`],
+        ['Crash type', incident.crashType ? describeCrashType(incident.crashType) : 'Unknown'],
+        ['Outcome', INCIDENT_OUTCOMES[incident.outcome] +
+            (incident.cancelMethod ? ` by ${incident.cancelMethod}` : '')],
+        ['Profile', incident.profile],
+        ['Impact', incident.impactForce ? `${incident.impactForce.toFixed(2)}g` : '-'],
+        ['Confidence', incident.confidence !== null ? `${Math.round(incident.confidence * 100)}%` : '-'],
+        ['Location', location
+            ? `<a href="${gpsTracker.getGoogleMapsUrl(location.latitude, location.longitude)}" target="_blank">` +
+              `${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}</a>`
+            : 'Unavailable'],
+        // Contact names are typed by the user
+        ['Notified', escapeHtml(incident.notifiedServices.join(', ')) || '-']
+    ];
+
+    container.innerHTML = `
+        <h4>Incident ${new Date(incident.startedAt).toLocaleTimeString()}</h4>
+        <div class="readings">
+            ${rows.map(([label, value]) => `<div class="reading-item"><span>${label}:</span><span>${value}</span></div>`).join('')}
+        </div>
+        <h4>Timeline</h4>
+        <ul class="incident-timeline">
+            ${incident.timeline.map(entry => `<li>${new Date(entry.t).toLocaleTimeString()} - ${entry.event}` +
+                `${entry.severity ? ` (${entry.severity})` : ''}${entry.method ? ` by ${entry.method}` : ''}</li>`).join('')}
+        </ul>
+        <div class="incident-exports">
+            <button class="btn-small" onclick="exportIncident('${incident.id}', 'html')">📄 Report</button>
+            <button class="btn-small" onclick="exportIncident('${incident.id}', 'geojson')">🗺️ GeoJSON</button>
+            <button class="btn-small" onclick="exportIncident('${incident.id}', 'gpx')">🛰️ GPX</button>
+            <button class="btn-small" onclick="exportIncident('${incident.id}', 'csv')">📈 CSV</button>
+            ${incident.snapshotId
+                ? `<button class="btn-small" onclick="downloadBlackBox('${incident.snapshotId}')">⬇️ Black Box Snapshot</button>`
+                : ''}
+        </div>
+    `;
+}
+
+async function deleteIncident(id) {
+    if (!confirm('Delete this incident and its black box snapshot?')) return;
+
+    await incidentStore.delete(id);
+    const detail = document.getElementById('incidentDetail');
+    if (detail) detail.innerHTML = '';
+    renderIncidentList();
+}
+
+// Create global instance
+const incidentStore = new IncidentStore();
+
+window.addEventListener('load', () => {
+    incidentStore.callbacks.push(() => renderIncidentList());
+    renderIncidentList();
+});
@@ -0,0 +1,239 @@
+// Live Location Module
+// Keeps responders up to date after an emergency is sent: high-accuracy GPS tracking stays
+// on and a location update with accuracy, speed and battery goes out every interval until
+// the session runs out or the user marks themselves safe.
+class LiveLocationSharer {
+    constructor() {
+        this.options = {
+            enabled: true,
+            interval: 60000,         // ms between updates
+            duration: 30 * 60000     // ms before sharing stops by itself
+        };
+
+        this.state = 'idle';         // idle, sharing, stopped
+        this.alert = null;
+        this.startedAt = null;
+        this.endsAt = null;
+        this.stopReason = null;
+        this.updates = [];           // { sequence, t, latitude, longitude, accuracy, speed, battery, results }
+        this.baseTrack = [];
+        this.startedTracking = false;
+        this.timer = null;
+        this.endTimer = null;
+        this.batteryPromise = null;
+        this.callbacks = [];
+    }
+
+    // alert: { incidentId, severity, details }
+    start(alert) {
+        this.stop('restarted');
+        if (!this.options.enabled) {
+            emergencyLog.info('Live location sharing is turned off');
+            return false;
+        }
+
+        this.alert = alert;
+        this.state = 'sharing';
+        this.startedAt = Date.now();
+        this.endsAt = this.startedAt + this.options.duration;
+        this.stopReason = null;
+        this.updates = [];
+
+        const incident = incidentStore.cache.get(alert.incidentId);
+        this.baseTrack = incident && incident.track ? incident.track.slice() : [];
+
+        // Leave tracking on afterwards if it was already running for detection
+        this.startedTracking = !gpsTracker.watchId;
+        if (this.startedTracking) {
+            gpsTracker.startTracking();
+        }
+
+        this.timer = setInterval(() => this.sendUpdate(), this.options.interval);
+        this.endTimer = setTimeout(() => this.stop('expired'), this.options.duration);
+
+        emergencyLog.info(`Live location sharing started for ${Math.round(this.options.duration / 60000)} min`, {
+            interval: this.options.interval,
+            channels: this.channels()
+        });
+        this.record({ event: 'live-location-started', until: this.endsAt });
+        this.changed();
+        return true;
+    }
+
+    stop(reason = 'stopped') {
+        if (this.state !== 'sharing') return false;
+
+        clearInterval(this.timer);
+        clearTimeout(this.endTimer);
+        this.timer = null;
+        this.endTimer = null;
+        this.state = 'stopped';
+        this.stopReason = reason;
+
+        if (this.startedTracking) {
+            gpsTracker.stopTracking();
+            this.startedTracking = false;
+        }
+
+        emergencyLog.info(`Live location sharing stopped (${reason}) after ${this.updates.length} update(s)`,
+            { reason: reason, updates: this.updates.length });
+        this.record({ event: 'live-location-stopped', reason: reason, updates: this.updates.length });
+        this.changed();
+        return true;
+    }
+
+    // Enabled channels that send without a tap and carry a location - the webhook by default.
+    // SMS and the like would open an app on every update, so they are left out.
+    channels() {
+        return channelRegistry.broadcasts().filter(id => {
+            const capabilities = channelRegistry.get(id).capabilities;
+            return capabilities.automatic && capabilities.location;
+        });
+    }
+
+    // Resolves to { level: 0-1, charging } or null where the Battery API is missing
+    readBattery() {
+        if (typeof navigator.getBattery !== 'function') return Promise.resolve(null);
+
+        if (!this.batteryPromise) {
+            this.batteryPromise = navigator.getBattery().catch(() => null);
+        }
+        return this.batteryPromise.then(battery => battery
+            ? { level: battery.level, charging: battery.charging }
+            : null);
+    }
+
+    async sendUpdate() {
+        if (this.state !== 'sharing') return null;
+
+        const position = gpsTracker.currentPosition;
+        if (!position) {
+            emergencyLog.warning('Live location: no GPS fix yet - update skipped');
+            return null;
+        }
+
+        const battery = await this.readBattery();
+        if (this.state !== 'sharing') return null;
+
+        const update = {
+            sequence: this.updates.length + 1,
+            t: Date.now(),
+            latitude: position.latitude,
+            longitude: position.longitude,
+            accuracy: position.accuracy,
+            speed: position.speed,
+            heading: position.heading,
+            fixedAt: position.timestamp,
+            battery: battery,
+            results: []
+        };
+        this.updates.push(update);
+
+        const request = {
+            type: 'location-update',
+            recipient: null,
+            message: this.describe(update),
+            location: position,
+            subject: '📍 Live location update',
+            alert: this.alert,
+            battery: battery,
+            session: {
+                sequence: update.sequence,
+                startedAt: new Date(this.startedAt).toISOString(),
+                endsAt: new Date(this.endsAt).toISOString()
+            }
+        };
+        update.results = await Promise.all(this.channels().map(id => channelRegistry.send(id, request)));
+
+        emergencyLog.info(`Live location update ${update.sequence} sent`, {
+            latitude: update.latitude,
+            longitude: update.longitude,
+            accuracy: update.accuracy,
+            battery: battery ? battery.level : null,
+            results: update.results.map(result => `${result.channel}: ${result.status}`)
+        });
+        this.record();
+        this.changed();
+        return update;
+    }
+
+    describe(update) {
+        const parts = [
+            `📍 Live location update ${update.sequence}`,
+            `${update.latitude.toFixed(6)}, ${update.longitude.toFixed(6)} (±${Math.round(update.accuracy)} m)`
+        ];
+        if (typeof update.speed === 'number') {
+            parts.push(`${Math.round(update.speed * 3.6)} km/h`);
+        }
+        if (update.battery) {
+            parts.push(`battery ${Math.round(update.battery.level * 100)}%${update.battery.charging ? ' (charging)' : ''}`);
+        }
+        parts.push(gpsTracker.getGoogleMapsUrl(update.latitude, update.longitude));
+        return parts.join(' - ');
+    }
+
+    // Sent fixes extend the incident's track, so exports show where the user went afterwards
+    record(event = null) {
+        if (!this.alert || !this.alert.incidentId) return;
+
+        incidentStore.update(this.alert.incidentId, {
+            track: this.baseTrack.concat(this.updates.map(update => ({
+                t: update.fixedAt,
+                lat: update.latitude,
+                lon: update.longitude,
+                accuracy: update.accuracy,
+                speed: update.speed,
+                heading: update.heading
+            }))),
+            liveLocation: this.getStatus()
+        }, event);
+    }
+
+    getStatus() {
+        const last = this.updates[this.updates.length - 1];
+        return {
+            state: this.state,
+            startedAt: this.startedAt,
+            endsAt: this.endsAt,
+            stopReason: this.stopReason,
+            updates: this.updates.length,
+            lastUpdateAt: last ? last.t : null,
+            battery: last && last.battery ? last.battery.level : null
+        };
+    }
+
+    changed() {
+        this.render();
+        this.callbacks.forEach(callback => callback(this.getStatus()));
+    }
+
+    render() {
+        const status = document.getElementById('liveLocationStatus');
+        const banner = document.getElementById('liveLocationBanner');
+        const sharing = this.state === 'sharing';
+        const last = this.updates[this.updates.length - 1];
+
+        let text = '';
+        if (sharing) {
+            const channels = this.channels();
+            text = `Sharing until ${new Date(this.endsAt).toLocaleTimeString()}`;
+            text += last ? ` - update ${last.sequence} at ${new Date(last.t).toLocaleTimeString()}` : ' - first update soon';
+            if (channels.length === 0) {
+                text += ' (no automatic channel - set up a webhook to send updates)';
+            }
+        } else if (this.state === 'stopped') {
+            const reasons = { safe: 'marked safe', expired: 'time limit reached' };
+            text = `Stopped - ${reasons[this.stopReason] || this.stopReason} after ${this.updates.length} update(s)`;
+        }
+
+        if (status) status.textContent = text;
+        if (banner) {
+            banner.style.display = sharing ? 'flex' : 'none';
+            const bannerText = document.getElementById('liveLocationBannerText');
+            if (bannerText) bannerText.textContent = `📍 ${text}`;
+        }
+    }
+}
+
+// Create global instance
+const liveLocationSharer = new LiveLocationSharer();
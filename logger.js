@@ -0,0 +1,210 @@
+// Logging Module
+// Structured log entries - level, module tag, message and fields such as severity,
+// g-force or coordinates. Recent entries are kept in memory for the Logs tab and a
+// bounded buffer is persisted in IndexedDB so they survive a reload or crash.
+const LOG_LEVELS = ['debug', 'info', 'warning', 'error'];
+const LOG_LEVEL_ICONS = { debug: '🔧', info: 'ℹ️', warning: '⚠️', error: '❌' };
+
+class Logger {
+    constructor() {
+        this.maxEntries = 500;     // Kept in memory for the Logs tab
+        this.maxStored = 2000;     // Kept in IndexedDB
+        this.pruneEvery = 100;     // Writes between trims of the stored buffer
+        this.maxDisplayed = 200;
+
+        this.entries = [];
+        this.callbacks = [];
+        this.sequence = 0;
+        this.writes = 0;
+        this.filter = { level: 'info', module: 'all', text: '' };
+    }
+
+    // fields: structured values such as { severity, g, latitude, longitude }
+    log(level, module, message, fields = {}) {
+        const timestamp = Date.now();
+        const entry = {
+            // Zero-padded so stored keys sort in logging order
+            id: `log-${timestamp}-${String(this.sequence++ % 1000000).padStart(6, '0')}`,
+            t: timestamp,
+            level: LOG_LEVELS.includes(level) ? level : 'info',
+            module: module,
+            message: String(message),
+            fields: fields
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+
+        this.persist(entry);
+        this.callbacks.forEach(callback => callback(entry));
+        return entry;
+    }
+
+    // Logger bound to one module tag, e.g. logger.module('gps').warning('No fix')
+    module(name) {
+        const bound = {};
+        LOG_LEVELS.forEach(level => {
+            bound[level] = (message, fields) => this.log(level, name, message, fields);
+        });
+        return bound;
+    }
+
+    persist(entry) {
+        return localDB.put('logs', entry)
+            .then(() => {
+                if (++this.writes % this.pruneEvery === 0) {
+                    return this.prune();
+                }
+            })
+            .catch(() => {
+                // Logging must never break the caller - the entry stays in memory
+            });
+    }
+
+    // Drops the oldest stored entries beyond maxStored
+    async prune() {
+        const stored = await localDB.getAll('logs');
+        const excess = stored.slice(0, Math.max(0, stored.length - this.maxStored));
+        for (const entry of excess) {
+            await localDB.delete('logs', entry.id);
+        }
+    }
+
+    // Brings the previous session's entries back into the Logs tab
+    async restore() {
+        const stored = await localDB.getAll('logs');
+        const known = new Set(this.entries.map(entry => entry.id));
+        const earlier = stored.filter(entry => !known.has(entry.id));
+        this.entries = earlier.concat(this.entries).slice(-this.maxEntries);
+        return this.entries.length;
+    }
+
+    // filter: { level (minimum), module, text } - 'all' or missing matches everything
+    matches(entry, filter = this.filter) {
+        const minimum = LOG_LEVELS.indexOf(filter.level);
+        if (minimum > 0 && LOG_LEVELS.indexOf(entry.level) < minimum) return false;
+        if (filter.module && filter.module !== 'all' && entry.module !== filter.module) return false;
+
+        if (filter.text) {
+            const text = `${entry.message} ${JSON.stringify(entry.fields)}`.toLowerCase();
+            if (!text.includes(filter.text.toLowerCase())) return false;
+        }
+        return true;
+    }
+
+    getEntries(filter = this.filter) {
+        return this.entries.filter(entry => this.matches(entry, filter));
+    }
+
+    getModules() {
+        return Array.from(new Set(this.entries.map(entry => entry.module))).sort();
+    }
+
+    // Whole persisted buffer as JSON Lines - one entry object per line
+    async toJSONLines(filter = this.filter) {
+        let stored = [];
+        try {
+            stored = await localDB.getAll('logs');
+        } catch (error) {
+            stored = [];
+        }
+
+        const byId = new Map();
+        stored.concat(this.entries).forEach(entry => byId.set(entry.id, entry));
+        return Array.from(byId.values())
+            .filter(entry => this.matches(entry, filter))
+            .sort((a, b) => a.t - b.t || (a.id < b.id ? -1 : 1))
+            .map(entry => JSON.stringify({
+                time: new Date(entry.t).toISOString(),
+                level: entry.level,
+                module: entry.module,
+                message: entry.message,
+                fields: entry.fields
+            }))
+            .join('\n') + '\n';
+    }
+
+    async clear() {
+        this.entries = [];
+        const stored = await localDB.getAll('logs');
+        for (const entry of stored) {
+            await localDB.delete('logs', entry.id);
+        }
+    }
+}
+
+// Helper functions
+function formatLogFields(fields) {
+    return Object.entries(fields || {})
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+        .join(' ');
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Kept for modules that still log free text - tagged 'app'
+function addLog(message, level = 'info') {
+    logger.log(level, 'app', message);
+}
+
+// Global functions for button handlers
+function renderLogs() {
+    const container = document.getElementById('logContainer');
+    if (!container) return;
+
+    const entries = logger.getEntries().slice(-logger.maxDisplayed).reverse();
+    container.innerHTML = entries.map(entry => {
+        const fields = formatLogFields(entry.fields);
+        return `<div class="log-entry ${entry.level}">` +
+            `<span class="log-time">${new Date(entry.t).toLocaleTimeString()}</span> ` +
+            `${LOG_LEVEL_ICONS[entry.level]} <span class="log-module">${escapeHtml(entry.module)}</span> ` +
+            `${escapeHtml(entry.message)}` +
+            `${fields ? `<div class="log-fields">${escapeHtml(fields)}</div>` : ''}</div>`;
+    }).join('');
+
+    // Offer every module seen so far in the filter
+    const select = document.getElementById('logModuleFilter');
+    if (select) {
+        const modules = ['all'].concat(logger.getModules());
+        const options = modules.map(module =>
+            `<option value="${module}"${module === logger.filter.module ? ' selected' : ''}>` +
+            `${module === 'all' ? 'All modules' : module}</option>`).join('');
+        if (select.innerHTML !== options) select.innerHTML = options;
+    }
+}
+
+function filterLogs() {
+    const level = document.getElementById('logLevelFilter');
+    const module = document.getElementById('logModuleFilter');
+    const text = document.getElementById('logSearch');
+
+    logger.filter = {
+        level: level ? level.value : 'info',
+        module: module ? module.value : 'all',
+        text: text ? text.value.trim() : ''
+    };
+    renderLogs();
+}
+
+async function clearLogs() {
+    await logger.clear();
+    renderLogs();
+}
+
+async function exportLogs() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    downloadFile(`vad-logs-${stamp}.jsonl`, await logger.toJSONLines(), 'application/x-ndjson');
+}
+
+// Create global instance
+const logger = new Logger();
+
+window.addEventListener('load', () => {
+    logger.callbacks.push(() => renderLogs());
+    logger.restore().then(() => renderLogs());
+});
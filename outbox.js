@@ -0,0 +1,221 @@
+// Outbox Module
+// Durable queue of outgoing emergency payloads in IndexedDB. Every payload is stored before
+// the first attempt and retried with backoff until it is delivered or given up on, so an
+// emergency raised in a dead zone still goes out once coverage returns. Shared by the page
+// and the service worker (Background Sync), so it must not touch window or document.
+const OUTBOX_SYNC_TAG = 'vad-outbox';
+
+const OUTBOX_POLICY = {
+    baseDelay: 5000,             // ms before the first retry, doubled after every failure
+    maxDelay: 300000,            // Retries never wait longer than 5 minutes
+    maxAttempts: 12,             // Attempts made while online - offline time doesn't count
+    maxAge: 24 * 60 * 60000,     // Undelivered after a day is failed
+    timeout: 10000,              // ms before an attempt counts as failed
+    keepDelivered: 100           // Delivered and failed entries kept for the record
+};
+
+// The service worker has no logger - fall back to the console there
+const outboxLog = typeof logger !== 'undefined'
+    ? logger.module('outbox')
+    : {
+        debug() {},
+        info: (message) => console.log(`[outbox] ${message}`),
+        warning: (message) => console.warn(`[outbox] ${message}`),
+        error: (message) => console.error(`[outbox] ${message}`)
+    };
+
+class Outbox {
+    constructor(db = localDB, policy = OUTBOX_POLICY) {
+        this.db = db;
+        this.policy = policy;
+        this.callbacks = [];
+        this.sequence = 0;
+        this.flushing = null;
+    }
+
+    // request: { url, headers, body, type, incidentId } - body is the JSON text to POST
+    async enqueue(request) {
+        const now = Date.now();
+        const entry = {
+            // Zero-padded so stored keys sort in queueing order
+            id: `outbox-${now}-${String(this.sequence++ % 1000).padStart(3, '0')}`,
+            url: request.url,
+            headers: Object.assign({}, request.headers),
+            body: request.body,
+            type: request.type || 'emergency',
+            incidentId: request.incidentId || null,
+            status: 'pending',           // pending, delivered, failed
+            attempts: 0,
+            createdAt: now,
+            nextAttemptAt: now,
+            sendingUntil: null,          // Set while an attempt is in progress somewhere
+            deliveredAt: null,
+            lastError: null
+        };
+
+        await this.db.put('outbox', entry);
+        outboxLog.info(`Queued ${entry.type} for ${entry.url}`, { id: entry.id, incident: entry.incidentId });
+        return entry;
+    }
+
+    isOnline() {
+        return typeof navigator === 'undefined' || navigator.onLine !== false;
+    }
+
+    // ms to wait after the given number of failed attempts
+    backoff(attempts) {
+        return Math.min(this.policy.maxDelay, this.policy.baseDelay * Math.pow(2, Math.max(0, attempts - 1)));
+    }
+
+    // Takes a pending entry for one attempt. The check and the write are one transaction, so
+    // the page and the service worker never POST the same entry at once. Without force the
+    // entry must be due. Resolves to the claimed entry, or null when it is finished, not due
+    // or already being sent.
+    claim(id, force = false) {
+        const now = Date.now();
+        return this.db.modify('outbox', id, (entry) => {
+            if (!entry || entry.status !== 'pending' || entry.sendingUntil > now) return null;
+            if (!force && entry.nextAttemptAt > now) return null;
+
+            entry.attempts++;
+            // A page closed mid-attempt never clears this - the entry is free again afterwards
+            entry.sendingUntil = now + this.policy.timeout * 2;
+            return entry;
+        });
+    }
+
+    // One POST attempt. Resolves to the updated entry - delivered, pending with the next
+    // attempt scheduled, or failed once retrying is pointless. An entry that isn't due
+    // (without force) or is being sent elsewhere is returned as stored, untouched.
+    async deliver(entry, force = false) {
+        if (entry.status !== 'pending') return entry;
+        if (!this.isOnline()) {
+            entry.lastError = 'offline';
+            return entry;
+        }
+
+        const claimed = await this.claim(entry.id, force);
+        if (!claimed) {
+            outboxLog.debug(`Skipped ${entry.type} - not due or already being sent`, { id: entry.id });
+            return (await this.db.get('outbox', entry.id)) || entry;
+        }
+        entry = claimed;
+
+        let error = null;
+        let permanent = false;
+
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = setTimeout(() => controller && controller.abort(), this.policy.timeout);
+        try {
+            const response = await fetch(entry.url, {
+                method: 'POST',
+                // Lets the backend drop a payload it already has when a retry crosses a late answer
+                headers: Object.assign({ 'Idempotency-Key': entry.id }, entry.headers),
+                body: entry.body,
+                signal: controller ? controller.signal : undefined
+            });
+            if (!response.ok) {
+                error = `HTTP ${response.status}`;
+                // Client errors other than timeouts and rate limits won't fix themselves
+                permanent = response.status >= 400 && response.status < 500 &&
+                    response.status !== 408 && response.status !== 429;
+            }
+        } catch (fetchError) {
+            error = fetchError.name === 'AbortError' ? 'timed out' : fetchError.message;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const now = Date.now();
+        entry.sendingUntil = null;
+        if (!error) {
+            entry.status = 'delivered';
+            entry.deliveredAt = now;
+            entry.lastError = null;
+            outboxLog.info(`Delivered ${entry.type} after ${entry.attempts} attempt(s)`,
+                { id: entry.id, attempts: entry.attempts });
+        } else if (permanent || entry.attempts >= this.policy.maxAttempts || now - entry.createdAt >= this.policy.maxAge) {
+            entry.status = 'failed';
+            entry.lastError = error;
+            outboxLog.error(`Gave up on ${entry.type} - ${error}`, { id: entry.id, attempts: entry.attempts });
+        } else {
+            entry.lastError = error;
+            entry.nextAttemptAt = now + this.backoff(entry.attempts);
+            outboxLog.warning(`${entry.type} not delivered (${error}) - retrying in ${Math.round(this.backoff(entry.attempts) / 1000)}s`,
+                { id: entry.id, attempts: entry.attempts });
+        }
+
+        await this.db.put('outbox', entry);
+        this.callbacks.forEach(callback => callback(entry));
+        return entry;
+    }
+
+    // Attempts every pending entry that is due - all of them with force.
+    // Resolves to { delivered, pending, failed } counts across the whole outbox.
+    flush(force = false) {
+        // One pass at a time so an entry is never posted twice in parallel
+        if (!this.flushing) {
+            this.flushing = this.runFlush(force).finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async runFlush(force) {
+        const now = Date.now();
+        const due = (await this.getEntries('pending')).filter(entry => force || entry.nextAttemptAt <= now);
+        for (const entry of due) {
+            await this.deliver(entry, force);
+        }
+
+        await this.prune();
+        return this.summary();
+    }
+
+    // Oldest first; status filters to one state
+    async getEntries(status = null) {
+        const entries = await this.db.getAll('outbox');
+        return entries
+            .filter(entry => !status || entry.status === status)
+            .sort((a, b) => a.createdAt - b.createdAt || (a.id < b.id ? -1 : 1));
+    }
+
+    async summary() {
+        const counts = { delivered: 0, pending: 0, failed: 0 };
+        (await this.getEntries()).forEach(entry => {
+            counts[entry.status]++;
+        });
+        return counts;
+    }
+
+    // When the next pending entry is due, or null when nothing is waiting
+    async nextAttemptAt() {
+        const pending = await this.getEntries('pending');
+        return pending.length > 0 ? Math.min(...pending.map(entry => entry.nextAttemptAt)) : null;
+    }
+
+    // Puts failed entries back in the queue, e.g. after fixing the webhook settings
+    async retryFailed() {
+        const failed = await this.getEntries('failed');
+        for (const entry of failed) {
+            Object.assign(entry, {
+                status: 'pending', attempts: 0, createdAt: Date.now(), nextAttemptAt: Date.now(), sendingUntil: null
+            });
+            await this.db.put('outbox', entry);
+        }
+        return failed.length;
+    }
+
+    // Drops the oldest finished entries beyond keepDelivered - pending ones always stay
+    async prune() {
+        const finished = (await this.getEntries()).filter(entry => entry.status !== 'pending');
+        const excess = finished.slice(0, Math.max(0, finished.length - this.policy.keepDelivered));
+        for (const entry of excess) {
+            await this.db.delete('outbox', entry.id);
+        }
+    }
+}
+
+// Create global instance
+const outbox = new Outbox();
@@ -0,0 +1,83 @@
+// Detection Profiles Module
+// Bundles of thresholds, countdown lengths and enabled detectors for each way of travelling,
+// and the places a phone can be carried. Selected from the Settings tab and applied by SettingsManager.
+const DETECTION_PROFILES = {
+    car: {
+        name: 'Car',
+        icon: '🚗',
+        // Medium impact level - also becomes the Settings slider value when the profile is picked
+        impactThreshold: 4,
+        thresholds: {
+            suddenRotation: 45,
+            rolloverRotation: 90,
+            rolloverTilt: 60,
+            armingSpeed: 4.2,      // ~15 km/h
+            stoppedSpeed: 2,
+            drivingSpeed: 5.5
+        },
+        countdowns: { low: 60, medium: 30, high: 20, critical: 15 },
+        detectors: { impact: true, audio: true, rotation: true, rollover: true, dropFilter: true, speedArming: true }
+    },
+
+    // Riders fall with lower g than a car occupant, lean and tumble, and are thrown off
+    // the bike - the impact comes after they leave it
+    motorcycle: {
+        name: 'Motorcycle',
+        icon: '🏍️',
+        impactThreshold: 3,
+        thresholds: {
+            suddenRotation: 35,
+            rolloverRotation: 60,
+            rolloverTilt: 50,
+            armingSpeed: 4.2,
+            stoppedSpeed: 2,
+            drivingSpeed: 5.5
+        },
+        countdowns: { low: 45, medium: 20, high: 15, critical: 10 },
+        detectors: { impact: true, audio: true, rotation: true, rollover: true, dropFilter: true, speedArming: true }
+    },
+
+    bicycle: {
+        name: 'Bicycle',
+        icon: '🚲',
+        impactThreshold: 3,
+        thresholds: {
+            suddenRotation: 35,
+            rolloverRotation: 60,
+            rolloverTilt: 50,
+            armingSpeed: 2.2,      // ~8 km/h
+            stoppedSpeed: 1,
+            drivingSpeed: 3
+        },
+        countdowns: { low: 60, medium: 30, high: 20, critical: 15 },
+        detectors: { impact: true, audio: false, rotation: true, rollover: true, dropFilter: true, speedArming: true }
+    },
+
+    // On foot there is no driving speed to arm on and a phone in a pocket has no fixed
+    // orientation to roll over from
+    pedestrian: {
+        name: 'Pedestrian',
+        icon: '🚶',
+        impactThreshold: 3.5,
+        thresholds: {
+            suddenRotation: 60,
+            rolloverRotation: 90,
+            rolloverTilt: 60,
+            armingSpeed: 0,
+            stoppedSpeed: 0.5,
+            drivingSpeed: 3
+        },
+        countdowns: { low: 60, medium: 45, high: 30, critical: 20 },
+        detectors: { impact: true, audio: true, rotation: true, rollover: false, dropFilter: true, speedArming: false }
+    }
+};
+
+// Where the phone rides. A rigid mount passes road bumps straight through while a loose
+// phone rattles, so each position gets its own learned impact threshold (see calibration.js).
+const MOUNT_POSITIONS = {
+    dash: { name: 'Dash / windscreen mount', icon: '📱' },
+    vent: { name: 'Air vent mount', icon: '🌬️' },
+    cupholder: { name: 'Cup holder / loose', icon: '🥤' },
+    pocket: { name: 'Pocket or bag', icon: '👖' },
+    handlebar: { name: 'Handlebar mount', icon: '🚲' }
+};
@@ -0,0 +1,279 @@
+// Sensor Trace Recording & Replay Module
+const TRACE_FORMAT = 'vad-sensor-trace';
+const TRACE_VERSION = 1;
+const recorderLog = logger.module('recorder');
+
+class SensorRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.trace = null;
+        this.motionHandler = (event) => this.recordMotion(event);
+        this.orientationHandler = (event) => this.recordOrientation(event);
+        this.audioHandler = (audioData) => this.recordAudio(audioData);
+    }
+
+    start() {
+        if (this.isRecording) {
+            recorderLog.info('Trace recording already active');
+            return;
+        }
+
+        this.trace = {
+            format: TRACE_FORMAT,
+            version: TRACE_VERSION,
+            startedAt: Date.now(),
+            duration: 0,
+            userAgent: navigator.userAgent,
+            samples: []
+        };
+        this.isRecording = true;
+
+        // Listen to the raw events so the trace is independent of SensorManager processing
+        window.addEventListener('devicemotion', this.motionHandler);
+        window.addEventListener('deviceorientation', this.orientationHandler);
+        audioMonitor.callbacks.push(this.audioHandler);
+
+        if (!audioMonitor.isMonitoring) {
+            recorderLog.warning('Microphone is not active - trace will contain no audio readings');
+        }
+
+        recorderLog.info('Sensor trace recording started', { audio: audioMonitor.isMonitoring });
+    }
+
+    stop() {
+        if (!this.isRecording) return null;
+
+        this.isRecording = false;
+        window.removeEventListener('devicemotion', this.motionHandler);
+        window.removeEventListener('deviceorientation', this.orientationHandler);
+        audioMonitor.callbacks = audioMonitor.callbacks.filter(callback => callback !== this.audioHandler);
+
+        this.trace.duration = Date.now() - this.trace.startedAt;
+        recorderLog.info(`Sensor trace recording stopped - ${this.trace.samples.length} samples`,
+            { samples: this.trace.samples.length, duration: this.trace.duration });
+
+        return this.trace;
+    }
+
+    addSample(type, data) {
+        this.trace.samples.push({
+            t: Date.now() - this.trace.startedAt,
+            type: type,
+            data: data
+        });
+    }
+
+    recordMotion(event) {
+        this.addSample('motion', {
+            accelerationIncludingGravity: copyVector(event.accelerationIncludingGravity, ['x', 'y', 'z']),
+            acceleration: copyVector(event.acceleration, ['x', 'y', 'z']),
+            rotationRate: copyVector(event.rotationRate, ['alpha', 'beta', 'gamma']),
+            interval: event.interval
+        });
+    }
+
+    recordOrientation(event) {
+        this.addSample('orientation', {
+            alpha: event.alpha,
+            beta: event.beta,
+            gamma: event.gamma
+        });
+    }
+
+    recordAudio(audioData) {
+        const data = Object.assign({}, audioData);
+        delete data.timestamp;
+        this.addSample('audio', data);
+    }
+
+    save(trace = this.trace) {
+        if (!trace) return;
+        const stamp = new Date(trace.startedAt).toISOString().replace(/[:.]/g, '-');
+        downloadFile(`sensor-trace-${stamp}.json`, JSON.stringify(trace), 'application/json');
+    }
+}
+
+class TraceReplayer {
+    constructor() {
+        this.isReplaying = false;
+        this.timers = [];
+        this.pending = null;    // { trace, resolve } of a realtime replay still running
+    }
+
+    parse(text) {
+        const trace = typeof text === 'string' ? JSON.parse(text) : text;
+
+        if (!trace || trace.format !== TRACE_FORMAT || !Array.isArray(trace.samples)) {
+            throw new Error('Not a sensor trace file');
+        }
+        if (trace.version > TRACE_VERSION) {
+            throw new Error(`Unsupported trace version ${trace.version}`);
+        }
+
+        return trace;
+    }
+
+    // Feeds every sample through SensorManager/AudioMonitor into the detector with its
+    // original timestamp. With realtime=false the samples are fed synchronously, which
+    // gives the same detection result as a realtime replay because the detector only
+    // uses sample timestamps. The detector and SensorManager replay on their own state, so
+    // live gravity, the learned mount and the black box are untouched afterwards.
+    replay(trace, options = {}) {
+        const { realtime = false, speed = 1, dryRun = true } = options;
+
+        if (this.isReplaying) {
+            return Promise.reject(new Error('A replay is already running'));
+        }
+        if (sensorManager.isMonitoring || audioMonitor.isMonitoring) {
+            return Promise.reject(new Error('Stop monitoring before replaying a trace'));
+        }
+        if (accidentDetector.pendingImpact) {
+            return Promise.reject(new Error('An impact is being confirmed - replay once it is resolved'));
+        }
+
+        this.isReplaying = true;
+        sensorManager.beginReplay();
+        accidentDetector.beginReplay({ dryRun: dryRun });
+        recorderLog.info(`Replaying trace: ${trace.samples.length} samples, ${(trace.duration / 1000).toFixed(1)}s`,
+            { samples: trace.samples.length, duration: trace.duration, realtime: realtime, dryRun: dryRun });
+
+        if (!realtime) {
+            trace.samples.forEach(sample => this.feedSample(trace, sample));
+            return Promise.resolve(this.finish(trace));
+        }
+
+        return new Promise((resolve) => {
+            this.pending = { trace, resolve };
+            trace.samples.forEach((sample, index) => {
+                this.timers.push(setTimeout(() => {
+                    this.feedSample(trace, sample);
+                    if (index === trace.samples.length - 1) {
+                        resolve(this.finish(trace));
+                    }
+                }, sample.t / speed));
+            });
+
+            if (trace.samples.length === 0) {
+                resolve(this.finish(trace));
+            }
+        });
+    }
+
+    feedSample(trace, sample) {
+        const timestamp = trace.startedAt + sample.t;
+
+        switch (sample.type) {
+            case 'motion':
+                sensorManager.processMotion(sample.data, timestamp);
+                break;
+            case 'orientation':
+                sensorManager.processOrientation(sample.data, timestamp);
+                break;
+            case 'audio':
+                audioMonitor.notifyCallbacks(Object.assign({}, sample.data, { timestamp: timestamp }));
+                break;
+        }
+    }
+
+    // Resolves the running replay with what was detected up to now
+    stop() {
+        if (!this.pending) return null;
+
+        const { trace, resolve } = this.pending;
+        this.timers.forEach(timer => clearTimeout(timer));
+        const summary = this.finish(trace, true);
+        resolve(summary);
+        return summary;
+    }
+
+    finish(trace, stopped = false) {
+        this.timers = [];
+        this.pending = null;
+        this.isReplaying = false;
+        const session = accidentDetector.endReplay();
+
+        const summary = {
+            samples: trace.samples.length,
+            duration: trace.duration,
+            maxImpact: sensorManager.sensorData.maxImpact,
+            events: session.events,
+            alerts: session.alerts,
+            stopped: stopped
+        };
+        sensorManager.endReplay();
+
+        recorderLog.info(`Replay ${stopped ? 'stopped' : 'finished'} - ${summary.events.length} detection events, ${summary.alerts.length} alerts`, {
+            events: summary.events.length,
+            alerts: summary.alerts.map(alert => alert.severity),
+            g: summary.maxImpact,
+            stopped: stopped
+        });
+        return summary;
+    }
+}
+
+// Helper functions
+function copyVector(source, keys) {
+    if (!source) return null;
+    const vector = {};
+    keys.forEach(key => {
+        vector[key] = source[key];
+    });
+    return vector;
+}
+
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Global functions for button handlers
+function toggleTraceRecording() {
+    const button = document.getElementById('recordTraceBtn');
+
+    if (sensorRecorder.isRecording) {
+        const trace = sensorRecorder.stop();
+        sensorRecorder.save(trace);
+        if (button) button.textContent = '🔴 Start Recording';
+    } else {
+        sensorRecorder.start();
+        if (button) button.textContent = '⏹️ Stop & Save';
+    }
+}
+
+async function replayTraceFile(input) {
+    const file = input.files && input.files[0];
+    const result = document.getElementById('replayResult');
+    if (!file) return;
+
+    try {
+        const trace = traceReplayer.parse(await file.text());
+        const realtime = document.getElementById('replayRealtime');
+        const summary = await traceReplayer.replay(trace, {
+            realtime: realtime ? realtime.checked : false
+        });
+
+        if (result) {
+            const alerts = summary.alerts.map(alert => alert.severity.toUpperCase()).join(', ') || 'none';
+            result.textContent = `${summary.samples} samples, max ${summary.maxImpact.toFixed(2)}g, ` +
+                `${summary.events.length} detection events, alerts: ${alerts}${summary.stopped ? ' (stopped)' : ''}`;
+        }
+    } catch (error) {
+        recorderLog.error(`Trace replay failed: ${error.message}`, { file: file.name });
+        if (result) result.textContent = `Replay failed: ${error.message}`;
+    } finally {
+        input.value = '';
+    }
+}
+
+// Create global instances
+const sensorRecorder = new SensorRecorder();
+const traceReplayer = new TraceReplayer();
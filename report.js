@@ -0,0 +1,315 @@
+// Incident Report Module
+// Turns a stored incident and its black box snapshot into files for insurers and police:
+// the GPS track as GeoJSON or GPX, the impact time series as CSV and a printable HTML
+// report. Everything is generated in the browser - nothing leaves the device.
+const reportLog = logger.module('report');
+const CSV_COLUMNS = ['time', 't', 'offset_ms', 'type', 'ax', 'ay', 'az', 'lx', 'ly', 'lz', 'g', 'jerk',
+    'alpha', 'beta', 'gamma', 'level', 'score', 'lat', 'lon', 'accuracy'];
+
+class IncidentExporter {
+    constructor() {
+        this.creator = 'Accident Detection System';
+    }
+
+    // Resolves to { incident, snapshot } - snapshot is null once deleted or never taken
+    async load(id) {
+        const incident = await incidentStore.get(id);
+        if (!incident) return null;
+
+        const snapshot = incident.snapshotId ? await localDB.get('snapshots', incident.snapshotId) : null;
+        return { incident: incident, snapshot: snapshot || null };
+    }
+
+    // GPS history kept with the incident plus the fixes the black box caught after the
+    // trigger, oldest first and one point per timestamp
+    trackPoints(incident, snapshot) {
+        const points = new Map();
+        (incident.track || []).forEach(point => points.set(point.t, point));
+        if (snapshot) {
+            snapshot.samples
+                .filter(sample => sample.type === 'gps' && !points.has(sample.t))
+                .forEach(sample => points.set(sample.t, {
+                    t: sample.t, lat: sample.lat, lon: sample.lon, accuracy: sample.accuracy,
+                    speed: null, heading: null
+                }));
+        }
+        return Array.from(points.values()).sort((a, b) => a.t - b.t);
+    }
+
+    toGeoJSON(incident, snapshot) {
+        const track = this.trackPoints(incident, snapshot);
+        const features = [];
+
+        if (track.length > 0) {
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: track.map(point => [point.lon, point.lat])
+                },
+                properties: {
+                    name: 'Track',
+                    incidentId: incident.id,
+                    times: track.map(point => new Date(point.t).toISOString()),
+                    accuracy: track.map(point => point.accuracy),
+                    speed: track.map(point => point.speed)
+                }
+            });
+        }
+
+        if (incident.location) {
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'Point',
+                    coordinates: [incident.location.longitude, incident.location.latitude]
+                },
+                properties: this.summary(incident)
+            });
+        }
+
+        return JSON.stringify({ type: 'FeatureCollection', features: features }, null, 2);
+    }
+
+    toGPX(incident, snapshot) {
+        const track = this.trackPoints(incident, snapshot);
+        const name = `Incident ${new Date(incident.startedAt).toISOString()}`;
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<gpx version="1.1" creator="${escapeXml(this.creator)}" xmlns="http://www.topografix.com/GPX/1/1">`,
+            '  <metadata>',
+            `    <name>${escapeXml(name)}</name>`,
+            `    <time>${new Date(incident.startedAt).toISOString()}</time>`,
+            '  </metadata>'
+        ];
+
+        if (incident.location) {
+            lines.push(
+                `  <wpt lat="${incident.location.latitude}" lon="${incident.location.longitude}">`,
+                `    <time>${new Date(incident.startedAt).toISOString()}</time>`,
+                `    <name>${escapeXml(incident.severity.toUpperCase())} impact</name>`,
+                `    <desc>${escapeXml(this.describe(incident))}</desc>`,
+                '  </wpt>'
+            );
+        }
+
+        lines.push('  <trk>', `    <name>${escapeXml(name)}</name>`, '    <trkseg>');
+        track.forEach(point => {
+            lines.push(
+                `      <trkpt lat="${point.lat}" lon="${point.lon}"><time>${new Date(point.t).toISOString()}</time></trkpt>`
+            );
+        });
+        lines.push('    </trkseg>', '  </trk>', '</gpx>');
+
+        return lines.join('\n');
+    }
+
+    // One row per black box sample; columns a sample type doesn't have stay empty
+    toCSV(snapshot) {
+        const rows = [CSV_COLUMNS.join(',')];
+        if (!snapshot) return rows[0] + '\n';
+
+        snapshot.samples.forEach(sample => {
+            const row = Object.assign({}, sample, {
+                time: new Date(sample.t).toISOString(),
+                offset_ms: sample.t - snapshot.triggeredAt
+            });
+            rows.push(CSV_COLUMNS.map(column => csvValue(row[column])).join(','));
+        });
+
+        return rows.join('\n') + '\n';
+    }
+
+    // Self-contained page - inline styles and chart, no external resources
+    toHTML(incident, snapshot) {
+        const track = this.trackPoints(incident, snapshot);
+        const location = incident.location;
+        const rows = [
+            ['Incident', incident.id],
+            ['Date and time', new Date(incident.startedAt).toLocaleString()],
+            ['Severity', `${incident.severity.toUpperCase()} (detected as ${incident.candidateSeverity})`],
+            ['Crash type', incident.crashType ? describeCrashType(incident.crashType) : 'Unknown'],
+            ['Detection profile', incident.profile],
+            ['Peak impact', incident.impactForce ? `${incident.impactForce.toFixed(2)}g` : '-'],
+            ['Detection confidence', incident.confidence !== null ? `${Math.round(incident.confidence * 100)}%` : '-'],
+            ['Location', location
+                ? `${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)} (±${Math.round(location.accuracy)}m)`
+                : 'Unavailable'],
+            ['Outcome', INCIDENT_OUTCOMES[incident.outcome] + (incident.cancelMethod ? ` by ${incident.cancelMethod}` : '')]
+        ];
+
+        const mapLink = location
+            ? `<p><a href="${escapeXml(gpsTracker.getGoogleMapsUrl(location.latitude, location.longitude))}">Open location in Google Maps</a></p>`
+            : '';
+        const notified = incident.notifiedServices.length > 0
+            ? `<ul>${incident.notifiedServices.map(service => `<li>${escapeXml(service)}</li>`).join('')}</ul>`
+            : '<p>No emergency notifications were sent.</p>';
+        const message = incident.message ? `<h3>Message sent</h3><pre>${escapeXml(incident.message)}</pre>` : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Incident report ${escapeXml(new Date(incident.startedAt).toISOString())}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #111827; max-width: 800px; margin: 2em auto; padding: 0 1em; }
+h1 { font-size: 1.5em; border-bottom: 2px solid #ef4444; padding-bottom: 0.3em; }
+h2 { font-size: 1.15em; margin-top: 1.6em; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e5e7eb; }
+th { background: #f3f4f6; }
+pre { background: #f3f4f6; padding: 0.8em; white-space: pre-wrap; }
+.chart { width: 100%; height: auto; border: 1px solid #e5e7eb; }
+.meta { color: #6b7280; font-size: 0.85em; }
+@media print { .no-print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<button class="no-print" onclick="window.print()">Print / Save as PDF</button>
+<h1>Incident Report</h1>
+<p class="meta">Generated ${escapeXml(new Date().toLocaleString())} by ${escapeXml(this.creator)}</p>
+
+<h2>Summary</h2>
+<table>
+${rows.map(([label, value]) => `<tr><th>${escapeXml(label)}</th><td>${escapeXml(value)}</td></tr>`).join('\n')}
+</table>
+${mapLink}
+
+<h2>Notifications</h2>
+${notified}
+${message}
+
+<h2>Timeline</h2>
+<table>
+<tr><th>Time</th><th>Event</th><th>Details</th></tr>
+${incident.timeline.map(entry => `<tr><td>${escapeXml(new Date(entry.t).toLocaleTimeString())}</td>` +
+    `<td>${escapeXml(entry.event)}</td><td>${escapeXml(describeTimelineEntry(entry))}</td></tr>`).join('\n')}
+</table>
+
+<h2>Impact</h2>
+${snapshot ? this.impactChart(snapshot) : '<p>No black box snapshot is available for this incident.</p>'}
+
+<h2>GPS Track</h2>
+${track.length > 0 ? `<table>
+<tr><th>Time</th><th>Latitude</th><th>Longitude</th><th>Accuracy</th><th>Speed</th></tr>
+${track.map(point => `<tr><td>${escapeXml(new Date(point.t).toLocaleTimeString())}</td>` +
+    `<td>${point.lat.toFixed(6)}</td><td>${point.lon.toFixed(6)}</td>` +
+    `<td>${point.accuracy !== null && point.accuracy !== undefined ? `±${Math.round(point.accuracy)}m` : '-'}</td>` +
+    `<td>${point.speed !== null && point.speed !== undefined ? `${Math.round(point.speed * 3.6)} km/h` : '-'}</td></tr>`).join('\n')}
+</table>` : '<p>No GPS fixes were recorded before the incident.</p>'}
+</body>
+</html>
+`;
+    }
+
+    // Inline SVG of the g-force around the trigger, trigger marked in red
+    impactChart(snapshot) {
+        const samples = snapshot.samples.filter(sample => sample.type === 'imu' && typeof sample.g === 'number');
+        if (samples.length < 2) {
+            return '<p>Not enough sensor samples to chart the impact.</p>';
+        }
+
+        const width = 760;
+        const height = 220;
+        const padding = 30;
+        const start = snapshot.triggeredAt - snapshot.preSeconds * 1000;
+        const span = (snapshot.preSeconds + snapshot.postSeconds) * 1000;
+        const peak = Math.max(1, ...samples.map(sample => sample.g));
+        const x = t => padding + (t - start) / span * (width - 2 * padding);
+        const y = g => height - padding - g / peak * (height - 2 * padding);
+
+        const points = samples.map(sample => `${x(sample.t).toFixed(1)},${y(sample.g).toFixed(1)}`).join(' ');
+        const trigger = x(snapshot.triggeredAt).toFixed(1);
+
+        return `<svg class="chart" viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+<line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" stroke="#9ca3af"/>
+<line x1="${trigger}" y1="${padding}" x2="${trigger}" y2="${height - padding}" stroke="#ef4444" stroke-dasharray="4"/>
+<polyline points="${points}" fill="none" stroke="#2563eb" stroke-width="1.5"/>
+<text x="${padding}" y="${padding - 10}" font-size="12">Peak ${peak.toFixed(2)}g</text>
+<text x="${padding}" y="${height - 10}" font-size="12">-${snapshot.preSeconds}s</text>
+<text x="${trigger}" y="${height - 10}" font-size="12" text-anchor="middle">trigger</text>
+<text x="${width - padding}" y="${height - 10}" font-size="12" text-anchor="end">+${snapshot.postSeconds}s</text>
+</svg>
+<p class="meta">Impact force (g) from ${snapshot.preSeconds}s before to ${snapshot.postSeconds}s after the trigger, ${samples.length} samples.</p>`;
+    }
+
+    summary(incident) {
+        return {
+            incidentId: incident.id,
+            time: new Date(incident.startedAt).toISOString(),
+            severity: incident.severity,
+            crashType: incident.crashType ? incident.crashType.type : null,
+            crashDescription: incident.crashType ? describeCrashType(incident.crashType) : null,
+            impactForce: incident.impactForce,
+            confidence: incident.confidence,
+            outcome: incident.outcome,
+            cancelMethod: incident.cancelMethod,
+            notifiedServices: incident.notifiedServices.slice()
+        };
+    }
+
+    describe(incident) {
+        const crashType = incident.crashType ? describeCrashType(incident.crashType) : 'Unknown crash type';
+        return `${crashType}. ${INCIDENT_OUTCOMES[incident.outcome]}.`;
+    }
+
+    // format: 'geojson', 'gpx', 'csv' or 'html'
+    async export(id, format) {
+        const loaded = await this.load(id);
+        if (!loaded) {
+            reportLog.warning(`Unknown incident ${id}`, { incident: id, format: format });
+            return null;
+        }
+
+        const { incident, snapshot } = loaded;
+        const stamp = new Date(incident.startedAt).toISOString().replace(/[:.]/g, '-');
+        const files = {
+            geojson: () => [`incident-${stamp}.geojson`, this.toGeoJSON(incident, snapshot), 'application/geo+json'],
+            gpx: () => [`incident-${stamp}.gpx`, this.toGPX(incident, snapshot), 'application/gpx+xml'],
+            csv: () => [`incident-${stamp}-sensors.csv`, this.toCSV(snapshot), 'text/csv'],
+            html: () => [`incident-${stamp}-report.html`, this.toHTML(incident, snapshot), 'text/html']
+        };
+
+        if (!files[format]) {
+            reportLog.warning(`Unknown export format: ${format}`, { incident: id, format: format });
+            return null;
+        }
+
+        const [filename, content, mimeType] = files[format]();
+        downloadFile(filename, content, mimeType);
+        reportLog.info(`Incident exported as ${filename}`,
+            { incident: id, format: format, samples: snapshot ? snapshot.samples.length : 0 });
+        return filename;
+    }
+}
+
+// Helper functions
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function describeTimelineEntry(entry) {
+    return Object.keys(entry)
+        .filter(key => key !== 't' && key !== 'event')
+        .map(key => `${key}: ${entry[key]}`)
+        .join(', ');
+}
+
+// Global functions for button handlers
+function exportIncident(id, format) {
+    return incidentExporter.export(id, format);
+}
+
+// Create global instance
+const incidentExporter = new IncidentExporter();
@@ -0,0 +1,176 @@
+// Resolution Module
+// Lets the user say how things turned out from the emergency screen. Everyone the alert
+// reached gets a follow-up through the channels that reached them, and the incident is
+// closed with the outcome.
+const RESOLUTION_CHOICES = {
+    safe: {
+        label: "I'm safe / false alarm",
+        headline: "✅ UPDATE: I'm safe",
+        text: 'False alarm or I am OK - no help needed.',
+        final: true,
+        stopEscalation: true,
+        stopSharing: true,
+        call: false
+    },
+    'minor-help': {
+        label: 'Need help, not critical',
+        headline: '⚠️ UPDATE: I need help, but it is not critical',
+        text: 'Please come or call me when you can - no ambulance needed.',
+        final: true,
+        stopEscalation: true,    // Contacts already know - don't go on to emergency services
+        stopSharing: false,
+        call: false
+    },
+    'needs-help': {
+        label: 'Still need help',
+        headline: '🚨 UPDATE: I still need help',
+        text: 'Please send help now.',
+        final: false,            // The incident stays open until the user says how it ended
+        stopEscalation: false,
+        stopSharing: false,
+        call: true
+    }
+};
+
+// Channel results that mean the alert got through
+const RESOLUTION_REACHED = ['sent', 'opened'];
+
+class IncidentResolver {
+    constructor(choices = RESOLUTION_CHOICES) {
+        this.choices = choices;
+        this.resolution = null;  // { incidentId, outcome, label, at }
+        this.callbacks = [];
+    }
+
+    // Who the alert reached and on which channels: [{ recipient, channels }].
+    // A call carries no message, so it is only repeated when help is still needed.
+    recipients(choice) {
+        const reached = [];
+        escalationEngine.tiers.filter(tier => tier.attempts > 0).forEach(tier => {
+            let channels;
+            let recipient;
+            if (tier.kind === 'contact') {
+                const status = emergencyHandler.contactStatus.find(entry => entry.contactId === tier.contact.id);
+                channels = status
+                    ? Object.keys(status.channels).filter(id => RESOLUTION_REACHED.includes(status.channels[id]))
+                    : [];
+                recipient = Object.assign({ kind: 'contact' }, tier.contact);
+            } else {
+                const number = emergencyHandler.getEmergencyNumber();
+                channels = emergencyHandler.emergencyChannels.slice();
+                recipient = { kind: 'emergency', name: number, phone: number };
+            }
+
+            if (!choice.call) {
+                channels = channels.filter(id => id !== 'call');
+            }
+            if (channels.length > 0) {
+                reached.push({ recipient, channels });
+            }
+        });
+        return reached;
+    }
+
+    buildMessage(choice, location) {
+        let message = `${choice.headline}\n\n${choice.text}\n\n`;
+        message += `Time: ${new Date().toLocaleString()}\n`;
+        if (location) {
+            message += `Location: ${location.latitude.toFixed(6)}, ${location.longitude.toFixed(6)}\n`;
+            message += `Map: ${gpsTracker.getGoogleMapsUrl(location.latitude, location.longitude)}\n`;
+        }
+        return message;
+    }
+
+    // Latest fix, else where the alert was sent from
+    currentLocation() {
+        const alertLocation = escalationEngine.alert && escalationEngine.alert.location;
+        const location = gpsTracker.currentPosition || alertLocation;
+        return location && !location.unavailable ? location : null;
+    }
+
+    // Resolves to the channel results of the follow-up, or null without an active alert or
+    // when the incident is already resolved. After "still need help" only a final outcome
+    // can follow, so a repeated tap doesn't message everyone again.
+    async resolve(outcome) {
+        const choice = this.choices[outcome];
+        if (!choice) {
+            throw new Error(`Unknown outcome ${outcome}`);
+        }
+
+        const alert = emergencyHandler.activeAlert;
+        if (!alert) {
+            emergencyLog.warning('No emergency to resolve');
+            return null;
+        }
+
+        const previous = this.resolution && this.resolution.incidentId === alert.incidentId ? this.resolution : null;
+        if (previous && (this.choices[previous.outcome].final || !choice.final)) {
+            emergencyLog.warning(`Emergency already resolved: ${previous.label}`,
+                { outcome: previous.outcome, requested: outcome });
+            return null;
+        }
+
+        // Read who was reached before the escalation is stopped
+        const recipients = this.recipients(choice);
+        if (choice.stopEscalation) escalationEngine.stop(outcome);
+        if (choice.stopSharing) liveLocationSharer.stop(outcome);
+
+        this.resolution = { incidentId: alert.incidentId, outcome: outcome, label: choice.label, at: Date.now() };
+        emergencyLog.info(`Emergency resolved: ${choice.label} - following up with ${recipients.length} recipient(s)`,
+            { outcome: outcome, recipients: recipients.map(entry => entry.recipient.name) });
+
+        // Closed only once it's over - while help is still needed the escalation runs on
+        const changes = choice.final
+            ? { status: 'closed', outcome: outcome, resolvedAt: this.resolution.at }
+            : { outcome: outcome };
+        incidentStore.update(alert.incidentId, changes,
+            { event: choice.final ? 'resolved' : 'help-requested', outcome: outcome });
+        this.changed();
+
+        // Same broadcast channels as the alert, then everyone the escalation reached
+        const location = this.currentLocation();
+        const message = this.buildMessage(choice, location);
+        const extra = {
+            type: 'resolution',
+            subject: choice.headline,
+            resolution: { outcome: outcome, label: choice.label }
+        };
+        const sends = [emergencyHandler.notify(null, channelRegistry.broadcasts(), message, location, extra)]
+            .concat(recipients.map(entry => emergencyHandler.notify(entry.recipient, entry.channels, message, location, extra)));
+        const results = [].concat(...await Promise.all(sends));
+
+        // Channel results arrive asynchronously - save them once they are in
+        incidentStore.update(alert.incidentId, {
+            notifiedServices: emergencyHandler.notifiedServices.slice()
+        });
+        return results;
+    }
+
+    changed() {
+        this.render();
+        this.callbacks.forEach(callback => callback(this.resolution));
+    }
+
+    render() {
+        const status = document.getElementById('resolutionStatus');
+        if (!status) return;
+
+        const alert = emergencyHandler.activeAlert;
+        const current = this.resolution && alert && this.resolution.incidentId === alert.incidentId;
+        status.textContent = current
+            ? `Follow-up sent: ${this.resolution.label} at ${new Date(this.resolution.at).toLocaleTimeString()}`
+            : 'Let everyone contacted know how you are';
+    }
+}
+
+// Global functions for button handlers
+function resolveEmergency(outcome) {
+    if (outcome === 'safe' &&
+        !confirm("Tell everyone contacted you're safe? Contacting people and sharing your location will stop.")) {
+        return null;
+    }
+    return incidentResolver.resolve(outcome);
+}
+
+// Create global instance
+const incidentResolver = new IncidentResolver();
@@ -1,3 +1,6 @@
+const sensorLog = logger.module('sensors');
+const audioLog = logger.module('audio');
+
 // Sensor Management Module
 class SensorManager {
     constructor() {
@@ -5,10 +8,40 @@ class SensorManager {
         this.gyroscope = null;
         this.isMonitoring = false;
         this.baselineAccel = { x: 0, y: 0, z: 9.81 };
+
+        // Gravity removal: low-pass gravity estimate seeded from the calibration baseline,
+        // and the bias of the browser's own linear acceleration measured at rest
+        this.gravity = { x: 0, y: 0, z: 9.81 };
+        this.linearBias = { x: 0, y: 0, z: 0 };
+        this.gravityTimeConstant = 1000;   // ms
+        this.gravityFreezeThreshold = 1.0; // g - don't let impacts leak into the gravity estimate
+        this.gravityFreezeLimit = 500;     // ms - then adapt anyway, e.g. after a rollover
+        this.gravityFrozenSince = 0;
+        this.isCalibrating = false;
+        this.calibrationSamples = [];
+        this.lastMotionTime = 0;
+        this.liveState = null;   // Set while a trace is replayed (see recorder.js)
+
+        // Device-to-vehicle orientation, learned from gravity and GPS while driving
+        this.vehicleFrame = new VehicleFrameEstimator();
+        this.onPosition = (position) => {
+            if (position) this.vehicleFrame.addFix(position);
+        };
+
         this.sensorData = {
-            acceleration: { x: 0, y: 0, z: 0 },
+            acceleration: { x: 0, y: 0, z: 0 },        // Raw, including gravity (m/s²)
+            linearAcceleration: { x: 0, y: 0, z: 0 },  // Gravity removed (m/s²)
+            gravity: { x: 0, y: 0, z: 9.81 },
             rotation: { alpha: 0, beta: 0, gamma: 0 },
-            impactForce: 0,
+            rotationRate: null,  // deg/s from devicemotion, null when the device has no gyroscope
+            tilt: 0,             // Degrees between current gravity and the calibration baseline
+            rawForce: 0,      // Magnitude including gravity (g)
+            impactForce: 0,   // Linear g-force above normal driving (g)
+            jerk: 0,          // Rate of change of linear acceleration (g/s)
+            // Linear acceleration along the vehicle's axes (g); longitudinal and lateral
+            // are null until VehicleFrameEstimator has learned how the phone is mounted
+            vehicleAcceleration: { longitudinal: null, lateral: null, vertical: 0 },
+            dt: 0,            // ms since the previous motion sample
             maxImpact: 0
         };
         this.callbacks = [];
@@ -16,33 +49,33 @@ class SensorManager {
 
     async requestPermissions() {
         try {
-            addLog('📱 Requesting motion sensor permissions...', 'info');
+            sensorLog.info('Requesting motion sensor permissions...');
             
             // Request motion sensor permissions (for iOS 13+)
             if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
-                addLog('iOS device detected - requesting motion permission', 'info');
+                sensorLog.info('iOS device detected - requesting motion permission');
                 const permissionState = await DeviceMotionEvent.requestPermission();
                 if (permissionState !== 'granted') {
-                    addLog('❌ Motion sensor permission denied', 'error');
+                    sensorLog.error('Motion sensor permission denied');
                     throw new Error('Motion sensor permission denied');
                 }
-                addLog('✅ Motion sensor permission granted', 'info');
+                sensorLog.info('Motion sensor permission granted');
             }
 
             if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
-                addLog('Requesting orientation permission', 'info');
+                sensorLog.info('Requesting orientation permission');
                 const permissionState = await DeviceOrientationEvent.requestPermission();
                 if (permissionState !== 'granted') {
-                    addLog('❌ Orientation sensor permission denied', 'error');
+                    sensorLog.error('Orientation sensor permission denied');
                     throw new Error('Orientation sensor permission denied');
                 }
-                addLog('✅ Orientation sensor permission granted', 'info');
+                sensorLog.info('Orientation sensor permission granted');
             }
 
-            addLog('✅ All motion permissions granted!', 'info');
+            sensorLog.info('All motion permissions granted!');
             return true;
         } catch (error) {
-            addLog(`❌ Permission error: ${error.message}`, 'error');
+            sensorLog.error(`Permission error: ${error.message}`);
             console.error('Permission error:', error);
             return false;
         }
@@ -50,14 +83,15 @@ class SensorManager {
 
     startMonitoring(callback) {
         if (this.isMonitoring) {
-            addLog('Sensor monitoring already active', 'info');
+            sensorLog.info('Sensor monitoring already active');
             return;
         }
 
         this.isMonitoring = true;
-        if (callback) this.callbacks.push(callback);
+        if (callback && !this.callbacks.includes(callback)) this.callbacks.push(callback);
+        if (!gpsTracker.callbacks.includes(this.onPosition)) gpsTracker.callbacks.push(this.onPosition);
 
-        addLog('🔄 Starting sensor monitoring...', 'info');
+        sensorLog.info('Starting sensor monitoring...');
 
         // Monitor device motion (accelerometer)
         if (window.DeviceMotionEvent) {
@@ -65,9 +99,9 @@ class SensorManager {
             if (typeof updateSensorStatus === 'function') {
                 updateSensorStatus('accelStatus', true);
             }
-            addLog('✅ Accelerometer monitoring started', 'info');
+            sensorLog.info('Accelerometer monitoring started');
         } else {
-            addLog('⚠️ Accelerometer not supported', 'warning');
+            sensorLog.warning('Accelerometer not supported');
         }
 
         // Monitor device orientation (gyroscope)
@@ -76,9 +110,9 @@ class SensorManager {
             if (typeof updateSensorStatus === 'function') {
                 updateSensorStatus('gyroStatus', true);
             }
-            addLog('✅ Gyroscope monitoring started', 'info');
+            sensorLog.info('Gyroscope monitoring started');
         } else {
-            addLog('⚠️ Gyroscope not supported', 'warning');
+            sensorLog.warning('Gyroscope not supported');
         }
 
         // Calibrate baseline
@@ -93,53 +127,114 @@ class SensorManager {
         updateSensorStatus('accelStatus', false);
         updateSensorStatus('gyroStatus', false);
         
-        addLog('Sensor monitoring stopped', 'info');
+        sensorLog.info('Sensor monitoring stopped');
     }
 
     handleMotion(event) {
         if (!this.isMonitoring) return;
+        this.processMotion(event, Date.now());
+    }
 
+    // Shared by the live listener and trace replay, which passes the recorded timestamp
+    processMotion(event, timestamp) {
         const accel = event.accelerationIncludingGravity;
         if (!accel) return;
 
         // Store current acceleration
-        this.sensorData.acceleration = {
-            x: accel.x || 0,
-            y: accel.y || 0,
-            z: accel.z || 0
-        };
+        const raw = toVector(accel);
+        this.sensorData.acceleration = raw;
+
+        // Time since the previous sample, clamped so gaps don't distort the filter or jerk
+        const dt = this.lastMotionTime ? Math.min(Math.max(timestamp - this.lastMotionTime, 1), 100) : 16;
+        this.lastMotionTime = timestamp;
+
+        // Prefer the browser's gravity-free acceleration, fall back to our gravity estimate
+        const deviceLinear = hasVector(event.acceleration) ? toVector(event.acceleration) : null;
+        const linear = deviceLinear
+            ? subtractVectors(deviceLinear, this.linearBias)
+            : subtractVectors(raw, this.gravity);
+
+        let frozen = false;
+        if (vectorMagnitude(linear) / 9.81 >= this.gravityFreezeThreshold) {
+            if (!this.gravityFrozenSince) this.gravityFrozenSince = timestamp;
+            frozen = timestamp - this.gravityFrozenSince < this.gravityFreezeLimit;
+        } else {
+            this.gravityFrozenSince = 0;
+        }
 
-        // Calculate impact force (total acceleration magnitude)
-        const magnitude = Math.sqrt(
-            Math.pow(accel.x || 0, 2) +
-            Math.pow(accel.y || 0, 2) +
-            Math.pow(accel.z || 0, 2)
-        );
+        if (!frozen) {
+            const alpha = dt / (this.gravityTimeConstant + dt);
+            this.gravity = {
+                x: this.gravity.x + alpha * (raw.x - this.gravity.x),
+                y: this.gravity.y + alpha * (raw.y - this.gravity.y),
+                z: this.gravity.z + alpha * (raw.z - this.gravity.z)
+            };
+        }
+
+        if (this.isCalibrating) {
+            this.calibrationSamples.push({ raw: raw, deviceLinear: deviceLinear });
+        }
+
+        this.vehicleFrame.addMotion(raw, dt);
+
+        this.sensorData.gravity = this.gravity;
+        this.sensorData.tilt = angleBetween(this.gravity, this.baselineAccel);
+        this.sensorData.rotationRate = event.rotationRate && event.rotationRate.beta !== null && event.rotationRate.beta !== undefined
+            ? {
+                alpha: event.rotationRate.alpha || 0,
+                beta: event.rotationRate.beta || 0,
+                gamma: event.rotationRate.gamma || 0
+            }
+            : null;
+        this.sensorData.dt = dt;
+
+        // Jerk: change in linear acceleration per second, in g/s
+        const previous = this.sensorData.linearAcceleration;
+        this.sensorData.jerk = vectorMagnitude(subtractVectors(linear, previous)) / 9.81 / (dt / 1000);
+        this.sensorData.linearAcceleration = linear;
 
         // Convert to g-force (1 g = 9.81 m/s²)
-        this.sensorData.impactForce = magnitude / 9.81;
+        this.sensorData.rawForce = vectorMagnitude(raw) / 9.81;
+        this.sensorData.impactForce = vectorMagnitude(linear) / 9.81;
+        this.sensorData.vehicleAcceleration = this.vehicleFrame.toVehicle(linear);
 
         // Track maximum impact
         if (this.sensorData.impactForce > this.sensorData.maxImpact) {
             this.sensorData.maxImpact = this.sensorData.impactForce;
         }
 
+        this.sensorData.timestamp = timestamp;
+        this.sensorData.eventType = 'motion';
+
         // Update UI
         document.getElementById('impactForce').textContent = 
             this.sensorData.impactForce.toFixed(2) + ' g';
 
+        const axesElement = document.getElementById('vehicleAxes');
+        if (axesElement) {
+            const axes = this.sensorData.vehicleAcceleration;
+            axesElement.textContent = axes.longitudinal === null
+                ? `Learning mount... (${this.vehicleFrame.samples}/${this.vehicleFrame.minSamples})`
+                : `F ${axes.longitudinal.toFixed(2)} / L ${axes.lateral.toFixed(2)} / V ${axes.vertical.toFixed(2)} g`;
+        }
+
         // Notify callbacks of sensor data
         this.notifyCallbacks();
     }
 
     handleOrientation(event) {
         if (!this.isMonitoring) return;
+        this.processOrientation(event, Date.now());
+    }
 
+    processOrientation(event, timestamp) {
         this.sensorData.rotation = {
             alpha: event.alpha || 0,  // Z-axis rotation (0-360)
             beta: event.beta || 0,    // X-axis rotation (-180 to 180)
             gamma: event.gamma || 0   // Y-axis rotation (-90 to 90)
         };
+        this.sensorData.timestamp = timestamp;
+        this.sensorData.eventType = 'orientation';
 
         // Detect sudden rotation changes (could indicate a crash/flip)
         // This will be used in the detection algorithm
@@ -147,13 +242,61 @@ class SensorManager {
     }
 
     calibrate() {
-        addLog('Calibrating sensors...', 'info');
+        sensorLog.info('Calibrating sensors...');
+        this.isCalibrating = true;
+        this.calibrationSamples = [];
+
         setTimeout(() => {
-            this.sensorData.maxImpact = 0;
-            addLog('Sensor calibration complete', 'info');
+            this.finishCalibration();
         }, 2000);
     }
 
+    finishCalibration() {
+        const samples = this.calibrationSamples;
+        this.isCalibrating = false;
+        this.calibrationSamples = [];
+
+        if (samples.length > 0) {
+            // Median per axis so a bump during calibration doesn't skew the baseline
+            this.baselineAccel = medianVector(samples.map(sample => sample.raw));
+            this.gravity = Object.assign({}, this.baselineAccel);
+            this.vehicleFrame.reset(this.baselineAccel);
+
+            const deviceLinear = samples.filter(sample => sample.deviceLinear);
+            if (deviceLinear.length > 0) {
+                this.linearBias = medianVector(deviceLinear.map(sample => sample.deviceLinear));
+            }
+        }
+
+        this.sensorData.maxImpact = 0;
+        sensorLog.info(`Sensor calibration complete - baseline ${(vectorMagnitude(this.baselineAccel) / 9.81).toFixed(2)}g from ${samples.length} samples`,
+            { g: vectorMagnitude(this.baselineAccel) / 9.81, samples: samples.length });
+    }
+
+    // A replayed trace gets its own gravity estimate, mount and readings, seeded from the
+    // calibration baseline, so the live ones are as they were once it ends
+    beginReplay() {
+        this.liveState = {
+            gravity: this.gravity,
+            gravityFrozenSince: this.gravityFrozenSince,
+            lastMotionTime: this.lastMotionTime,
+            vehicleFrame: this.vehicleFrame,
+            sensorData: this.sensorData
+        };
+        this.gravity = Object.assign({}, this.baselineAccel);
+        this.gravityFrozenSince = 0;
+        this.lastMotionTime = 0;
+        this.vehicleFrame = new VehicleFrameEstimator();
+        this.vehicleFrame.reset(this.baselineAccel);
+        this.sensorData = Object.assign({}, this.sensorData, { gravity: this.gravity, maxImpact: 0 });
+    }
+
+    endReplay() {
+        if (!this.liveState) return;
+        Object.assign(this, this.liveState);
+        this.liveState = null;
+    }
+
     notifyCallbacks() {
         this.callbacks.forEach(callback => {
             callback(this.sensorData);
@@ -176,18 +319,20 @@ class AudioMonitor {
         this.soundLevel = 0;
         this.peakLevel = 0;
         this.callbacks = [];
+        this.featureExtractor = new AudioFeatureExtractor();
+        this.lastFeatures = null;
     }
 
     async requestPermissions() {
         try {
-            addLog('🎤 Requesting microphone permission...', 'info');
+            audioLog.info('Requesting microphone permission...');
             const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
             // Stop the test stream
             stream.getTracks().forEach(track => track.stop());
-            addLog('✅ Microphone permission granted!', 'info');
+            audioLog.info('Microphone permission granted!');
             return true;
         } catch (error) {
-            addLog(`❌ Microphone permission denied: ${error.message}`, 'error');
+            audioLog.error(`Microphone permission denied: ${error.message}`);
             console.error('Microphone permission denied:', error);
             return false;
         }
@@ -195,39 +340,40 @@ class AudioMonitor {
 
     async startMonitoring(callback) {
         if (this.isMonitoring) {
-            addLog('Microphone monitoring already active', 'info');
+            audioLog.info('Microphone monitoring already active');
             return;
         }
 
         try {
-            addLog('🔄 Starting microphone monitoring...', 'info');
+            audioLog.info('Starting microphone monitoring...');
             
             // Create audio context
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             this.analyser = this.audioContext.createAnalyser();
-            this.analyser.fftSize = 256;
-
-            const bufferLength = this.analyser.frequencyBinCount;
-            this.dataArray = new Uint8Array(bufferLength);
+            this.analyser.fftSize = 2048;
+            this.dataArray = new Float32Array(this.analyser.fftSize);
+            this.featureExtractor.reset(this.audioContext.sampleRate);
 
-            // Get microphone stream
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+            // Get microphone stream - browser processing would flatten the crash transient
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+            });
             this.microphone = this.audioContext.createMediaStreamSource(stream);
             this.microphone.connect(this.analyser);
 
             this.isMonitoring = true;
-            if (callback) this.callbacks.push(callback);
+            if (callback && !this.callbacks.includes(callback)) this.callbacks.push(callback);
 
             if (typeof updateSensorStatus === 'function') {
                 updateSensorStatus('micStatus', true);
             }
-            addLog('✅ Microphone monitoring ACTIVE', 'info');
+            audioLog.info('Microphone monitoring ACTIVE');
 
             // Start analyzing audio
             this.analyzeAudio();
 
         } catch (error) {
-            addLog('Microphone access failed: ' + error.message, 'error');
+            audioLog.error('Microphone access failed: ' + error.message);
             updateSensorStatus('micStatus', false);
         }
     }
@@ -246,23 +392,19 @@ class AudioMonitor {
         }
 
         updateSensorStatus('micStatus', false);
-        addLog('Microphone monitoring stopped', 'info');
+        audioLog.info('Microphone monitoring stopped');
     }
 
     analyzeAudio() {
         if (!this.isMonitoring) return;
 
-        this.analyser.getByteFrequencyData(this.dataArray);
+        this.analyser.getFloatTimeDomainData(this.dataArray);
 
-        // Calculate average sound level
-        let sum = 0;
-        for (let i = 0; i < this.dataArray.length; i++) {
-            sum += this.dataArray[i];
-        }
-        const average = sum / this.dataArray.length;
+        const features = this.featureExtractor.extract(this.dataArray, Date.now());
+        this.lastFeatures = features;
 
-        // Convert to decibels (approximate)
-        this.soundLevel = Math.round(average);
+        // Calibrated level (approximate dB SPL)
+        this.soundLevel = Math.round(features.level);
 
         // Track peak level
         if (this.soundLevel > this.peakLevel) {
@@ -273,17 +415,27 @@ class AudioMonitor {
         document.getElementById('soundLevel').textContent = this.soundLevel + ' dB';
 
         // Notify callbacks
-        this.callbacks.forEach(callback => {
-            callback({
-                level: this.soundLevel,
-                peak: this.peakLevel
-            });
+        this.notifyCallbacks({
+            level: this.soundLevel,
+            peak: this.peakLevel,
+            dbfs: features.dbfs,
+            onset: features.onset,
+            crashScore: features.crashScore,
+            flatness: features.flatness,
+            glassRatio: features.glassRatio,
+            timestamp: features.timestamp
         });
 
         // Continue analyzing
         requestAnimationFrame(() => this.analyzeAudio());
     }
 
+    notifyCallbacks(audioData) {
+        this.callbacks.forEach(callback => {
+            callback(audioData);
+        });
+    }
+
     getSoundLevel() {
         return {
             current: this.soundLevel,
@@ -297,6 +449,76 @@ class AudioMonitor {
 }
 
 // Helper functions
+function toVector(source) {
+    return {
+        x: source.x || 0,
+        y: source.y || 0,
+        z: source.z || 0
+    };
+}
+
+function hasVector(source) {
+    return !!source && source.x !== null && source.x !== undefined;
+}
+
+function subtractVectors(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+function vectorMagnitude(vector) {
+    return Math.sqrt(vector.x * vector.x + vector.y * vector.y + vector.z * vector.z);
+}
+
+function addVectors(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+function scaleVector(vector, factor) {
+    return { x: vector.x * factor, y: vector.y * factor, z: vector.z * factor };
+}
+
+function dotProduct(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function crossProduct(a, b) {
+    return {
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    };
+}
+
+function normalizeVector(vector) {
+    const length = vectorMagnitude(vector);
+    return length > 0 ? scaleVector(vector, 1 / length) : { x: 0, y: 0, z: 0 };
+}
+
+// Part of the vector perpendicular to the unit vector `up`
+function horizontalComponent(vector, up) {
+    return subtractVectors(vector, scaleVector(up, dotProduct(vector, up)));
+}
+
+function angleBetween(a, b) {
+    const lengths = vectorMagnitude(a) * vectorMagnitude(b);
+    if (lengths === 0) return 0;
+    const cosine = (a.x * b.x + a.y * b.y + a.z * b.z) / lengths;
+    return Math.acos(Math.min(1, Math.max(-1, cosine))) * 180 / Math.PI;
+}
+
+function medianVector(vectors) {
+    const median = (values) => {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    };
+    return {
+        x: median(vectors.map(vector => vector.x)),
+        y: median(vectors.map(vector => vector.y)),
+        z: median(vectors.map(vector => vector.z))
+    };
+}
+
 function updateSensorStatus(elementId, isActive) {
     const element = document.getElementById(elementId);
     if (element) {
@@ -0,0 +1,349 @@
+// Settings Module
+// Schema, validation and localStorage persistence for the Settings tab. Every change is
+// pushed straight into the running detector, audio monitor and alert handler.
+const SETTINGS_STORAGE_KEY = 'vadSettings';
+const settingsLog = logger.module('settings');
+const SETTINGS_FORMAT = 'vad-settings';
+const SETTINGS_VERSION = 1;
+
+const SETTINGS_SCHEMA = {
+    profile: { type: 'string', default: 'car', options: Object.keys(DETECTION_PROFILES), control: 'detectionProfile' },
+    mount: { type: 'string', default: 'dash', options: Object.keys(MOUNT_POSITIONS), control: 'mountPosition' },
+    // Impact thresholds learned per mount position by CalibrationLearner
+    calibrations: { type: 'object', default: {}, keys: Object.keys(MOUNT_POSITIONS) },
+    impactThreshold: { type: 'number', default: 4, min: 2, max: 10, step: 0.5, control: 'impactThreshold' },
+    soundThreshold: { type: 'number', default: 100, min: 80, max: 120, step: 5, control: 'soundThreshold' },
+    enableVoice: { type: 'boolean', default: true, control: 'enableVoice' },
+    enableShake: { type: 'boolean', default: true, control: 'enableShake' },
+    enableVibration: { type: 'boolean', default: true, control: 'enableVibration' },
+    enableAccelerometer: { type: 'boolean', default: true, control: 'enableAccelerometer' },
+    enableGyroscope: { type: 'boolean', default: true, control: 'enableGyroscope' },
+    enableMicrophone: { type: 'boolean', default: true, control: 'enableMicrophone' },
+    enableGPS: { type: 'boolean', default: true, control: 'enableGPS' },
+    enableLiveLocation: { type: 'boolean', default: true, control: 'enableLiveLocation' },
+    liveShareInterval: { type: 'number', default: 60, min: 15, max: 300, step: 15, control: 'liveShareInterval' },   // seconds
+    liveShareDuration: { type: 'number', default: 30, min: 5, max: 120, step: 5, control: 'liveShareDuration' }      // minutes
+};
+
+class SettingsManager {
+    constructor(schema = SETTINGS_SCHEMA) {
+        this.schema = schema;
+        this.values = this.defaults();
+        this.callbacks = [];
+    }
+
+    defaults() {
+        const values = {};
+        Object.entries(this.schema).forEach(([key, field]) => {
+            values[key] = field.default;
+        });
+        return values;
+    }
+
+    // Returns the normalized value or throws if it does not fit the schema
+    validate(key, value) {
+        const field = this.schema[key];
+        if (!field) {
+            throw new Error(`Unknown setting: ${key}`);
+        }
+
+        if (field.type === 'boolean') {
+            if (typeof value !== 'boolean') {
+                throw new Error(`${key} must be true or false`);
+            }
+            return value;
+        }
+
+        if (field.type === 'number') {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (typeof number !== 'number' || !isFinite(number)) {
+                throw new Error(`${key} must be a number`);
+            }
+            if (number < field.min || number > field.max) {
+                throw new Error(`${key} must be between ${field.min} and ${field.max}`);
+            }
+            return number;
+        }
+
+        if (field.type === 'string') {
+            if (typeof value !== 'string') {
+                throw new Error(`${key} must be text`);
+            }
+            if (field.options && !field.options.includes(value)) {
+                throw new Error(`${key} must be one of: ${field.options.join(', ')}`);
+            }
+            return value;
+        }
+
+        if (field.type === 'object') {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                throw new Error(`${key} must be an object`);
+            }
+            Object.entries(value).forEach(([name, entry]) => {
+                if (field.keys && !field.keys.includes(name)) {
+                    throw new Error(`${key} has an unknown entry: ${name}`);
+                }
+                if (!entry || typeof entry !== 'object') {
+                    throw new Error(`${key}.${name} must be an object`);
+                }
+            });
+            return JSON.parse(JSON.stringify(value));
+        }
+
+        throw new Error(`Unsupported type for ${key}`);
+    }
+
+    // Reads stored settings, falling back to the default for anything missing or invalid
+    load() {
+        this.values = this.defaults();
+
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}') || {};
+        } catch (error) {
+            settingsLog.warning('Stored settings are corrupt - using defaults', { error: error.message });
+        }
+
+        Object.entries(stored).forEach(([key, value]) => {
+            try {
+                this.values[key] = this.validate(key, value);
+            } catch (error) {
+                settingsLog.warning(`Ignoring stored setting - ${error.message}`, { setting: key });
+            }
+        });
+
+        this.apply();
+        return this.getAll();
+    }
+
+    save() {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(this.values));
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    getAll() {
+        return JSON.parse(JSON.stringify(this.values));
+    }
+
+    set(key, value) {
+        return this.update({ [key]: value });
+    }
+
+    // Validates every value first so a bad entry leaves all settings untouched
+    update(changes) {
+        changes = this.withImpliedThreshold(changes);
+
+        const validated = {};
+        Object.entries(changes).forEach(([key, value]) => {
+            validated[key] = this.validate(key, value);
+        });
+
+        const changed = Object.keys(validated).filter(key =>
+            JSON.stringify(validated[key]) !== JSON.stringify(this.values[key]));
+        if (changed.length === 0) return [];
+
+        Object.assign(this.values, validated);
+        this.save();
+        this.apply();
+        this.renderControls();
+
+        this.callbacks.forEach(callback => callback(changed, this.getAll()));
+        return changed;
+    }
+
+    // Picking a profile or mount brings an impact threshold along unless one is given too:
+    // the one learned for the mount if there is one, otherwise the profile's own
+    withImpliedThreshold(changes) {
+        if ('impactThreshold' in changes) return changes;
+
+        const profile = 'profile' in changes ? changes.profile : this.values.profile;
+        const mount = 'mount' in changes ? changes.mount : this.values.mount;
+        if (profile === this.values.profile && mount === this.values.mount) return changes;
+
+        const calibrations = changes.calibrations || this.values.calibrations || {};
+        const learned = calibrations[mount];
+        if (learned && typeof learned.impactThreshold === 'number') {
+            return Object.assign({ impactThreshold: learned.impactThreshold }, changes);
+        }
+        if (DETECTION_PROFILES[profile]) {
+            return Object.assign({ impactThreshold: DETECTION_PROFILES[profile].impactThreshold }, changes);
+        }
+        return changes;
+    }
+
+    reset() {
+        this.values = this.defaults();
+        this.save();
+        this.apply();
+        this.renderControls();
+        this.callbacks.forEach(callback => callback(Object.keys(this.values), this.getAll()));
+        settingsLog.info('Settings reset to defaults');
+    }
+
+    export() {
+        return JSON.stringify({
+            format: SETTINGS_FORMAT,
+            version: SETTINGS_VERSION,
+            exportedAt: new Date(Date.now()).toISOString(),
+            settings: this.values
+        }, null, 2);
+    }
+
+    import(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error('Not a settings file');
+        }
+        if (!data || data.format !== SETTINGS_FORMAT || !data.settings) {
+            throw new Error('Not a settings file');
+        }
+        if (data.version > SETTINGS_VERSION) {
+            throw new Error(`Unsupported settings version ${data.version}`);
+        }
+
+        const known = {};
+        Object.entries(data.settings).forEach(([key, value]) => {
+            if (this.schema[key]) {
+                known[key] = value;
+            } else {
+                settingsLog.warning(`Ignoring unknown setting in import: ${key}`, { setting: key });
+            }
+        });
+
+        const changed = this.update(known);
+        settingsLog.info(`Settings imported - ${changed.length} changed`, { version: data.version, changed: changed });
+        return changed;
+    }
+
+    // Pushes the current values into the running modules
+    apply() {
+        const values = this.values;
+
+        const profile = DETECTION_PROFILES[values.profile];
+        Object.assign(accidentDetector.detectionThresholds, profile.thresholds);
+        Object.assign(accidentDetector.enabledDetectors, profile.detectors);
+        accidentDetector.profile = { id: values.profile, name: profile.name };
+        Object.assign(alertHandler.countdownTimes, profile.countdowns);
+
+        // The slider sets the medium (alerting) level; the other levels keep their ratio to it
+        const impact = values.impactThreshold;
+        Object.assign(accidentDetector.detectionThresholds, {
+            lowImpact: impact * 0.625,
+            mediumImpact: impact,
+            highImpact: impact * 1.5,
+            criticalImpact: impact * 2
+        });
+
+        audioMonitor.featureExtractor.loudLevel = values.soundThreshold;
+
+        Object.assign(alertHandler.options, {
+            voice: values.enableVoice,
+            shake: values.enableShake,
+            vibration: values.enableVibration
+        });
+
+        accidentDetector.setSensorEnabled('accelerometer', values.enableAccelerometer);
+        accidentDetector.setSensorEnabled('gyroscope', values.enableGyroscope);
+        accidentDetector.setSensorEnabled('microphone', values.enableMicrophone);
+        accidentDetector.setSensorEnabled('gps', values.enableGPS);
+
+        // Picked up by the next alert - a session already running keeps its timing
+        Object.assign(liveLocationSharer.options, {
+            enabled: values.enableLiveLocation,
+            interval: values.liveShareInterval * 1000,
+            duration: values.liveShareDuration * 60000
+        });
+    }
+
+    // Wires the Settings tab controls to the schema
+    bindControls() {
+        Object.entries(this.schema).forEach(([key, field]) => {
+            const element = field.control && document.getElementById(field.control);
+            if (!element) return;
+
+            // Sliders update while dragging; checkboxes and selects on change
+            const eventName = field.type === 'number' ? 'input' : 'change';
+            element.addEventListener(eventName, () => {
+                const value = field.type === 'boolean' ? element.checked : element.value;
+                try {
+                    this.set(key, value);
+                } catch (error) {
+                    settingsLog.error(`Invalid setting - ${error.message}`, { setting: key, value: value });
+                    this.renderControls();
+                }
+            });
+        });
+
+        this.renderControls();
+    }
+
+    renderControls() {
+        Object.entries(this.schema).forEach(([key, field]) => {
+            const element = field.control && document.getElementById(field.control);
+            if (!element) return;
+
+            if (field.type === 'boolean') {
+                element.checked = this.values[key];
+            } else {
+                element.value = this.values[key];
+            }
+        });
+
+        const impactValue = document.getElementById('impactValue');
+        if (impactValue) impactValue.textContent = `${this.values.impactThreshold.toFixed(1)}g`;
+
+        const soundValue = document.getElementById('soundValue');
+        if (soundValue) soundValue.textContent = `${this.values.soundThreshold} dB`;
+
+        const intervalValue = document.getElementById('liveShareIntervalValue');
+        if (intervalValue) intervalValue.textContent = `${this.values.liveShareInterval} s`;
+
+        const durationValue = document.getElementById('liveShareDurationValue');
+        if (durationValue) durationValue.textContent = `${this.values.liveShareDuration} min`;
+    }
+}
+
+// Global functions for button handlers
+function toggleSensor(sensor, enabled) {
+    const key = `enable${sensor === 'gps' ? 'GPS' : sensor.charAt(0).toUpperCase() + sensor.slice(1)}`;
+    settingsManager.set(key, enabled);
+}
+
+function resetSettings() {
+    if (confirm('Reset all settings to their defaults?')) {
+        settingsManager.reset();
+    }
+}
+
+function exportSettings() {
+    const stamp = new Date(Date.now()).toISOString().slice(0, 10);
+    downloadFile(`vad-settings-${stamp}.json`, settingsManager.export(), 'application/json');
+}
+
+async function importSettingsFile(input) {
+    const file = input.files && input.files[0];
+    if (!file) return;
+
+    try {
+        const changed = settingsManager.import(await file.text());
+        alert(changed.length > 0 ? `Settings imported: ${changed.join(', ')}` : 'Settings already up to date');
+    } catch (error) {
+        settingsLog.error(`Could not import settings: ${error.message}`, { file: file.name });
+        alert(`Could not import settings: ${error.message}`);
+    } finally {
+        input.value = '';
+    }
+}
+
+// Create global instance and apply the stored settings straight away
+const settingsManager = new SettingsManager();
+settingsManager.load();
+
+window.addEventListener('load', () => {
+    settingsManager.bindControls();
+});
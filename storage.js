@@ -0,0 +1,141 @@
+// Local Storage Module (IndexedDB)
+// Shared by the page and the service worker, so it must not touch window or document.
+const DB_NAME = 'EmergencyDB';
+const DB_VERSION = 6;
+const DB_STORES = {
+    incidents: { keyPath: 'id' },
+    snapshots: { keyPath: 'id' },
+    drives: { keyPath: 'id' },
+    logs: { keyPath: 'id' },
+    outbox: { keyPath: 'id' }
+};
+
+class LocalDatabase {
+    constructor(name, version, stores) {
+        this.name = name;
+        this.version = version;
+        this.stores = stores;
+        this.dbPromise = null;
+
+        // In-memory fallback when IndexedDB is unavailable (private browsing, tests)
+        this.memory = null;
+    }
+
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        if (typeof indexedDB === 'undefined') {
+            this.memory = {};
+            Object.keys(this.stores).forEach(storeName => {
+                this.memory[storeName] = new Map();
+            });
+            this.dbPromise = Promise.resolve(null);
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, this.version);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                Object.entries(this.stores).forEach(([storeName, options]) => {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, options);
+                    }
+                });
+            };
+
+            request.onsuccess = (event) => resolve(event.target.result);
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    async request(storeName, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], mode);
+            const request = operation(transaction.objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async put(storeName, record) {
+        await this.open();
+        if (this.memory) {
+            const key = record[this.stores[storeName].keyPath];
+            this.memory[storeName].set(key, JSON.parse(JSON.stringify(record)));
+            return key;
+        }
+        return this.request(storeName, 'readwrite', store => store.put(record));
+    }
+
+    async get(storeName, key) {
+        await this.open();
+        if (this.memory) {
+            const record = this.memory[storeName].get(key);
+            return record ? JSON.parse(JSON.stringify(record)) : undefined;
+        }
+        return this.request(storeName, 'readonly', store => store.get(key));
+    }
+
+    async getAll(storeName) {
+        await this.open();
+        if (this.memory) {
+            // Match IndexedDB, which returns records in key order
+            return Array.from(this.memory[storeName].entries())
+                .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+                .map(([, record]) => JSON.parse(JSON.stringify(record)));
+        }
+        return this.request(storeName, 'readonly', store => store.getAll());
+    }
+
+    // Reads, changes and writes one record in a single readwrite transaction, so the page and
+    // the service worker can't both act on the same version of it. change(record) returns the
+    // record to write, or null to leave it alone. Resolves to what was written, or null.
+    async modify(storeName, key, change) {
+        const db = await this.open();
+        if (this.memory) {
+            const record = this.memory[storeName].get(key);
+            const changed = change(record ? JSON.parse(JSON.stringify(record)) : undefined);
+            if (!changed) return null;
+            this.memory[storeName].set(key, JSON.parse(JSON.stringify(changed)));
+            return changed;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction([storeName], 'readwrite');
+            const store = transaction.objectStore(storeName);
+            let written = null;
+
+            const request = store.get(key);
+            request.onsuccess = () => {
+                const changed = change(request.result);
+                if (changed) {
+                    store.put(changed);
+                    written = changed;
+                }
+            };
+            transaction.oncomplete = () => resolve(written);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async delete(storeName, key) {
+        await this.open();
+        if (this.memory) {
+            this.memory[storeName].delete(key);
+            return;
+        }
+        return this.request(storeName, 'readwrite', store => store.delete(key));
+    }
+}
+
+// Create global instance
+const localDB = new LocalDatabase(DB_NAME, DB_VERSION, DB_STORES);
@@ -1,14 +1,34 @@
 // Service Worker for offline support and background functionality
-const CACHE_NAME = 'accident-detection-v1';
+importScripts('./storage.js', './outbox.js');
+
+const CACHE_NAME = 'accident-detection-v22';
 const urlsToCache = [
     './',
     './index.html',
     './styles.css',
-    './app.js',
+    './storage.js',
+    './logger.js',
+    './audiofeatures.js',
+    './vehicleframe.js',
     './sensors.js',
     './detection.js',
+    './fusion.js',
     './alert.js',
-    './emergency.js'
+    './emergency.js',
+    './channels.js',
+    './outbox.js',
+    './webhook.js',
+    './contacts.js',
+    './escalation.js',
+    './livelocation.js',
+    './resolution.js',
+    './recorder.js',
+    './blackbox.js',
+    './incidents.js',
+    './report.js',
+    './profiles.js',
+    './settings.js',
+    './calibration.js'
 ];
 
 // Install event
@@ -17,7 +37,11 @@ self.addEventListener('install', (event) => {
         caches.open(CACHE_NAME)
             .then((cache) => {
                 console.log('Cache opened');
-                return cache.addAll(urlsToCache);
+                // One by one, so a file that fails to load is left out instead of
+                // failing the whole install
+                return Promise.all(urlsToCache.map((url) => cache.add(url).catch((error) => {
+                    console.warn(`Not cached: ${url} - ${error.message}`);
+                })));
             })
     );
 });
@@ -33,6 +57,27 @@ self.addEventListener('fetch', (event) => {
     );
 });
 
+// Background Sync: retry queued emergency payloads that are due, even with the app closed.
+// Rejecting while entries are still pending makes the browser schedule another sync.
+self.addEventListener('sync', (event) => {
+    if (event.tag !== OUTBOX_SYNC_TAG) return;
+
+    event.waitUntil(
+        outbox.flush().then((summary) => {
+            if (summary.pending > 0) {
+                throw new Error(`${summary.pending} outbox entries still pending`);
+            }
+        })
+    );
+});
+
+// Let open pages know how their queued payloads fared
+outbox.callbacks.push((entry) => {
+    self.clients.matchAll({ includeUncontrolled: true }).then((clients) => {
+        clients.forEach((client) => client.postMessage({ type: 'outbox', entry: entry }));
+    });
+});
+
 // Activate event
 self.addEventListener('activate', (event) => {
     const cacheWhitelist = [CACHE_NAME];
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, flush } = require('./harness');
+
+test('an unanswered high severity alert counts down for 20 seconds and sends the emergency', async () => {
+    const h = createHarness();
+    const handler = h.context.alertHandler;
+    const emergency = h.get('emergencyHandler');
+    const sent = [];
+    const originalSend = emergency.sendAlert.bind(emergency);
+    emergency.sendAlert = (severity, details) => {
+        sent.push({ severity, details });
+        return originalSend(severity, details);
+    };
+
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12 });
+    h.startDetection();
+    h.motion({ x: 0, y: 0, z: 7.5 });
+    h.clock.advance(5500);
+
+    assert.equal(handler.countdownSeconds, 20);
+    h.clock.advance(20000);
+    assert.equal(sent.length, 0);
+
+    h.clock.advance(1000);
+    await flush();
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].severity, 'high');
+    assert.equal(h.document.activeScreen(), 'emergencyScreen');
+    assert.ok(emergency.notifiedServices.includes('SMS to 911: opened'));
+    assert.ok(h.opened.some(url => url.startsWith('https://wa.me/911?text=')));
+});
+
+test('cancelling returns to the dashboard and re-arms detection after 5 seconds', () => {
+    const h = createHarness();
+    const handler = h.context.alertHandler;
+    const detector = h.startDetection();
+
+    h.motion({ x: 0, y: 0, z: 8 });
+    h.clock.advance(5500);
+    assert.equal(h.document.activeScreen(), 'alertScreen');
+
+    h.run('cancelAlert()');
+    assert.equal(handler.isAlertActive, false);
+    assert.equal(h.document.activeScreen(), 'dashboard');
+    assert.notEqual(detector.lastImpactTime, 0);
+
+    h.clock.advance(5000);
+    assert.equal(detector.lastImpactTime, 0);
+});
+
+test('critical alerts use the shortest countdown', () => {
+    const h = createHarness();
+    const handler = h.context.alertHandler;
+
+    assert.equal(handler.getCountdownTime('medium'), 30);
+    assert.equal(handler.getCountdownTime('high'), 20);
+    assert.equal(handler.getCountdownTime('critical'), 15);
+});
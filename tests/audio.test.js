@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+const SAMPLE_RATE = 44100;
+const FRAME = 2048;
+const FRAME_MS = 20;
+
+// Deterministic white noise so the thresholds are tested against the same signal every run
+function noise(amplitude, seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return amplitude * (state / 1073741824 - 1);
+    };
+}
+
+function frame(generator, offset = 0) {
+    const samples = new Float32Array(FRAME);
+    for (let i = 0; i < FRAME; i++) samples[i] = generator(offset + i);
+    return samples;
+}
+
+function tone(amplitude, frequency) {
+    return (i) => amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+}
+
+// Feeds frames and returns the features of each
+function run(extractor, generators, start = 0) {
+    return generators.map((generator, i) => extractor.extract(frame(generator, i * FRAME), start + i * FRAME_MS));
+}
+
+function setup() {
+    const h = createHarness();
+    const AudioFeatureExtractor = h.get('AudioFeatureExtractor');
+    return new AudioFeatureExtractor(SAMPLE_RATE);
+}
+
+test('RMS level is reported in dBFS and calibrated dB', () => {
+    const extractor = setup();
+
+    const [sine] = run(extractor, [tone(1, 1000)]);
+    assert.ok(Math.abs(sine.dbfs - -3.01) < 0.05);
+    assert.ok(Math.abs(sine.peakDbfs) < 0.01);
+    assert.ok(Math.abs(sine.level - 116.99) < 0.05);
+
+    const [silence] = run(extractor, [() => 0]);
+    assert.equal(silence.dbfs, -100);
+    assert.equal(silence.crashScore, 0);
+});
+
+test('a sudden loud broadband burst is an onset with a high crash score', () => {
+    const extractor = setup();
+    const quiet = noise(0.001);
+    const burst = noise(0.5, 7);
+
+    const features = run(extractor, [quiet, quiet, quiet, quiet, burst]);
+    const crash = features[4];
+
+    assert.equal(features[3].onset, false);
+    assert.equal(crash.onset, true);
+    assert.ok(crash.flatness > 0.4, `flatness ${crash.flatness}`);
+    assert.ok(crash.crashScore >= 0.6, `score ${crash.crashScore}`);
+});
+
+test('a sustained loud tone like a horn does not score as a crash', () => {
+    const extractor = setup();
+    const horn = tone(0.5, 440);
+
+    const features = run(extractor, Array(30).fill(horn));
+
+    assert.ok(features.every(feature => feature.flatness < 0.05));
+    assert.ok(features.every(feature => feature.crashScore < 0.45));
+    assert.equal(features.slice(1).some(feature => feature.onset), false);
+});
+
+test('the onset part of the score fades while loud noise continues', () => {
+    const extractor = setup();
+    const road = noise(0.5, 3);
+
+    const features = run(extractor, [noise(0.001), ...Array(40).fill(road)]);
+
+    assert.ok(features[1].crashScore >= 0.6);
+    assert.ok(features[40].crashScore < 0.5, `score ${features[40].crashScore}`);
+});
+
+test('high-frequency noise raises the glass-break band ratio', () => {
+    const extractor = setup();
+    const white = noise(0.3, 5);
+    // Sum of tones across 3-8 kHz stands in for breaking glass
+    const glass = (i) => [3500, 4700, 5900, 7100].reduce((sum, f) => sum + tone(0.1, f)(i), 0);
+
+    const [broadband] = run(extractor, [white]);
+    extractor.reset();
+    const [shatter] = run(extractor, [glass]);
+
+    assert.ok(broadband.glassRatio > 0.15 && broadband.glassRatio < 0.35);
+    assert.ok(shatter.glassRatio > 0.9);
+});
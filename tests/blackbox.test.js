@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, flush } = require('./harness');
+
+test('the ring buffer keeps only the newest samples once full', () => {
+    const h = createHarness();
+    const SampleRingBuffer = h.get('SampleRingBuffer');
+    const buffer = new SampleRingBuffer(3);
+
+    [1, 2, 3, 4, 5].forEach(t => buffer.push({ t }));
+
+    assert.deepEqual([...buffer.toArray().map(sample => sample.t)], [3, 4, 5]);
+    assert.deepEqual([...buffer.since(4).map(sample => sample.t)], [4, 5]);
+});
+
+test('an alert freezes the pre-trigger window and collects post-trigger samples', async () => {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    h.startDetection();
+    const recorder = h.get('blackBoxRecorder');
+
+    // 20 seconds of normal driving, one GPS fix, then a crash
+    for (let i = 0; i < 200; i++) h.motion({ x: 0, y: 0, z: 1 }, 100);
+    h.geolocation.push({ latitude: 48.2, longitude: 16.37 });
+    h.audio({ level: 60 });
+    h.motion({ x: 0, y: 0, z: 9 }, 100);
+
+    // The snapshot is taken at the impact, before post-impact confirmation raises the alert
+    const snapshot = h.get('accidentDetector').pendingImpact.details.snapshot;
+    const triggeredAt = snapshot.triggeredAt;
+    assert.equal(snapshot.complete, false);
+    assert.ok(snapshot.samples.every(sample => sample.t >= triggeredAt - 15000 && sample.t <= triggeredAt));
+    assert.ok(snapshot.samples.some(sample => sample.type === 'gps'));
+    assert.ok(snapshot.samples.some(sample => sample.type === 'audio'));
+    assert.equal(snapshot.samples[snapshot.samples.length - 1].g, 8);
+
+    for (let i = 0; i < 60; i++) h.motion({ x: 0, y: 0, z: 1 }, 100);
+    await flush();
+
+    assert.equal(shown[0].details.snapshot, snapshot);
+    assert.equal(snapshot.complete, true);
+    assert.ok(snapshot.samples.some(sample => sample.t > triggeredAt));
+    assert.ok(snapshot.samples.every(sample => sample.t <= triggeredAt + 5000));
+    assert.equal(recorder.activeCaptures.length, 0);
+
+    const saved = await recorder.getSnapshots();
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].severity, 'critical');
+});
+
+test('the snapshot is saved even if the sensors stop after the crash', async () => {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    h.startDetection();
+
+    h.motion({ x: 0, y: 0, z: 8 });
+    h.clock.advance(6000);
+    await flush();
+
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].details.snapshot.complete, true);
+    assert.equal((await h.get('blackBoxRecorder').getSnapshots()).length, 1);
+});
+
+test('cancelling the alert records the outcome on the saved snapshot', async () => {
+    const h = createHarness();
+    h.startDetection();
+    const recorder = h.get('blackBoxRecorder');
+
+    h.motion({ x: 0, y: 0, z: 8 });
+    h.clock.advance(6000);
+    h.run('cancelAlert()');
+    await flush();
+
+    const [saved] = await recorder.getSnapshots();
+    assert.equal(saved.outcome, 'cancelled');
+});
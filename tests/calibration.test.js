@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+function setup() {
+    const h = createHarness();
+    h.startDetection();
+    h.clock.advance(2100);  // Let the sensor calibration settle
+
+    const learner = h.get('calibrationLearner');
+    learner.minDriveDuration = 10000;
+    return { h, learner, settings: h.get('settingsManager'), detector: h.get('accidentDetector') };
+}
+
+// One bump per second at driving speed, each peaking at the given g
+async function drive(h, learner, peaks, speed = 15) {
+    learner.start();
+    peaks.forEach(peak => {
+        h.geolocation.push({ latitude: 40.7128, longitude: -74.006, speed: speed });
+        h.motion({ linear: { x: 0, y: 0, z: peak } }, 500);
+        h.motion({ linear: { x: 0, y: 0, z: 0 } }, 500);
+    });
+    return learner.stop();
+}
+
+const DASH_BUMPS = [0.5, 0.8, 1.0, 1.2, 0.5, 0.8, 1.0, 1.2, 0.5, 0.8, 1.0, 1.2];
+const CUPHOLDER_BUMPS = [1.5, 2.2, 2.8, 3.2, 1.5, 2.2, 2.8, 3.2, 1.5, 2.2, 2.8, 3.2];
+
+test('each bump is recorded once at its peak', async () => {
+    const { h, learner } = setup();
+
+    const saved = await drive(h, learner, DASH_BUMPS);
+
+    assert.equal(saved.bumps, 12);
+    assert.ok(Math.abs(saved.maxPeak - 1.2) < 0.01);
+    assert.equal(saved.mount, 'dash');
+    assert.equal((await learner.getDrives('dash')).length, 1);
+});
+
+test('drives shorter than the minimum are discarded', async () => {
+    const { h, learner } = setup();
+
+    const saved = await drive(h, learner, [0.8, 1.0]);
+
+    assert.equal(saved, null);
+    assert.equal((await learner.getDrives('dash')).length, 0);
+    assert.ok(h.logMessages('warning').some(message => message.startsWith('Calibration drive discarded')));
+});
+
+test('bumps while the vehicle is stopped are not learned', async () => {
+    const { h, learner } = setup();
+
+    const saved = await drive(h, learner, [3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3], 0);
+
+    assert.equal(saved.bumps, 0);
+});
+
+test('no threshold is derived until enough drives are recorded', async () => {
+    const { h, learner, settings } = setup();
+
+    await drive(h, learner, DASH_BUMPS);
+    await drive(h, learner, DASH_BUMPS);
+
+    assert.equal(await learner.calibrate(), null);
+    assert.equal(settings.get('impactThreshold'), 4);
+});
+
+test('three drives set a mount threshold above the percentile peak and report the change', async () => {
+    const { h, learner, settings, detector } = setup();
+
+    for (let i = 0; i < 3; i++) await drive(h, learner, DASH_BUMPS);
+    const change = await learner.calibrate();
+
+    assert.equal(change.before, 4);
+    assert.equal(change.after, 3);
+    assert.equal(change.calibration.drives, 3);
+    assert.equal(change.calibration.bumps, 36);
+    assert.equal(settings.get('impactThreshold'), 3);
+    assert.equal(settings.get('calibrations').dash.impactThreshold, 3);
+    assert.equal(detector.detectionThresholds.mediumImpact, 3);
+    assert.match(learner.describeChange(change), /^Dash \/ windscreen mount: impact threshold 4\.0g → 3\.0g/);
+});
+
+test('a loose phone learns a much higher threshold and switching mount switches threshold', async () => {
+    const { h, learner, settings, detector } = setup();
+
+    for (let i = 0; i < 3; i++) await drive(h, learner, DASH_BUMPS);
+    await learner.calibrate();
+
+    settings.set('mount', 'cupholder');
+    assert.equal(settings.get('impactThreshold'), 4);  // Not learned yet: profile threshold
+
+    for (let i = 0; i < 3; i++) await drive(h, learner, CUPHOLDER_BUMPS);
+    const change = await learner.calibrate();
+    assert.equal(change.after, 5);
+
+    settings.set('mount', 'dash');
+    assert.equal(detector.detectionThresholds.mediumImpact, 3);
+    settings.set('mount', 'cupholder');
+    assert.equal(detector.detectionThresholds.mediumImpact, 5);
+});
+
+test('clearing forgets the drives and restores the profile threshold', async () => {
+    const { h, learner, settings } = setup();
+
+    for (let i = 0; i < 3; i++) await drive(h, learner, DASH_BUMPS);
+    await learner.calibrate();
+    await learner.clear();
+
+    assert.equal(settings.get('impactThreshold'), 4);
+    assert.deepEqual({ ...settings.get('calibrations') }, {});
+    assert.equal((await learner.getDrives('dash')).length, 0);
+});
+
+test('calibrations for unknown mounts are rejected', () => {
+    const { settings } = setup();
+
+    assert.throws(() => settings.set('calibrations', { roof: { impactThreshold: 3 } }),
+        /calibrations has an unknown entry: roof/);
+});
@@ -0,0 +1,129 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, flush } = require('./harness');
+
+async function sendAlert(h) {
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12 });
+    const emergency = h.context.emergencyHandler;
+    await emergency.sendAlert('high', {});
+    await flush();
+    return emergency;
+}
+
+test('a newly registered channel goes out with every alert', async () => {
+    const h = createHarness();
+    const pages = [];
+    h.get('channelRegistry').register({
+        id: 'pager',
+        label: 'Pager',
+        capabilities: { recipient: null, automatic: true },
+        send: request => {
+            pages.push(request.message);
+            return 'sent';
+        }
+    });
+
+    const emergency = await sendAlert(h);
+
+    assert.equal(pages.length, 1);
+    assert.match(pages[0], /Severity: HIGH/);
+    assert.ok(emergency.notifiedServices.includes('Pager: sent'));
+});
+
+test('channels report typed results', async () => {
+    const h = createHarness();
+    const registry = h.get('channelRegistry');
+    registry.register({ id: 'broken', send: () => { throw new Error('radio off'); } });
+    registry.register({ id: 'odd', send: () => 'maybe' });
+    const request = { recipient: { name: 'Anna', phone: '555 0101' }, message: 'help' };
+
+    const results = await Promise.all(['sms', 'broken', 'odd', 'email', 'share', 'nope'].map(id => registry.send(id, request)));
+
+    assert.deepEqual([...results.map(result => `${result.channel}: ${result.status} ${result.detail}`.trim())], [
+        'sms: opened',
+        'broken: failed radio off',
+        'odd: failed unknown result maybe',
+        'email: unsupported no email',
+        'share: unsupported not available',
+        'nope: unsupported unknown channel'
+    ]);
+});
+
+test('unsupported channels are kept per contact but left off the notified list', async () => {
+    const h = createHarness();
+    h.get('contactManager').add({ name: 'Anna', phone: '555 0101', channels: ['sms', 'whatsapp'] });
+    h.get('channelRegistry').setEnabled('whatsapp', false);
+
+    const emergency = await sendAlert(h);
+
+    assert.deepEqual({ ...emergency.contactStatus[0].channels }, { sms: 'opened', whatsapp: 'unsupported' });
+    assert.ok(emergency.notifiedServices.includes('SMS to Anna: opened'));
+    assert.ok(!emergency.notifiedServices.some(service => service.startsWith('WhatsApp')));
+    assert.ok(!h.opened.some(url => url.startsWith('https://wa.me/')));
+});
+
+test('turning a channel off is remembered', () => {
+    const h = createHarness();
+    h.dispatch('load');
+    h.run("toggleChannel('notification', false)");
+
+    const list = h.document.getElementById('channelList').innerHTML;
+    assert.match(list, /id="channelEnabled-sms" checked/);
+    assert.doesNotMatch(list, /id="channelEnabled-notification" checked/);
+
+    const reloaded = createHarness();
+    reloaded.localStorage.setItem('vadChannels', h.localStorage.getItem('vadChannels'));
+    const registry = reloaded.get('channelRegistry');
+    registry.load();
+
+    assert.equal(registry.isEnabled('notification'), false);
+    assert.equal(registry.isEnabled('sms'), true);
+    assert.ok(!registry.broadcasts().includes('notification'));
+    assert.throws(() => registry.setEnabled('fax', true), /Unknown channel fax/);
+});
+
+test('notification, share and webhook go out once per alert where available', async () => {
+    const h = createHarness();
+    const shown = [];
+    const shared = [];
+    const posted = [];
+    h.context.Notification = class {
+        constructor(title, options) {
+            shown.push({ title, options });
+        }
+    };
+    h.context.Notification.permission = 'granted';
+    h.context.navigator.share = data => {
+        shared.push(data);
+        return Promise.resolve();
+    };
+    h.context.fetch = (url, options) => {
+        posted.push({ url, options });
+        return Promise.resolve({ ok: false, status: 503 });
+    };
+    h.get('channelRegistry').configure('webhook', { url: 'https://example.com/alerts' });
+
+    const emergency = await sendAlert(h);
+
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].title, '🚨 EMERGENCY ALERT');
+    assert.match(shown[0].options.body, /^Tap to call 911\n\n🚨 EMERGENCY ALERT/);
+    assert.equal(shown[0].options.tag, 'emergency-alert');
+    assert.equal(shared[0].url, 'https://www.google.com/maps?q=51.5,-0.12');
+    assert.equal(posted[0].url, 'https://example.com/alerts');
+    assert.equal(JSON.parse(posted[0].options.body).type, 'emergency');
+    ['Web Share: opened', 'Notification: sent', 'Webhook: failed (HTTP 503 - queued for retry)'].forEach(service => {
+        assert.ok(emergency.notifiedServices.includes(service), service);
+    });
+
+    const [incident] = await h.get('incidentStore').getIncidents();
+    assert.ok(incident.notifiedServices.includes('Notification: sent'));
+});
+
+test('contacts can only pick channels addressed to a person', () => {
+    const h = createHarness();
+    const contacts = h.get('contactManager');
+
+    assert.throws(() => contacts.add({ name: 'Cara', phone: '555 0100', channels: ['share'] }), /unknown channel share/);
+    assert.deepEqual([...h.get('channelRegistry').addressable()], ['sms', 'call', 'whatsapp', 'email']);
+});
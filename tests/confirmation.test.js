@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+function setup() {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    h.startDetection();
+    h.motion({ x: 0, y: 0, z: 1 });
+    return { h, shown, detector: h.get('accidentDetector') };
+}
+
+// 6.5g above gravity - 'high' on its own
+function impact(h) {
+    h.motion({ x: 0, y: 0, z: 7.5 });
+}
+
+function confirmationEvent(detector) {
+    return detector.getDetectionHistory().find(event => event.type === 'confirmation');
+}
+
+test('a candidate impact waits for confirmation before alerting', () => {
+    const { h, shown, detector } = setup();
+
+    impact(h);
+
+    assert.equal(shown.length, 0);
+    assert.equal(detector.pendingImpact.severity, 'high');
+});
+
+test('a device that comes to rest raises the severity by one level', () => {
+    const { h, shown } = setup();
+
+    impact(h);
+    for (let i = 0; i < 60; i++) h.motion({ x: 0, y: 0, z: 1 }, 100);
+
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].severity, 'critical');
+    assert.equal(shown[0].details.confirmation.outcome, 'stationary');
+});
+
+test('GPS speed near zero with a still device confirms the crash', () => {
+    const { h, shown } = setup();
+
+    h.geolocation.push({ latitude: 1, longitude: 1, speed: 15 });
+    impact(h);
+    for (let i = 0; i < 60; i++) {
+        if (i === 30) h.geolocation.push({ latitude: 1, longitude: 1, speed: 0.3 });
+        h.motion({ x: 0, y: 0, z: 1 }, 100);
+    }
+
+    assert.equal(shown[0].severity, 'critical');
+    assert.equal(shown[0].details.confirmation.outcome, 'stationary');
+    assert.equal(shown[0].details.confirmation.speed, 0.3);
+});
+
+test('carrying on at driving speed lowers the severity below the alert level', () => {
+    const { h, shown, detector } = setup();
+
+    impact(h);
+    for (let i = 0; i < 60; i++) {
+        if (i % 10 === 0) h.geolocation.push({ latitude: 1, longitude: 1, speed: 22 });
+        h.motion({ x: 0, y: 0, z: 1 + (i % 2 ? 0.3 : -0.3) }, 100);
+    }
+
+    assert.equal(shown.length, 0);
+    const event = confirmationEvent(detector);
+    assert.equal(event.outcome, 'driving');
+    assert.equal(event.candidateSeverity, 'high');
+    assert.equal(event.severity, 'low');
+});
+
+test('movement without GPS lowers the severity by one level', () => {
+    const { h, shown } = setup();
+
+    impact(h);
+    for (let i = 0; i < 60; i++) h.motion({ x: 0, y: 0, z: 1 + (i % 2 ? 0.5 : -0.5) }, 100);
+
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].severity, 'medium');
+    assert.equal(shown[0].details.confirmation.outcome, 'moving');
+});
+
+test('the stronger reading of the same crash is kept while confirming', () => {
+    const { h, shown } = setup();
+
+    h.motion({ x: 0, y: 0, z: 5.5 });
+    h.motion({ x: 0, y: 0, z: 7.5 });
+    h.motion({ x: 0, y: 0, z: 3 });
+    h.clock.advance(6000);
+
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].severity, 'high');
+    assert.ok(Math.abs(shown[0].details.impactForce - 6.5) < 0.01);
+});
+
+test('a low reading at the start of a crash pulse does not debounce the crash', () => {
+    const { h, shown } = setup();
+
+    h.motion({ x: 0, y: 0, z: 3.5 });
+    impact(h);
+    h.clock.advance(6000);
+
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].severity, 'high');
+});
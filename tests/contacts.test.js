@@ -0,0 +1,137 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, flush } = require('./harness');
+
+const ANNA = {
+    name: 'Anna', relationship: 'partner', phone: '+44 7700 900123',
+    channels: ['sms', 'call', 'whatsapp']
+};
+const BEN = {
+    name: 'Ben', relationship: 'brother', email: 'ben@example.com',
+    channels: ['email'], severities: ['critical']
+};
+
+function setup() {
+    const h = createHarness();
+    const contacts = h.get('contactManager');
+    return { h, contacts, emergency: h.context.emergencyHandler };
+}
+
+test('contacts are validated before they are saved', () => {
+    const { contacts } = setup();
+
+    assert.throws(() => contacts.add({ phone: '123' }), /needs a name/);
+    assert.throws(() => contacts.add({ name: 'Cara', channels: ['sms'] }), /Cara: SMS needs a phone number/);
+    assert.throws(() => contacts.add({ name: 'Cara', email: 'cara@example.com', channels: ['fax'] }), /unknown channel fax/);
+    assert.throws(() => contacts.add({ name: 'Cara', phone: 'call me', channels: ['sms'] }), /phone number is not valid/);
+    assert.throws(() => contacts.add(Object.assign({}, ANNA, { severities: ['low'] })), /unknown severity low/);
+    assert.equal(contacts.getAll().length, 0);
+});
+
+test('contacts keep their priority order across reloads', () => {
+    const { h, contacts } = setup();
+
+    const anna = contacts.add(ANNA);
+    const ben = contacts.add(BEN);
+    contacts.add({ name: 'Cara', phone: '555 0100' });
+    contacts.move(ben.id, -1);
+
+    const reloaded = createHarness();
+    reloaded.localStorage.setItem('vadContacts', h.localStorage.getItem('vadContacts'));
+    const restored = reloaded.get('contactManager').load();
+
+    assert.deepEqual([...restored.map(contact => `${contact.priority}. ${contact.name}`)], ['1. Ben', '2. Anna', '3. Cara']);
+    assert.deepEqual([...restored[1].severities], ['medium', 'high', 'critical']);
+    assert.deepEqual([...restored[2].channels], ['sms']);
+
+    contacts.remove(anna.id);
+    assert.deepEqual([...contacts.getAll().map(contact => `${contact.priority}. ${contact.name}`)], ['1. Ben', '2. Cara']);
+
+    const removed = h.logs.find(entry => entry.message === 'Emergency contact removed: Anna');
+    assert.equal(removed.module, 'contacts');
+    assert.equal(removed.fields.contact, anna.id);
+});
+
+test('only contacts included for the severity are picked', () => {
+    const { contacts } = setup();
+    contacts.add(ANNA);
+    contacts.add(BEN);
+
+    assert.deepEqual([...contacts.forSeverity('high').map(contact => contact.name)], ['Anna']);
+    assert.deepEqual([...contacts.forSeverity('critical').map(contact => contact.name)], ['Anna', 'Ben']);
+});
+
+test('every channel of a contact is tried and reported', async () => {
+    const { h, contacts, emergency } = setup();
+    contacts.add(ANNA);
+    contacts.add(BEN);
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12 });
+
+    // Anna is the first escalation tier; Ben follows once she times out
+    await emergency.sendAlert('critical', {});
+    h.clock.advance(120000);
+    await flush();
+
+    assert.ok(emergency.notifiedServices.includes('SMS to Anna: opened'));
+    assert.ok(emergency.notifiedServices.includes('WhatsApp to Anna: opened'));
+    assert.ok(emergency.notifiedServices.includes('Call to Anna: opened'));
+    assert.ok(emergency.notifiedServices.includes('Email to Ben: opened'));
+
+    // Links for SMS, the dialer's iframe for calls
+    const links = h.document.created.map(element => element.href || element.src || '');
+    assert.ok(links.some(href => href.startsWith('sms:+44 7700 900123?body=')));
+    assert.ok(links.includes('tel:+44 7700 900123'));
+    assert.ok(h.opened.some(url => url.startsWith('https://wa.me/447700900123?text=')));
+    assert.ok(h.opened.some(url => url.startsWith('mailto:ben@example.com?subject=')));
+
+    assert.deepEqual([...emergency.contactStatus.map(status => status.name)], ['Anna', 'Ben']);
+    assert.equal(emergency.contactStatus[0].channels.whatsapp, 'opened');
+    assert.match(h.document.getElementById('notifiedServices').innerHTML, /✓ Email to Ben: opened/);
+
+    const [incident] = await h.get('incidentStore').getIncidents();
+    assert.equal(incident.contactStatus[1].channels.email, 'opened');
+});
+
+test('a contact left out for the severity is not alerted', async () => {
+    const { h, contacts, emergency } = setup();
+    contacts.add(BEN);
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12 });
+
+    await emergency.sendAlert('high', {});
+
+    assert.equal(emergency.contactStatus.length, 0);
+    assert.ok(!h.opened.some(url => url.startsWith('mailto:')));
+});
+
+test('the Settings form adds and edits contacts', () => {
+    const { h, contacts } = setup();
+    const field = id => h.document.getElementById(id);
+    h.dispatch('load');
+
+    field('contactName').value = 'Dana';
+    field('contactRelationship').value = 'friend';
+    field('contactPhone').value = '555 0199';
+    field('contactEmail').value = '';
+    field('contactChannel-sms').checked = true;
+    field('contactChannel-call').checked = false;
+    field('contactSeverity-medium').checked = false;
+    field('contactSeverity-high').checked = true;
+    field('contactSeverity-critical').checked = true;
+    h.run('saveContactForm()');
+
+    const [dana] = contacts.getAll();
+    assert.equal(dana.relationship, 'friend');
+    assert.deepEqual([...dana.channels], ['sms']);
+    assert.deepEqual([...dana.severities], ['high', 'critical']);
+    assert.match(field('contactList').innerHTML, /1\. Dana<\/strong>\s+ \(friend\)/);
+
+    h.run(`editContact('${dana.id}')`);
+    assert.equal(field('contactName').value, 'Dana');
+    assert.equal(field('saveContactBtn').textContent, '💾 Update Contact');
+
+    field('contactName').value = 'Dana Smith';
+    h.run('saveContactForm()');
+    assert.equal(contacts.getAll().length, 1);
+    assert.equal(contacts.getAll()[0].name, 'Dana Smith');
+    assert.equal(field('contactName').value, '');
+});
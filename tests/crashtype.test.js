@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, G, flush } = require('./harness');
+
+// Phone face up with vehicle forward along device -x and vehicle left along device -y
+function setup() {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    h.startDetection();
+    h.clock.advance(2100);
+    return { h, shown };
+}
+
+// Accelerates, brakes and turns both ways so the mount orientation gets learned
+function learnMount(h) {
+    let speed = 15;
+    let heading = 0;
+    const fix = () => h.geolocation.push({ latitude: 51.5, longitude: -0.12, speed, heading });
+    const phases = [
+        { seconds: 4, accel: 1.5 }, { seconds: 4, accel: -1.5 },
+        { seconds: 3, turn: 10 }, { seconds: 3, turn: -10 }, { seconds: 5 }
+    ];
+
+    fix();
+    phases.forEach(({ seconds, accel = 0, turn = 0 }) => {
+        for (let s = 0; s < seconds; s++) {
+            const lateral = -speed * turn * Math.PI / 180;
+            for (let i = 0; i < 10; i++) h.motion({ x: -accel / G, y: -lateral / G, z: 1 }, 100);
+            speed += accel;
+            heading = (heading + turn + 360) % 360;
+            fix();
+        }
+    });
+}
+
+function settle(h) {
+    for (let i = 0; i < 60; i++) h.motion({ x: 0, y: 0, z: 1 }, 100);
+}
+
+test('a hard stop against something ahead is a frontal collision at 12 o\'clock', () => {
+    const { h, shown } = setup();
+    learnMount(h);
+
+    h.motion({ x: 7, y: 0, z: 1 });
+    settle(h);
+
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].details.crashType.type, 'frontal');
+    assert.equal(shown[0].details.crashType.clock, 12);
+    assert.equal(h.document.getElementById('alertDirection').textContent,
+        '💥 Frontal collision - from the front (12 o\'clock)');
+});
+
+test('being shoved sideways is a side impact from the other side', () => {
+    const { h, shown } = setup();
+    learnMount(h);
+
+    // Thrown to the left, so the hit came from the right
+    h.motion({ x: 0, y: -7, z: 1 });
+    settle(h);
+
+    assert.equal(shown[0].details.crashType.type, 'side');
+    assert.equal(shown[0].details.crashType.direction, 'from the right (3 o\'clock)');
+});
+
+test('being pushed forward is a rear-end collision', () => {
+    const { h, shown } = setup();
+    learnMount(h);
+
+    h.motion({ x: -7, y: 0, z: 1 });
+    settle(h);
+
+    assert.equal(shown[0].details.crashType.type, 'rear-end');
+    assert.equal(shown[0].details.crashType.clock, 6);
+});
+
+test('a free fall before the impact at speed is a fall or ejection', () => {
+    const { h, shown } = setup();
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12, speed: 20 });
+
+    for (let i = 0; i < 20; i++) h.motion({ x: 0, y: 0, z: 0.05 });
+    h.motion({ x: 0, y: 0, z: 8 });
+    settle(h);
+
+    assert.equal(shown[0].details.crashType.type, 'fall');
+    assert.match(shown[0].details.crashType.direction, /^thrown clear - 400 ms free fall/);
+});
+
+test('a rollover alert is classified as a rollover with the final position', () => {
+    const { h, shown } = setup();
+
+    for (let i = 1; i <= 50; i++) {
+        const angle = 180 * i / 50 * Math.PI / 180;
+        h.motion({ x: Math.sin(angle), y: 0, z: Math.cos(angle), rotationRate: { alpha: 0, beta: 0, gamma: 180 } });
+    }
+    for (let i = 0; i < 200; i++) h.motion({ x: 0, y: 0, z: -1, rotationRate: { alpha: 0, beta: 0, gamma: 0 } });
+
+    assert.equal(shown[0].details.crashType.type, 'rollover');
+    assert.equal(shown[0].details.crashType.direction, 'vehicle upside down');
+});
+
+test('a horizontal impact before the mount is learned stays unclassified', () => {
+    const { h, shown } = setup();
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12, speed: 20 });
+
+    h.motion({ x: 7, y: 0, z: 1 });
+    settle(h);
+
+    assert.equal(shown[0].details.crashType.type, 'unknown');
+    assert.equal(shown[0].details.crashType.label, 'Unclassified impact');
+});
+
+test('the crash type reaches the emergency screen and the SMS/WhatsApp text', async () => {
+    const { h } = setup();
+    learnMount(h);
+
+    h.motion({ x: 7, y: 0, z: 1 });
+    settle(h);
+    h.clock.advance(30000);
+    await flush();
+
+    assert.equal(h.document.activeScreen(), 'emergencyScreen');
+    assert.equal(h.document.getElementById('emergencyCrashType').textContent,
+        'Frontal collision - from the front (12 o\'clock)');
+
+    const whatsapp = h.opened.find(url => url.startsWith('https://wa.me/'));
+    assert.ok(decodeURIComponent(whatsapp).includes('Crash type: Frontal collision - from the front (12 o\'clock)'));
+});
@@ -0,0 +1,223 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+test('calculateSeverity maps impact force and duration to severity', () => {
+    const h = createHarness();
+    const detector = h.get('accidentDetector');
+
+    assert.equal(detector.calculateSeverity(1.0, 0), 'none');
+    assert.equal(detector.calculateSeverity(2.5, 0), 'low');
+    assert.equal(detector.calculateSeverity(3.9, 0), 'low');
+    assert.equal(detector.calculateSeverity(4.0, 0), 'medium');
+    assert.equal(detector.calculateSeverity(6.0, 0), 'high');
+    assert.equal(detector.calculateSeverity(6.0, 199), 'high');
+    assert.equal(detector.calculateSeverity(6.0, 200), 'critical');
+    assert.equal(detector.calculateSeverity(8.0, 0), 'critical');
+});
+
+test('6.5g impact followed by a crash-like sound raises a single critical alert', () => {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    h.startDetection();
+
+    // Impact force is measured above gravity, so 6.5g of impact reads 7.5g raw
+    h.motion({ x: 0, y: 0, z: 1 });
+    h.motion({ x: 0, y: 0, z: 7.5 });
+    h.audio({ level: 105, crashScore: 0.8 }, 300);
+    assert.equal(shown.length, 0);
+
+    // No further readings during the confirmation window, so the severity stays as detected
+    h.clock.advance(5500);
+
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].severity, 'critical');
+    assert.ok(shown[0].details.fusion.factors.some(factor => factor.name === 'audio'));
+    assert.ok(Math.abs(shown[0].details.impactForce - 6.5) < 0.01);
+    assert.equal(shown[0].details.soundLevel, 105);
+    assert.equal(shown[0].details.audioScore, 0.8);
+    assert.equal(shown[0].details.combined, true);
+    assert.equal(shown[0].details.confirmation.outcome, 'unknown');
+    assert.equal(h.document.activeScreen(), 'alertScreen');
+
+    const history = h.get('accidentDetector').getDetectionHistory();
+    assert.equal(history.filter(event => event.type === 'combined').length, 1);
+});
+
+test('a low severity impact is logged but does not raise an alert', () => {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    h.startDetection();
+
+    h.motion({ x: 0, y: 0, z: 4 });
+
+    assert.equal(shown.length, 0);
+    assert.ok(h.logMessages('warning').includes('low severity impact detected - no alert'));
+});
+
+test('a crash sound without a recent impact does not raise an alert', () => {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    h.startDetection();
+
+    h.audio({ level: 110, crashScore: 0.9 });
+
+    assert.equal(shown.length, 0);
+    assert.ok(h.logMessages('warning').some(message => message.startsWith('Crash-like sound detected')));
+});
+
+test('a loud sound that does not score as a crash is ignored', () => {
+    const h = createHarness();
+    const detector = h.startDetection();
+
+    h.motion({ x: 0, y: 0, z: 5.5 });
+    h.audio({ level: 115, crashScore: 0.3 });
+
+    assert.equal(detector.pendingImpact.severity, 'medium');
+    assert.equal(detector.pendingImpact.details.combined, undefined);
+});
+
+test('alerts are debounced for 10 seconds', () => {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    const detector = h.startDetection();
+    const handler = h.context.alertHandler;
+    const start = h.clock.now;
+
+    detector.triggerAccidentAlert('high', {}, start);
+    handler.isAlertActive = false;
+    detector.triggerAccidentAlert('critical', {}, start + 9999);
+    assert.equal(shown.length, 1);
+
+    detector.triggerAccidentAlert('critical', {}, start + 10000);
+    assert.equal(shown.length, 2);
+    assert.equal(shown[1].severity, 'critical');
+});
+
+test('replaying a trace reports the alerts it would raise without showing them', async () => {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    const replayer = h.get('traceReplayer');
+    const sample = (t, z) => ({
+        t,
+        type: 'motion',
+        data: { accelerationIncludingGravity: { x: 0, y: 0, z: z * 9.81 } }
+    });
+
+    // 6.5g impact at 520ms, then the phone lies still
+    const samples = [sample(0, 1), sample(500, 1), sample(520, 7.5)];
+    for (let t = 600; t <= 7000; t += 100) samples.push(sample(t, 1));
+
+    const trace = replayer.parse(JSON.stringify({
+        format: 'vad-sensor-trace',
+        version: 1,
+        startedAt: h.clock.now,
+        duration: 7000,
+        samples: samples
+    }));
+    const summary = await replayer.replay(trace);
+
+    assert.equal(summary.alerts.length, 1);
+    assert.equal(summary.alerts[0].severity, 'critical');
+    assert.equal(summary.alerts[0].details.confirmation.outcome, 'stationary');
+    assert.equal(summary.alerts[0].timestamp, trace.startedAt + 5600);
+    assert.equal(shown.length, 0);
+    assert.equal(h.get('accidentDetector').isActive, false);
+});
+
+test('a dry-run replay leaves the live sensor, detector and black box state alone', async () => {
+    const h = createHarness();
+    const sensors = h.get('sensorManager');
+    const detector = h.get('accidentDetector');
+    const blackBox = h.get('blackBoxRecorder');
+
+    // Live readings from a phone lying on its side, with a learned mount
+    sensors.processMotion({ accelerationIncludingGravity: { x: 9.81, y: 0, z: 0 } }, h.clock.now);
+    const gravity = sensors.gravity;
+    const vehicleFrame = sensors.vehicleFrame;
+    const sensorData = sensors.sensorData;
+    const history = detector.detectionHistory;
+    const buffered = blackBox.buffer.toArray();
+
+    const sample = (t, z) => ({ t, type: 'motion', data: { accelerationIncludingGravity: { x: 0, y: 0, z: z * 9.81 } } });
+    const samples = [sample(0, 1), sample(20, 7.5)];
+    for (let t = 100; t <= 7000; t += 100) samples.push(sample(t, 1));
+    const summary = await h.get('traceReplayer').replay({ startedAt: h.clock.now, duration: 7000, samples });
+
+    assert.equal(summary.alerts.length, 1);
+    assert.ok(summary.maxImpact > 6);
+    assert.equal(sensors.gravity, gravity);
+    assert.equal(sensors.vehicleFrame, vehicleFrame);
+    assert.equal(sensors.sensorData, sensorData);
+    assert.equal(sensors.sensorData.maxImpact, sensorData.maxImpact);
+    assert.equal(detector.detectionHistory, history);
+    assert.deepEqual(blackBox.buffer.toArray(), buffered);
+});
+
+test('stopping a realtime replay resolves it with what was detected so far', async () => {
+    const h = createHarness();
+    const replayer = h.get('traceReplayer');
+    const sample = (t, z) => ({ t, type: 'motion', data: { accelerationIncludingGravity: { x: 0, y: 0, z: z * 9.81 } } });
+    const samples = [];
+    for (let t = 0; t <= 10000; t += 100) samples.push(sample(t, t === 1000 ? 7.5 : 1));
+
+    const replay = replayer.replay({ startedAt: h.clock.now, duration: 10000, samples }, { realtime: true });
+    h.clock.advance(2000);
+    assert.equal(replayer.isReplaying, true);
+
+    replayer.stop();
+    const summary = await replay;
+    assert.equal(summary.stopped, true);
+    assert.ok(summary.maxImpact > 6);
+    assert.equal(replayer.isReplaying, false);
+    assert.equal(h.get('accidentDetector').replaySession, null);
+
+    // Nothing left scheduled, and the next replay can start
+    h.clock.advance(10000);
+    assert.equal(replayer.stop(), null);
+    const next = await replayer.replay({ startedAt: h.clock.now, duration: 0, samples: [] });
+    assert.equal(next.stopped, false);
+});
+
+test('a replay waits for a live impact that is being confirmed', async () => {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    const detector = h.get('accidentDetector');
+    detector.isActive = true;
+    detector.addCandidateImpact('high', { impactForce: 5 }, h.clock.now);
+    const pending = detector.pendingImpact;
+
+    const trace = { startedAt: h.clock.now, duration: 0, samples: [] };
+    await assert.rejects(h.get('traceReplayer').replay(trace), /impact is being confirmed/);
+    assert.equal(detector.pendingImpact, pending);
+
+    // The live candidate is still confirmed and alerts as usual
+    h.clock.advance(6000);
+    assert.equal(detector.pendingImpact, null);
+    assert.equal(shown.length, 1);
+    assert.equal(h.get('traceReplayer').isReplaying, false);
+});
+
+test('an impact near the end of a trace is still confirmed and reported', async () => {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    const sample = (t, z) => ({ t, type: 'motion', data: { accelerationIncludingGravity: { x: 0, y: 0, z: z * 9.81 } } });
+    const samples = [];
+    for (let t = 0; t <= 2000; t += 100) samples.push(sample(t, t === 1000 ? 7.5 : 1));
+
+    const summary = await h.get('traceReplayer').replay({ startedAt: h.clock.now, duration: 2000, samples });
+
+    assert.equal(summary.alerts.length, 1);
+    assert.equal(summary.alerts[0].timestamp, h.clock.now + 6000);
+    assert.ok(summary.events.some(event => event.type === 'confirmation'));
+    assert.equal(h.get('accidentDetector').pendingImpact, null);
+
+    // Nothing fires later from the replay's own confirmation timer
+    h.clock.advance(10000);
+    assert.equal(shown.length, 0);
+});
+
+test('replay rejects files that are not sensor traces', () => {
+    const h = createHarness();
+    assert.throws(() => h.get('traceReplayer').parse('{"samples": []}'), /Not a sensor trace file/);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+function setup() {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    h.startDetection();
+    h.motion({ x: 0, y: 0, z: 1 });
+    return { h, shown, detector: h.get('accidentDetector') };
+}
+
+// ~400 ms of near-zero g (a ~80 cm fall) ending in a hard landing
+function drop(h) {
+    for (let i = 0; i < 20; i++) h.motion({ x: 0, y: 0, z: 0.05 });
+    h.motion({ x: 0, y: 0, z: 8 });
+}
+
+function settle(h) {
+    for (let i = 0; i < 60; i++) h.motion({ x: 0, y: 0, z: 1 }, 100);
+}
+
+test('a free fall ending in an impact while stationary is suppressed as a phone drop', () => {
+    const { h, shown, detector } = setup();
+
+    h.geolocation.push({ latitude: 1, longitude: 1, speed: 0 });
+    drop(h);
+    h.motion({ x: 0, y: 0, z: 5 });
+    settle(h);
+
+    assert.equal(shown.length, 0);
+    assert.equal(detector.pendingImpact, null);
+
+    const suppressed = detector.getDetectionHistory().filter(event => event.type === 'suppressed');
+    assert.equal(suppressed.length, 1);
+    assert.equal(suppressed[0].reason, 'phone-drop');
+    assert.match(suppressed[0].explanation, /^free fall of 400 ms ended 0 ms before a .*g impact, 0 km\/h$/);
+});
+
+test('a drop-like impact without GPS speed is downgraded by one level', () => {
+    const { h, detector } = setup();
+
+    drop(h);
+
+    const downgraded = detector.getDetectionHistory().find(event => event.type === 'downgraded');
+    assert.equal(downgraded.reason, 'possible-drop');
+    assert.equal(downgraded.originalSeverity, 'high');
+    assert.equal(detector.pendingImpact.severity, 'medium');
+});
+
+test('a free fall at vehicle speed is kept and noted in the alert details', () => {
+    const { h, shown, detector } = setup();
+
+    h.geolocation.push({ latitude: 1, longitude: 1, speed: 20 });
+    drop(h);
+    settle(h);
+
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].details.freeFall.verdict, 'vehicle-speed');
+    assert.equal(shown[0].details.freeFall.duration, 400);
+    assert.equal(detector.getDetectionHistory().some(event => event.type === 'suppressed'), false);
+});
+
+test('a short dip below 1g is not treated as a free fall', () => {
+    const { h, detector } = setup();
+
+    h.geolocation.push({ latitude: 1, longitude: 1, speed: 20 });
+    for (let i = 0; i < 3; i++) h.motion({ x: 0, y: 0, z: 0.05 });
+    h.motion({ x: 0, y: 0, z: 8 });
+
+    assert.equal(detector.lastFreeFall, null);
+    assert.notEqual(detector.pendingImpact, null);
+});
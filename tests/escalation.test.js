@@ -0,0 +1,128 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, flush } = require('./harness');
+
+const ANNA = { name: 'Anna', relationship: 'partner', phone: '555 0101', channels: ['sms'] };
+const BEN = { name: 'Ben', relationship: 'brother', phone: '555 0102', channels: ['sms'] };
+
+async function alertWith(contacts) {
+    const h = createHarness();
+    contacts.forEach(contact => h.get('contactManager').add(contact));
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12 });
+
+    const emergency = h.context.emergencyHandler;
+    await emergency.sendAlert('high', {});
+    return { h, emergency, engine: h.get('escalationEngine') };
+}
+
+// Channel results arrive asynchronously
+async function advance(h, ms) {
+    h.clock.advance(ms);
+    await flush();
+}
+
+const smsTo = (emergency, name) => emergency.notifiedServices.filter(service => service.startsWith(`SMS to ${name}`)).length;
+const states = engine => engine.getStatus().tiers.map(tier => `${tier.label}: ${tier.state}`);
+
+test('without contacts the emergency number is contacted straight away', async () => {
+    const { emergency, engine } = await alertWith([]);
+
+    assert.ok(emergency.notifiedServices.includes('SMS to 911: opened'));
+    assert.equal(engine.getStatus().activeTier, 'Emergency services (911)');
+});
+
+test('each tier is retried and then escalated to the next', async () => {
+    const { h, emergency, engine } = await alertWith([ANNA, BEN]);
+
+    assert.equal(engine.getStatus().activeTier, 'Anna (partner)');
+    assert.equal(smsTo(emergency, 'Anna'), 1);
+    assert.equal(smsTo(emergency, '911'), 0);
+
+    // First contact: 60s timeout, one retry
+    await advance(h, 60000);
+    assert.equal(smsTo(emergency, 'Anna'), 2);
+    assert.equal(engine.getStatus().activeTier, 'Anna (partner)');
+
+    await advance(h, 60000);
+    assert.equal(engine.getStatus().activeTier, 'Ben (brother)');
+    assert.equal(smsTo(emergency, 'Ben'), 1);
+
+    // Following contacts: 45s, no retry
+    await advance(h, 45000);
+    assert.equal(engine.getStatus().activeTier, 'Emergency services (911)');
+    assert.equal(smsTo(emergency, '911'), 1);
+    assert.deepEqual([...states(engine)], [
+        'Anna (partner): timed-out', 'Ben (brother): timed-out', 'Emergency services (911): active'
+    ]);
+});
+
+test('the emergency number is retried until nobody is left', async () => {
+    const { h, emergency, engine } = await alertWith([]);
+
+    await advance(h, 3 * 120000);
+
+    assert.equal(smsTo(emergency, '911'), 3);
+    assert.equal(engine.state, 'exhausted');
+    assert.equal(h.document.getElementById('escalationStatus').textContent,
+        'Nobody acknowledged - keep trying emergency services');
+});
+
+test('an acknowledgement stops the escalation', async () => {
+    const { h, emergency, engine } = await alertWith([ANNA, BEN]);
+    h.clock.advance(120000);
+
+    h.run('acknowledgeEscalation()');
+    h.clock.advance(600000);
+    await flush();
+
+    assert.equal(engine.state, 'acknowledged');
+    assert.equal(engine.acknowledgedBy, 'Ben (brother)');
+    assert.equal(smsTo(emergency, '911'), 0);
+    assert.deepEqual([...states(engine)], [
+        'Anna (partner): timed-out', 'Ben (brother): acknowledged', 'Emergency services (911): not-needed'
+    ]);
+    assert.equal(h.document.getElementById('escalationStatus').textContent, 'Acknowledged by Ben (brother)');
+
+    const [incident] = await h.get('incidentStore').getIncidents();
+    const events = incident.timeline.map(entry => entry.event);
+    assert.deepEqual([...events.slice(-2)], ['escalated', 'acknowledged']);
+    assert.equal(incident.escalation.state, 'acknowledged');
+});
+
+test('skipping goes straight to emergency services', async () => {
+    const { h, emergency, engine } = await alertWith([ANNA, BEN]);
+
+    h.run('skipToEmergencyServices()');
+    await flush();
+
+    assert.equal(smsTo(emergency, '911'), 1);
+    assert.equal(smsTo(emergency, 'Ben'), 0);
+    assert.deepEqual([...states(engine)], [
+        'Anna (partner): skipped', 'Ben (brother): skipped', 'Emergency services (911): active'
+    ]);
+    assert.equal(h.document.getElementById('skipEscalationBtn').disabled, true);
+    assert.equal(engine.skipToEmergency(), false);
+});
+
+test('the emergency screen shows live progress', async () => {
+    const { h } = await alertWith([ANNA, BEN]);
+    const progress = () => h.document.getElementById('escalationProgress').innerHTML;
+
+    assert.match(progress(), /1\. Anna \(partner\): Contacting - attempt 1 of 2, 60s left/);
+    assert.match(progress(), /2\. Ben \(brother\): Waiting/);
+    assert.equal(h.document.getElementById('escalationStatus').textContent, 'Contacting Anna (partner)');
+
+    h.clock.advance(10000);
+    assert.match(progress(), /attempt 1 of 2, 50s left/);
+});
+
+test('leaving the emergency screen stops the escalation', async () => {
+    const { h, emergency, engine } = await alertWith([ANNA]);
+
+    h.run('returnToDashboard()');
+    h.clock.advance(600000);
+
+    assert.equal(engine.state, 'stopped');
+    assert.equal(smsTo(emergency, '911'), 0);
+    assert.equal(h.document.activeScreen(), 'dashboard');
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+function engine() {
+    const h = createHarness();
+    return { h, fusion: h.get('fusionEngine') };
+}
+
+test('each piece of evidence is reported as a factor with its contribution', () => {
+    const { fusion } = engine();
+
+    const result = fusion.assess({
+        severity: 'high',
+        impactForce: 6.5,
+        jerk: 300,
+        audioScore: 0.8,
+        outcome: 'stationary'
+    });
+
+    assert.deepEqual([...result.factors.map(factor => factor.name)], ['impact', 'jerk', 'audio', 'stillness']);
+    const impact = result.factors.find(factor => factor.name === 'impact');
+    assert.equal(impact.value, '6.5g');
+    assert.equal(impact.contribution, 3.75);
+    assert.ok(result.confidence > 0.95);
+    assert.equal(result.severity, 'critical');
+});
+
+test('missing evidence contributes nothing and leaves confidence low', () => {
+    const { fusion } = engine();
+
+    const result = fusion.assess({ severity: 'medium' });
+
+    assert.equal(result.factors.length, 0);
+    assert.ok(result.confidence < 0.05);
+    assert.equal(result.severity, 'none');
+});
+
+test('carrying on at driving speed counts against a crash', () => {
+    const { fusion } = engine();
+    const evidence = { severity: 'high', impactForce: 6.5, jerk: 300 };
+
+    const unknown = fusion.assess(evidence);
+    const driving = fusion.assess(Object.assign({ outcome: 'driving' }, evidence));
+
+    assert.equal(unknown.severity, 'high');
+    assert.ok(driving.confidence < unknown.confidence);
+    assert.equal(driving.factors.find(factor => factor.name === 'stillness').contribution, -2.5);
+    assert.equal(driving.severity, 'low');
+});
+
+test('a large GPS speed drop sets a severity floor', () => {
+    const { fusion } = engine();
+
+    const result = fusion.assess({
+        severity: 'low',
+        impactForce: 3,
+        outcome: 'stationary',
+        deceleration: { fromSpeed: 16.7, toSpeed: 0, drop: 16.7, duration: 1500 }
+    });
+
+    assert.equal(result.baseSeverity, 'high');
+    assert.equal(result.factors.find(factor => factor.name === 'speedChange').value, '60 → 0 km/h');
+});
+
+test('describe lists the strongest factors first', () => {
+    const { fusion } = engine();
+
+    const lines = fusion.describe(fusion.assess({ impactForce: 6.5, outcome: 'moving', audioScore: 0.2 }));
+
+    assert.deepEqual([...lines], ['Impact: 6.5g (+3.8)', 'After impact: moving (−1.5)', 'Crash sound: score 0.20 (+0.4)']);
+});
+
+test('the breakdown is shown on the alert screen and sent in the emergency message', () => {
+    const { h } = engine();
+    const shown = h.captureAlerts();
+    h.startDetection();
+
+    h.motion({ x: 0, y: 0, z: 1 });
+    h.motion({ x: 0, y: 0, z: 7.5 });
+    for (let i = 0; i < 60; i++) h.motion({ x: 0, y: 0, z: 1 }, 100);
+
+    const fusion = shown[0].details.fusion;
+    assert.equal(h.document.getElementById('alertConfidence').textContent,
+        `Confidence: ${Math.round(fusion.confidence * 100)}%`);
+    assert.match(h.document.getElementById('alertFactors').innerHTML, /<li>Impact: 6\.5g \(\+3\.8\)<\/li>/);
+
+    const message = h.get('emergencyHandler').prepareEmergencyMessage(
+        shown[0].severity, { latitude: 1, longitude: 1 }, shown[0].details);
+    assert.match(message, /Confidence: \d+%\n- Impact: 6\.5g \(\+3\.8\)\n/);
+    assert.match(message, /- After impact: stationary \(\+2\.5\)/);
+});
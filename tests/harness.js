@@ -0,0 +1,549 @@
+// Headless harness: loads the app scripts into a Node vm context with a fake DOM,
+// fake sensors and a manual clock so the detection pipeline can run outside a browser.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const G = 9.81;
+
+// Scripts in the order index.html loads them (app.js is not part of the tree)
+function scriptList() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [];
+    const pattern = /<script src="([^"?]+)(?:\?[^"]*)?"><\/script>/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        if (fs.existsSync(path.join(ROOT, match[1]))) {
+            scripts.push(match[1]);
+        }
+    }
+    return scripts;
+}
+
+class FakeClock {
+    constructor(start = Date.UTC(2024, 0, 1, 12, 0, 0)) {
+        this.now = start;
+        this.timers = [];
+        this.nextId = 1;
+    }
+
+    setTimeout(callback, delay = 0, ...args) {
+        const id = this.nextId++;
+        this.timers.push({ id, at: this.now + delay, callback, args, interval: null });
+        return id;
+    }
+
+    setInterval(callback, delay = 0, ...args) {
+        const id = this.nextId++;
+        this.timers.push({ id, at: this.now + delay, callback, args, interval: delay });
+        return id;
+    }
+
+    clearTimer(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    }
+
+    // Moves time forward, running every timer that falls due on the way
+    advance(ms) {
+        const target = this.now + ms;
+        for (;;) {
+            const due = this.timers
+                .filter(timer => timer.at <= target)
+                .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+            if (!due) break;
+
+            this.now = due.at;
+            if (due.interval !== null) {
+                due.at += Math.max(due.interval, 1);
+            } else {
+                this.clearTimer(due.id);
+            }
+            due.callback(...due.args);
+        }
+        this.now = target;
+    }
+}
+
+class FakeClassList {
+    constructor(element) {
+        this.element = element;
+    }
+
+    get items() {
+        return this.element.className.split(/\s+/).filter(Boolean);
+    }
+
+    add(...names) {
+        this.element.className = Array.from(new Set(this.items.concat(names))).join(' ');
+    }
+
+    remove(...names) {
+        this.element.className = this.items.filter(name => !names.includes(name)).join(' ');
+    }
+
+    contains(name) {
+        return this.items.includes(name);
+    }
+
+    toggle(name, force) {
+        const add = force === undefined ? !this.contains(name) : force;
+        if (add) this.add(name); else this.remove(name);
+        return add;
+    }
+}
+
+class FakeElement {
+    constructor(tagName, id = '') {
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.className = '';
+        this.textContent = '';
+        this.innerHTML = '';
+        this.value = '';
+        this.checked = false;
+        this.style = {};
+        this.dataset = {};
+        this.attributes = {};
+        this.children = [];
+        this.parentNode = null;
+        this.listeners = {};
+        this.classList = new FakeClassList(this);
+        this.clicks = 0;
+    }
+
+    appendChild(child) {
+        child.parentNode = this;
+        this.children.push(child);
+        return child;
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter(node => node !== child);
+        child.parentNode = null;
+        return child;
+    }
+
+    remove() {
+        if (this.parentNode) this.parentNode.removeChild(this);
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return name in this.attributes ? this.attributes[name] : null;
+    }
+
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(fn => fn !== listener);
+    }
+
+    dispatchEvent(event) {
+        (this.listeners[event.type] || []).forEach(listener => listener(event));
+    }
+
+    click() {
+        this.clicks++;
+        this.dispatchEvent({ type: 'click', target: this });
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    querySelector() {
+        return null;
+    }
+}
+
+class FakeDocument {
+    constructor() {
+        this.elements = new Map();
+        this.body = new FakeElement('body');
+        this.created = [];
+
+        // The three top-level screens switchScreen() toggles between
+        ['dashboard', 'alertScreen', 'emergencyScreen'].forEach(id => {
+            const screen = this.getElementById(id);
+            screen.className = id === 'dashboard' ? 'screen active' : 'screen';
+        });
+    }
+
+    // Every id resolves to an element so the app code never hits a missing node
+    getElementById(id) {
+        if (!this.elements.has(id)) {
+            this.elements.set(id, new FakeElement('div', id));
+        }
+        return this.elements.get(id);
+    }
+
+    createElement(tagName) {
+        const element = new FakeElement(tagName);
+        this.created.push(element);
+        return element;
+    }
+
+    querySelectorAll(selector) {
+        const all = Array.from(this.elements.values());
+        if (selector.startsWith('.')) {
+            return all.filter(element => element.classList.contains(selector.slice(1)));
+        }
+        if (selector.startsWith('#')) {
+            return all.filter(element => element.id === selector.slice(1));
+        }
+        return [];
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    activeScreen() {
+        const active = this.querySelectorAll('.screen').find(screen => screen.classList.contains('active'));
+        return active ? active.id : null;
+    }
+}
+
+class FakeStorage {
+    constructor() {
+        this.data = new Map();
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+
+    clear() {
+        this.data.clear();
+    }
+}
+
+class FakeGeolocation {
+    constructor(clock) {
+        this.clock = clock;
+        this.watchers = new Map();
+        this.nextId = 1;
+        this.position = null;
+        this.error = { code: 2, message: 'Position unavailable' };
+    }
+
+    getCurrentPosition(success, failure) {
+        if (this.position) {
+            success(this.position);
+        } else if (failure) {
+            failure(this.error);
+        }
+    }
+
+    watchPosition(success, failure) {
+        const id = this.nextId++;
+        this.watchers.set(id, { success, failure });
+        return id;
+    }
+
+    clearWatch(id) {
+        this.watchers.delete(id);
+    }
+
+    // Delivers a fix to every watcher; speed in m/s like the real API
+    push({ latitude, longitude, accuracy = 5, speed = null, heading = null, timestamp = this.clock.now }) {
+        this.position = {
+            coords: { latitude, longitude, accuracy, speed, heading },
+            timestamp
+        };
+        this.watchers.forEach(watcher => watcher.success(this.position));
+    }
+}
+
+function fakeAudioContext() {
+    const param = () => ({
+        value: 0,
+        setValueAtTime() {},
+        linearRampToValueAtTime() {},
+        exponentialRampToValueAtTime() {}
+    });
+    const node = () => ({ connect() {}, disconnect() {} });
+
+    return class AudioContext {
+        constructor() {
+            this.currentTime = 0;
+            this.sampleRate = 44100;
+            this.destination = node();
+        }
+
+        createOscillator() {
+            return Object.assign(node(), { frequency: param(), type: 'sine', start() {}, stop() {} });
+        }
+
+        createGain() {
+            return Object.assign(node(), { gain: param() });
+        }
+
+        createAnalyser() {
+            return Object.assign(node(), {
+                fftSize: 2048,
+                get frequencyBinCount() { return this.fftSize / 2; },
+                getByteFrequencyData() {},
+                getFloatFrequencyData() {},
+                getFloatTimeDomainData() {}
+            });
+        }
+
+        createMediaStreamSource() {
+            return node();
+        }
+
+        close() {
+            return Promise.resolve();
+        }
+    };
+}
+
+// Lets pending promise callbacks and I/O run before a test looks at the result
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Builds a devicemotion-like event from g-force components
+function motionEvent({ x = 0, y = 0, z = 1, linear = null, rotationRate = null, interval = 16 } = {}) {
+    return {
+        type: 'devicemotion',
+        accelerationIncludingGravity: { x: x * G, y: y * G, z: z * G },
+        acceleration: linear ? { x: linear.x * G, y: linear.y * G, z: linear.z * G } : null,
+        rotationRate: rotationRate,
+        interval: interval
+    };
+}
+
+function createHarness(options = {}) {
+    const clock = new FakeClock(options.now);
+    const document = new FakeDocument();
+    const localStorage = new FakeStorage();
+    const geolocation = new FakeGeolocation(clock);
+    const logs = [];
+    const dialogs = [];
+    const opened = [];
+    const vibrations = [];
+    const windowListeners = {};
+
+    const context = {
+        console: options.console || { log() {}, warn() {}, error() {}, info() {}, debug() {} },
+        document,
+        localStorage,
+        navigator: {
+            userAgent: 'node-harness',
+            onLine: true,
+            geolocation,
+            vibrate: (pattern) => { vibrations.push(pattern); return true; },
+            mediaDevices: {
+                getUserMedia: () => Promise.reject(new Error('No microphone in harness'))
+            }
+        },
+        location: { href: '' },
+        setTimeout: clock.setTimeout.bind(clock),
+        setInterval: clock.setInterval.bind(clock),
+        clearTimeout: clock.clearTimer.bind(clock),
+        clearInterval: clock.clearTimer.bind(clock),
+        requestAnimationFrame: () => 0,
+        alert: (message) => dialogs.push(message),
+        confirm: () => true,
+        open: (url) => { opened.push(url); return null; },
+        focus() {},
+        addEventListener: (type, listener) => {
+            (windowListeners[type] = windowListeners[type] || []).push(listener);
+        },
+        removeEventListener: (type, listener) => {
+            windowListeners[type] = (windowListeners[type] || []).filter(fn => fn !== listener);
+        },
+        DeviceMotionEvent: function DeviceMotionEvent() {},
+        DeviceOrientationEvent: function DeviceOrientationEvent() {},
+        AudioContext: fakeAudioContext(),
+        Blob: class Blob {
+            constructor(parts, opts = {}) {
+                this.parts = parts;
+                this.type = opts.type || '';
+            }
+        },
+        URL: {
+            createObjectURL: () => 'blob:harness',
+            revokeObjectURL() {}
+        },
+        TextEncoder,
+        addLog: (message, level = 'info') => logs.push({ message, level })
+    };
+    context.window = context;
+    context.self = context;
+
+    vm.createContext(context);
+    vm.runInContext('Date.now = () => __clock.now;', Object.assign(context, { __clock: clock }));
+
+    (options.scripts || scriptList()).forEach(file => {
+        const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+
+        // logger.js replaces the addLog stub - collect its entries instead
+        if (file === 'logger.js') {
+            vm.runInContext('logger', context).callbacks.push(entry => logs.push(entry));
+        }
+    });
+
+    const harness = {
+        context,
+        clock,
+        document,
+        localStorage,
+        geolocation,
+        logs,
+        dialogs,
+        opened,
+        vibrations,
+
+        // Reads a top-level binding (class, const or function) from the loaded scripts
+        get(name) {
+            return vm.runInContext(name, context);
+        },
+
+        run(code) {
+            return vm.runInContext(code, context);
+        },
+
+        dispatch(type, event) {
+            (windowListeners[type] || []).forEach(listener => listener(Object.assign({ type }, event)));
+        },
+
+        // Starts the detector and GPS tracking without touching the (absent) microphone
+        startDetection() {
+            const detector = harness.get('accidentDetector');
+            const sensors = harness.get('sensorManager');
+            detector.isActive = true;
+            sensors.startMonitoring(detector.onSensorData);
+            harness.get('audioMonitor').callbacks.push(detector.onAudioData);
+            harness.get('gpsTracker').startTracking();
+            return detector;
+        },
+
+        // Feeds one devicemotion sample, advancing the clock first
+        motion(sample = {}, advanceMs = 20) {
+            clock.advance(advanceMs);
+            harness.dispatch('devicemotion', motionEvent(sample));
+        },
+
+        orientation({ alpha = 0, beta = 0, gamma = 0 } = {}, advanceMs = 20) {
+            clock.advance(advanceMs);
+            harness.dispatch('deviceorientation', { alpha, beta, gamma });
+        },
+
+        audio(data, advanceMs = 20) {
+            clock.advance(advanceMs);
+            const monitor = harness.get('audioMonitor');
+            monitor.notifyCallbacks(Object.assign({ peak: data.level, timestamp: clock.now }, data));
+        },
+
+        // Records every AlertHandler.showAlert call instead of running the countdown UI
+        captureAlerts() {
+            const shown = [];
+            const handler = context.alertHandler;
+            const original = handler.showAlert.bind(handler);
+            handler.showAlert = (severity, details) => {
+                shown.push({ severity, details, at: clock.now });
+                original(severity, details);
+            };
+            return shown;
+        },
+
+        logMessages(level) {
+            return logs.filter(entry => !level || entry.level === level).map(entry => entry.message);
+        }
+    };
+
+    return harness;
+}
+
+// A worker global scope for sw.js: self with its own listeners, a working importScripts,
+// caches and clients, and no window, document, localStorage or logger - like the browser's.
+// Files the page serves are the files in the tree; anything else is a 404.
+function createWorkerHarness(options = {}) {
+    const clock = new FakeClock(options.now);
+    const listeners = {};
+    const cached = [];
+    const messages = [];
+    const fileFor = url => path.join(ROOT, url === './' ? 'index.html' : url.replace(/^\.\//, ''));
+
+    const cache = {
+        add: (url) => {
+            if (!fs.existsSync(fileFor(url))) {
+                return Promise.reject(new TypeError(`Request failed: 404 ${url}`));
+            }
+            cached.push(url);
+            return Promise.resolve();
+        },
+        addAll: (urls) => Promise.all(urls.map(url => cache.add(url)))
+    };
+
+    const context = {
+        console: options.console || { log() {}, warn() {}, error() {}, info() {}, debug() {} },
+        navigator: { userAgent: 'node-harness-worker', onLine: true },
+        setTimeout: clock.setTimeout.bind(clock),
+        setInterval: clock.setInterval.bind(clock),
+        clearTimeout: clock.clearTimer.bind(clock),
+        clearInterval: clock.clearTimer.bind(clock),
+        caches: {
+            open: () => Promise.resolve(cache),
+            keys: () => Promise.resolve([]),
+            delete: () => Promise.resolve(true),
+            match: () => Promise.resolve(undefined)
+        },
+        clients: {
+            matchAll: () => Promise.resolve([{ postMessage: message => messages.push(message) }])
+        },
+        importScripts: (...urls) => {
+            urls.forEach(url => {
+                vm.runInContext(fs.readFileSync(fileFor(url), 'utf8'), context, { filename: url });
+            });
+        },
+        addEventListener: (type, listener) => {
+            (listeners[type] = listeners[type] || []).push(listener);
+        }
+    };
+    context.self = context;
+
+    vm.createContext(context);
+    vm.runInContext('Date.now = () => __clock.now;', Object.assign(context, { __clock: clock }));
+    const script = options.script || 'sw.js';
+    vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), context, { filename: script });
+
+    return {
+        context,
+        clock,
+        cached,
+        messages,
+
+        get(name) {
+            return vm.runInContext(name, context);
+        },
+
+        // Fires an extendable event; resolves or rejects with what the listeners waited on
+        dispatch(type, event = {}) {
+            const waited = [];
+            (listeners[type] || []).forEach(listener => listener(Object.assign({
+                type,
+                waitUntil: promise => waited.push(promise)
+            }, event)));
+            return Promise.all(waited);
+        }
+    };
+}
+
+module.exports = { createHarness, createWorkerHarness, motionEvent, flush, FakeClock, G };
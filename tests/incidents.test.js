@@ -0,0 +1,163 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, flush } = require('./harness');
+
+function setup() {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    h.startDetection();
+    h.clock.advance(2100);
+    return { h, shown, store: h.get('incidentStore'), handler: h.context.alertHandler };
+}
+
+// 6.5g impact, then the device lies still long enough to be confirmed
+function crash(h) {
+    h.motion({ x: 0, y: 0, z: 7.5 });
+    h.clock.advance(5500);
+}
+
+async function onlyIncident(store) {
+    await flush();
+    const incidents = await store.getIncidents();
+    assert.equal(incidents.length, 1);
+    return incidents[0];
+}
+
+test('a candidate impact that drives on is recorded as dismissed', async () => {
+    const { h, shown, store } = setup();
+
+    h.motion({ x: 0, y: 0, z: 7.5 });
+    for (let i = 0; i < 60; i++) {
+        if (i % 10 === 0) h.geolocation.push({ latitude: 1, longitude: 1, speed: 22 });
+        h.motion({ x: 0, y: 0, z: 1 + (i % 2 ? 0.3 : -0.3) }, 100);
+    }
+
+    assert.equal(shown.length, 0);
+    const incident = await onlyIncident(store);
+    assert.equal(incident.outcome, 'dismissed');
+    assert.equal(incident.candidateSeverity, 'high');
+    assert.equal(incident.severity, 'low');
+    assert.deepEqual([...incident.timeline.map(entry => entry.event)], ['candidate', 'dismissed']);
+});
+
+test('a cancelled alert keeps its real severity and how it was cancelled', async () => {
+    const { h, store, handler } = setup();
+    h.geolocation.push({ latitude: 48.2, longitude: 16.37 });
+
+    crash(h);
+    handler.cancelAlert('voice');
+
+    const incident = await onlyIncident(store);
+    assert.equal(incident.severity, 'high');
+    assert.equal(incident.outcome, 'cancelled');
+    assert.equal(incident.cancelMethod, 'voice');
+    assert.equal(incident.location.latitude, 48.2);
+    assert.ok(incident.snapshotId);
+    assert.deepEqual([...incident.timeline.map(entry => entry.event)], ['candidate', 'alert', 'cancelled']);
+});
+
+test('the cancel button records the button as the method', async () => {
+    const { h, store } = setup();
+
+    crash(h);
+    h.run('cancelAlert()');
+
+    assert.equal((await onlyIncident(store)).cancelMethod, 'button');
+});
+
+test('a sent emergency is recorded with the real severity instead of always critical', async () => {
+    const { h, store } = setup();
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12 });
+
+    // Moving afterwards without GPS speed lowers 'high' to 'medium'
+    h.motion({ x: 0, y: 0, z: 7.5 });
+    for (let i = 0; i < 60; i++) h.motion({ x: 0, y: 0, z: 1 + (i % 2 ? 0.5 : -0.5) }, 100);
+    h.clock.advance(31000);
+    await flush();
+
+    const incident = await onlyIncident(store);
+    assert.equal(incident.severity, 'medium');
+    assert.equal(incident.outcome, 'emergency-sent');
+    assert.equal(incident.location.latitude, 51.5);
+    assert.ok(incident.notifiedServices.includes('SMS to 911: opened'));
+    assert.match(incident.message, /Severity: MEDIUM/);
+});
+
+test('a rollover opens its incident at the alert', async () => {
+    const { h, store } = setup();
+    const detector = h.get('accidentDetector');
+
+    detector.triggerAccidentAlert('high', { rollover: true, position: 'on-side' }, h.clock.now);
+
+    const incident = await onlyIncident(store);
+    assert.equal(incident.status, 'alert');
+    assert.equal(incident.crashType.type, 'rollover');
+});
+
+test('incidents can be filtered and deleted together with their snapshot', async () => {
+    const { h, store, handler } = setup();
+
+    crash(h);
+    handler.cancelAlert('shake');
+    for (let i = 0; i < 200; i++) h.motion({ x: 0, y: 0, z: 1 }, 100);
+    crash(h);
+    await flush();
+
+    assert.equal((await store.getIncidents({ outcome: 'cancelled' })).length, 1);
+    assert.equal((await store.getIncidents({ outcome: 'pending' })).length, 1);
+    assert.equal((await store.getIncidents({ severity: 'high' })).length, 2);
+    assert.equal((await store.getIncidents({ severity: 'medium' })).length, 0);
+
+    const [cancelled] = await store.getIncidents({ outcome: 'cancelled' });
+    await store.delete(cancelled.id);
+
+    assert.equal((await store.getIncidents()).length, 1);
+    assert.equal(await h.get('localDB').get('snapshots', cancelled.snapshotId), undefined);
+});
+
+test('the Incidents tab lists incidents and opens their timeline', async () => {
+    const { h, store, handler } = setup();
+
+    crash(h);
+    handler.cancelAlert('button');
+    await flush();
+    await h.run('renderIncidentList()');
+
+    const list = h.document.getElementById('incidentList').innerHTML;
+    assert.match(list, /HIGH/);
+    assert.match(list, /Cancelled/);
+
+    const [incident] = await store.getIncidents();
+    await h.run(`openIncident('${incident.id}')`);
+    const detail = h.document.getElementById('incidentDetail').innerHTML;
+    assert.match(detail, /Cancelled by button/);
+    assert.match(detail, /cancelled by button/);
+});
+
+test('contact names in the notified services are escaped in the incident detail', async () => {
+    const h = createHarness();
+    h.get('contactManager').add({ name: '<img src=x onerror=alert(1)>', phone: '555 0101', channels: ['sms'] });
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12 });
+    await h.context.emergencyHandler.sendAlert('high', {});
+    await flush();
+
+    const [incident] = await h.get('incidentStore').getIncidents();
+    await h.run(`openIncident('${incident.id}')`);
+    const detail = h.document.getElementById('incidentDetail').innerHTML;
+    assert.ok(!detail.includes('<img'));
+    assert.match(detail, /SMS to &lt;img src=x onerror=alert\(1\)&gt;: opened/);
+});
+
+test('dry-run replays leave no incidents', async () => {
+    const h = createHarness();
+    const store = h.get('incidentStore');
+    const replayer = h.get('traceReplayer');
+    const sample = (t, z) => ({ t, type: 'motion', data: { accelerationIncludingGravity: { x: 0, y: 0, z: z * 9.81 } } });
+    const samples = [sample(0, 1), sample(20, 7.5)];
+    for (let t = 100; t <= 7000; t += 100) samples.push(sample(t, 1));
+
+    const summary = await replayer.replay({ startedAt: h.clock.now, duration: 7000, samples });
+
+    assert.equal(summary.alerts.length, 1);
+    assert.equal((await store.getIncidents()).length, 0);
+});
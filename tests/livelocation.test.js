@@ -0,0 +1,118 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, flush } = require('./harness');
+
+async function advance(h, ms) {
+    h.clock.advance(ms);
+    await flush();
+}
+
+// Alert with a webhook answering 200, returning the payloads it received
+async function alertWithWebhook(h) {
+    const posted = [];
+    h.context.fetch = (url, options) => {
+        posted.push(JSON.parse(options.body));
+        return Promise.resolve({ ok: true, status: 200 });
+    };
+    h.get('webhookChannel').configure({ url: 'https://backend.example/alerts' });
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12, accuracy: 8 });
+
+    await h.context.emergencyHandler.sendAlert('high', {});
+    await flush();
+    return posted;
+}
+
+test('location updates go out every interval until the time limit', async () => {
+    const h = createHarness();
+    h.context.navigator.getBattery = () => Promise.resolve({ level: 0.42, charging: false });
+    h.get('settingsManager').update({ liveShareInterval: 45, liveShareDuration: 5 });
+
+    const posted = await alertWithWebhook(h);
+    const sharer = h.get('liveLocationSharer');
+    assert.equal(sharer.state, 'sharing');
+    assert.ok(h.get('gpsTracker').watchId, 'tracking started for the session');
+    assert.deepEqual([...posted.map(payload => payload.type)], ['emergency']);
+
+    const fixedAt = h.clock.now;
+    h.geolocation.push({ latitude: 51.501, longitude: -0.121, accuracy: 12, speed: 2.5, heading: 90 });
+    await advance(h, 45000);
+
+    const update = posted[1];
+    assert.equal(update.type, 'location-update');
+    assert.equal(update.incident.id, posted[0].incident.id);
+    assert.deepEqual({ ...update.location }, {
+        latitude: 51.501, longitude: -0.121, accuracy: 12, mapUrl: 'https://www.google.com/maps?q=51.501,-0.121'
+    });
+    assert.equal(update.tracking.sequence, 1);
+    assert.equal(update.tracking.speed, 2.5);
+    assert.equal(update.tracking.heading, 90);
+    assert.deepEqual({ ...update.tracking.battery }, { level: 0.42, charging: false });
+    assert.match(update.message, /Live location update 1 - 51\.501000, -0\.121000 \(±12 m\) - 9 km\/h - battery 42%/);
+
+    // 5 minutes at 45s: six updates, then sharing and tracking stop
+    for (let i = 0; i < 5; i++) await advance(h, 45000);
+    assert.equal(posted.length, 7);
+    assert.equal(sharer.state, 'sharing');
+    await advance(h, 30000);
+    assert.equal(sharer.state, 'stopped');
+    assert.equal(sharer.stopReason, 'expired');
+    assert.equal(h.get('gpsTracker').watchId, null);
+
+    await advance(h, 60000);
+    assert.equal(posted.length, 7);
+
+    const [incident] = await h.get('incidentStore').getIncidents();
+    // The fix from the alert itself, then one point per update
+    assert.equal(incident.track.length, 7);
+    assert.deepEqual({ ...incident.track[1] }, { t: fixedAt, lat: 51.501, lon: -0.121, accuracy: 12, speed: 2.5, heading: 90 });
+    assert.deepEqual({ ...incident.liveLocation, startedAt: 0, endsAt: 0, lastUpdateAt: 0 }, {
+        state: 'stopped', startedAt: 0, endsAt: 0, lastUpdateAt: 0, stopReason: 'expired', updates: 6, battery: 0.42
+    });
+    const events = incident.timeline.map(entry => entry.event);
+    assert.ok(events.includes('live-location-started'));
+    assert.deepEqual({ ...incident.timeline.find(entry => entry.event === 'live-location-stopped'), t: 0 },
+        { t: 0, event: 'live-location-stopped', reason: 'expired', updates: 6 });
+});
+
+test('marking yourself safe stops sharing and the escalation', async () => {
+    const h = createHarness();
+    const posted = await alertWithWebhook(h);
+    await advance(h, 60000);
+    assert.equal(posted.length, 2);
+    assert.equal(h.document.getElementById('liveLocationBanner').style.display, 'flex');
+
+    await h.run("resolveEmergency('safe')");
+
+    assert.equal(h.get('liveLocationSharer').stopReason, 'safe');
+    assert.equal(h.get('escalationEngine').state, 'stopped');
+    assert.equal(h.document.getElementById('liveLocationBanner').style.display, 'none');
+    assert.match(h.document.getElementById('liveLocationStatus').textContent, /Stopped - marked safe after 1 update/);
+
+    // The follow-up goes out, then no more updates
+    await advance(h, 600000);
+    assert.deepEqual([...posted.map(payload => payload.type)], ['emergency', 'location-update', 'resolution']);
+
+    const [incident] = await h.get('incidentStore').getIncidents();
+    assert.ok(incident.timeline.some(entry => entry.event === 'resolved'));
+});
+
+test('nothing is shared when turned off, and GPS already on for monitoring stays on', async () => {
+    const h = createHarness();
+    h.get('gpsTracker').startTracking();
+    const watchId = h.get('gpsTracker').watchId;
+
+    h.get('settingsManager').set('enableLiveLocation', false);
+    const posted = await alertWithWebhook(h);
+    await advance(h, 600000);
+    assert.equal(posted.length, 1);
+    assert.equal(h.get('liveLocationSharer').state, 'idle');
+
+    // Turned back on: the next alert shares, and stopping leaves monitoring's GPS alone
+    h.get('settingsManager').set('enableLiveLocation', true);
+    await h.context.emergencyHandler.sendAlert('high', {});
+    await advance(h, 60000);
+    assert.equal(posted.filter(payload => payload.type === 'location-update').length, 1);
+
+    h.get('liveLocationSharer').stop('safe');
+    assert.equal(h.get('gpsTracker').watchId, watchId);
+});
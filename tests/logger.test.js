@@ -0,0 +1,154 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, flush } = require('./harness');
+
+function crash(h) {
+    h.captureAlerts();
+    h.startDetection();
+    h.clock.advance(2100);
+    h.motion({ x: 0, y: 0, z: 7.5 });
+    h.clock.advance(5500);
+}
+
+test('detection logs carry a module tag and structured fields', () => {
+    const h = createHarness();
+    crash(h);
+
+    const entry = h.get('logger').entries.find(e => e.message.startsWith('ACCIDENT DETECTED'));
+    assert.equal(entry.level, 'error');
+    assert.equal(entry.module, 'detection');
+    assert.equal(entry.fields.severity, 'high');
+    assert.ok(entry.fields.g > 6);
+
+    const modules = h.get('logger').getModules();
+    ['alert', 'detection', 'gps', 'sensors'].forEach(module => assert.ok(modules.includes(module), module));
+});
+
+test('incidents, the black box, settings and the recorder log under their own tags', async () => {
+    const h = createHarness();
+    crash(h);
+    h.clock.advance(6000);
+    await flush();
+    h.get('settingsManager').reset();
+    h.get('sensorRecorder').start();
+    h.get('sensorRecorder').stop();
+
+    const entries = h.get('logger').entries;
+    const find = text => entries.find(entry => entry.message.startsWith(text));
+    const [incident] = await h.get('incidentStore').getIncidents();
+
+    assert.equal(find('Incident recorded').module, 'incidents');
+    assert.equal(find('Incident recorded').fields.incident, incident.id);
+    assert.equal(find('Black box snapshot saved').module, 'blackbox');
+    assert.ok(find('Black box snapshot saved').fields.samples > 0);
+    assert.equal(find('Settings reset to defaults').module, 'settings');
+    assert.equal(find('Sensor trace recording stopped').module, 'recorder');
+    assert.equal(find('Sensor trace recording stopped').fields.samples, 0);
+    assert.deepEqual([...entries.filter(entry => entry.module === 'app').map(entry => entry.message)], []);
+});
+
+test('free-text addLog calls are tagged as app', () => {
+    const h = createHarness();
+
+    h.run('addLog("Settings saved", "warning")');
+
+    const entry = h.get('logger').entries.at(-1);
+    assert.equal(entry.module, 'app');
+    assert.equal(entry.level, 'warning');
+    assert.deepEqual([...h.logMessages('warning')], ['Settings saved']);
+});
+
+test('entries filter by minimum level, module and text', () => {
+    const h = createHarness();
+    const logger = h.get('logger');
+    const gps = logger.module('gps');
+
+    gps.debug('Fix received', { accuracy: 12 });
+    gps.warning('GPS error: timeout');
+    logger.module('alert').error('Countdown reached zero!');
+    logger.module('alert').info('Shake gesture detected');
+
+    const messages = filter => [...logger.getEntries(filter).map(entry => entry.message)];
+    assert.deepEqual(messages({ level: 'warning' }), ['GPS error: timeout', 'Countdown reached zero!']);
+    assert.deepEqual(messages({ level: 'debug', module: 'gps' }), ['Fix received', 'GPS error: timeout']);
+    assert.deepEqual(messages({ level: 'info', module: 'gps' }), ['GPS error: timeout']);
+    assert.deepEqual(messages({ level: 'debug', text: 'accuracy' }), ['Fix received']);
+});
+
+test('the persisted buffer is bounded', async () => {
+    const h = createHarness();
+    const logger = h.get('logger');
+    logger.maxEntries = 20;
+    logger.maxStored = 30;
+    logger.pruneEvery = 10;
+
+    for (let i = 0; i < 100; i++) {
+        logger.log('info', 'test', `entry ${i}`);
+        await flush();
+    }
+    await flush();
+
+    const stored = await h.get('localDB').getAll('logs');
+    assert.ok(stored.length <= 30 + logger.pruneEvery, `${stored.length} stored`);
+    assert.equal(stored.at(-1).message, 'entry 99');
+    assert.equal(logger.entries.length, 20);
+    assert.equal(logger.entries[0].message, 'entry 80');
+});
+
+test('stored entries come back after a reload', async () => {
+    const h = createHarness();
+    const logger = h.get('logger');
+
+    logger.log('error', 'emergency', 'EMERGENCY ALERT SENT', { severity: 'high' });
+    await flush();
+    logger.entries = [];
+    await logger.restore();
+
+    const entry = logger.entries.find(e => e.message === 'EMERGENCY ALERT SENT');
+    assert.equal(entry.fields.severity, 'high');
+});
+
+test('logs export as JSON Lines with the current filter', async () => {
+    const h = createHarness();
+    const logger = h.get('logger');
+    crash(h);
+    await flush();
+
+    logger.filter = { level: 'warning', module: 'detection', text: '' };
+    const lines = (await logger.toJSONLines()).trim().split('\n').map(line => JSON.parse(line));
+
+    assert.ok(lines.length >= 2);
+    lines.forEach(line => {
+        assert.equal(line.module, 'detection');
+        assert.ok(['warning', 'error'].includes(line.level));
+        assert.match(line.time, /^2024-01-01T12:00:\d\d\.\d{3}Z$/);
+    });
+    assert.ok(lines.some(line => line.message === 'ACCIDENT DETECTED - Severity: HIGH' && line.fields.severity === 'high'));
+});
+
+test('the Logs tab renders the filtered entries and exports them', async () => {
+    const h = createHarness();
+    const downloads = [];
+    h.context.__downloads = downloads;
+    h.run('downloadFile = (filename, content, mimeType) => __downloads.push({ filename, content, mimeType })');
+    crash(h);
+
+    h.document.getElementById('logLevelFilter').value = 'error';
+    h.document.getElementById('logModuleFilter').value = 'alert';
+    h.document.getElementById('logSearch').value = '';
+    h.run('filterLogs()');
+
+    const html = h.document.getElementById('logContainer').innerHTML;
+    assert.match(html, /Alert triggered - Severity: high/);
+    assert.match(html, /severity=high/);
+    assert.doesNotMatch(html, /ACCIDENT DETECTED/);
+    assert.match(h.document.getElementById('logModuleFilter').innerHTML, /<option value="detection">detection<\/option>/);
+
+    await h.run('exportLogs()');
+    assert.match(downloads[0].filename, /^vad-logs-.*\.jsonl$/);
+    assert.equal(downloads[0].mimeType, 'application/x-ndjson');
+
+    await h.run('clearLogs()');
+    assert.equal(h.get('logger').entries.length, 0);
+    assert.equal((await h.get('localDB').getAll('logs')).length, 0);
+});
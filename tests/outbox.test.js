@@ -0,0 +1,202 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createHarness, createWorkerHarness, flush } = require('./harness');
+
+// fetch stub answering with the given statuses in turn, the last one repeating
+function backend(h, statuses) {
+    const calls = [];
+    h.context.fetch = (url, options) => {
+        const status = statuses[Math.min(calls.length, statuses.length - 1)];
+        calls.push({ url, options });
+        return Promise.resolve({ ok: status >= 200 && status < 300, status });
+    };
+    return calls;
+}
+
+async function alertWithWebhook(h) {
+    h.get('webhookChannel').configure({ url: 'https://backend.example/alerts' });
+    // Only the alert itself in the outbox - live location updates are covered separately
+    h.get('liveLocationSharer').options.enabled = false;
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12 });
+    const emergency = h.context.emergencyHandler;
+    await emergency.sendAlert('high', {});
+    await flush();
+    return emergency;
+}
+
+async function advance(h, ms) {
+    h.clock.advance(ms);
+    await flush();
+}
+
+test('an undelivered alert is retried with backoff until it gets through', async () => {
+    const h = createHarness();
+    const calls = backend(h, [503, 502, 200]);
+
+    const emergency = await alertWithWebhook(h);
+    assert.ok(emergency.notifiedServices.includes('Webhook: failed (HTTP 503 - queued for retry)'));
+
+    await advance(h, 4900);
+    assert.equal(calls.length, 1);
+    await advance(h, 100);
+    assert.equal(calls.length, 2);
+
+    // Second failure doubles the wait
+    await advance(h, 9900);
+    assert.equal(calls.length, 2);
+    await advance(h, 100);
+    assert.equal(calls.length, 3);
+
+    const [entry] = await h.get('outbox').getEntries();
+    assert.equal(entry.status, 'delivered');
+    assert.equal(entry.attempts, 3);
+    assert.deepEqual([...new Set(calls.map(call => call.options.headers['Idempotency-Key']))], [entry.id]);
+    assert.equal(calls[2].options.body, calls[0].options.body);
+
+    assert.ok(emergency.notifiedServices.includes('Webhook: sent (attempt 3)'));
+    const [incident] = await h.get('incidentStore').getIncidents();
+    assert.deepEqual({ ...incident.timeline[incident.timeline.length - 1], t: 0 },
+        { t: 0, event: 'webhook-delivered', type: 'emergency', attempts: 3 });
+});
+
+test('an alert raised offline goes out as soon as coverage returns', async () => {
+    const h = createHarness();
+    const calls = backend(h, [200]);
+    h.context.navigator.onLine = false;
+
+    const emergency = await alertWithWebhook(h);
+    await advance(h, 600000);
+
+    assert.equal(calls.length, 0);
+    assert.ok(emergency.notifiedServices.includes('Webhook: failed (offline - queued for retry)'));
+    assert.equal((await h.get('outbox').getEntries('pending'))[0].attempts, 0);
+
+    h.context.navigator.onLine = true;
+    h.dispatch('online');
+    await flush();
+
+    assert.equal(calls.length, 1);
+    assert.deepEqual({ ...(await h.get('outbox').summary()) }, { delivered: 1, pending: 0, failed: 0 });
+    assert.ok(emergency.notifiedServices.includes('Webhook: sent (attempt 1)'));
+});
+
+test('entries are marked failed when retrying is pointless and can be retried by hand', async () => {
+    const h = createHarness();
+    backend(h, [401]);
+
+    const emergency = await alertWithWebhook(h);
+    await advance(h, 600000);
+
+    assert.ok(emergency.notifiedServices.includes('Webhook: failed (HTTP 401)'));
+    const [entry] = await h.get('outbox').getEntries();
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.attempts, 1);
+
+    backend(h, [200]);
+    await h.run('retryOutbox()');
+    assert.deepEqual({ ...(await h.get('outbox').summary()) }, { delivered: 1, pending: 0, failed: 0 });
+    assert.match(h.document.getElementById('outboxStatus').textContent, /0 waiting · 1 delivered · 0 failed/);
+});
+
+test('the outbox gives up after the last attempt', async () => {
+    const h = createHarness();
+    const calls = backend(h, [503]);
+
+    const emergency = await alertWithWebhook(h);
+    for (let i = 0; i < 20; i++) await advance(h, 300000);
+
+    assert.equal(calls.length, 12);
+    const [entry] = await h.get('outbox').getEntries();
+    assert.equal(entry.status, 'failed');
+    assert.equal(entry.lastError, 'HTTP 503');
+    assert.ok(emergency.notifiedServices.includes('Webhook: failed (HTTP 503)'));
+});
+
+test('an entry is claimed before it is posted, so overlapping attempts post it once', async () => {
+    const h = createHarness();
+    const outbox = h.get('outbox');
+    const calls = [];
+    let answer;
+    h.context.fetch = (url, options) => {
+        calls.push(options);
+        return new Promise(resolve => { answer = resolve; });
+    };
+
+    const entry = await outbox.enqueue({ url: 'https://backend.example/alerts', body: '{}' });
+    // The channel's first attempt, a page retry and a forced flush all at once
+    const attempts = [outbox.deliver(entry), outbox.deliver(entry), outbox.flush(true)];
+    await flush();
+    assert.equal(calls.length, 1);
+
+    answer({ ok: true, status: 200 });
+    await Promise.all(attempts);
+    const [stored] = await outbox.getEntries();
+    assert.equal(stored.status, 'delivered');
+    assert.equal(stored.attempts, 1);
+    assert.equal(stored.sendingUntil, null);
+});
+
+test('Background Sync in the service worker delivers what the page left behind', async () => {
+    const worker = createWorkerHarness();
+
+    // The worker has no logger or page globals - outbox.js came in through importScripts
+    assert.equal(worker.get('typeof logger'), 'undefined');
+    assert.equal(worker.get('typeof window'), 'undefined');
+
+    const outbox = worker.get('outbox');
+    await outbox.enqueue({ url: 'https://backend.example/alerts', body: '{"type":"emergency"}', incidentId: 'incident-1' });
+
+    // Still down: the sync rejects so the browser tries again later
+    backend(worker, [503]);
+    await assert.rejects(worker.dispatch('sync', { tag: 'vad-outbox' }), /1 outbox entries still pending/);
+
+    // A sync before the backoff is up leaves the entry alone
+    const calls = backend(worker, [200]);
+    await assert.rejects(worker.dispatch('sync', { tag: 'vad-outbox' }), /still pending/);
+    assert.equal(calls.length, 0);
+
+    worker.clock.advance(5000);
+    await worker.dispatch('sync', { tag: 'vad-outbox' });
+    await flush();
+    assert.equal(calls.length, 1);
+
+    assert.deepEqual({ ...(await outbox.summary()) }, { delivered: 1, pending: 0, failed: 0 });
+    assert.deepEqual([...worker.messages.map(message => `${message.type} ${message.entry.status}`)],
+        ['outbox pending', 'outbox delivered']);
+});
+
+test('the service worker installs with every file the app serves', async () => {
+    const worker = createWorkerHarness();
+    await worker.dispatch('install');
+
+    const scripts = [...fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8')
+        .matchAll(/<script src="([^"?]+)/g)]
+        .map(match => `./${match[1]}`)
+        .filter(url => fs.existsSync(path.join(__dirname, '..', url)));
+    scripts.forEach(url => assert.ok(worker.cached.includes(url), `${url} cached`));
+    assert.ok(worker.cached.includes('./index.html'));
+
+    // A file that can't be fetched is skipped rather than failing the install
+    worker.get('urlsToCache').push('./missing.js');
+    await worker.dispatch('install');
+});
+
+test('the page registers the service worker on load', async () => {
+    const h = createHarness();
+    const registered = [];
+    h.context.navigator.serviceWorker = {
+        register: (url) => {
+            registered.push(url);
+            return Promise.resolve({ scope: '/' });
+        },
+        ready: new Promise(() => {}),
+        addEventListener() {}
+    };
+
+    h.dispatch('load');
+    await flush();
+
+    assert.deepEqual(registered, ['./sw.js']);
+});
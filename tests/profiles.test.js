@@ -0,0 +1,82 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+function setup() {
+    const h = createHarness();
+    return {
+        h,
+        settings: h.get('settingsManager'),
+        detector: h.get('accidentDetector'),
+        handler: h.context.alertHandler
+    };
+}
+
+test('the car profile is active by default', () => {
+    const { detector, handler } = setup();
+
+    assert.equal(detector.profile.name, 'Car');
+    assert.equal(detector.detectionThresholds.mediumImpact, 4);
+    assert.equal(handler.getCountdownTime('high'), 20);
+});
+
+test('picking a profile applies its thresholds, countdowns and impact level', () => {
+    const { h, settings, detector, handler } = setup();
+
+    settings.set('profile', 'motorcycle');
+
+    assert.equal(settings.get('impactThreshold'), 3);
+    assert.equal(detector.detectionThresholds.mediumImpact, 3);
+    assert.equal(detector.detectionThresholds.suddenRotation, 35);
+    assert.equal(handler.getCountdownTime('critical'), 10);
+    assert.equal(JSON.parse(h.localStorage.getItem('vadSettings')).profile, 'motorcycle');
+});
+
+test('the impact slider still fine-tunes the selected profile', () => {
+    const { settings, detector } = setup();
+
+    settings.set('profile', 'bicycle');
+    settings.set('impactThreshold', 5);
+
+    assert.equal(settings.get('profile'), 'bicycle');
+    assert.equal(detector.detectionThresholds.mediumImpact, 5);
+    assert.equal(detector.detectionThresholds.armingSpeed, 2.2);
+    assert.equal(detector.enabledDetectors.audio, false);
+});
+
+test('the pedestrian profile does not wait for driving speed and skips rollover', () => {
+    const { h, settings, detector } = setup();
+    settings.set('profile', 'pedestrian');
+    h.startDetection();
+
+    h.geolocation.push({ latitude: 1, longitude: 1, speed: 1 });
+    h.motion({ x: 0, y: 0, z: 1 });
+    h.motion({ x: 0, y: 0, z: 6 });
+
+    assert.equal(detector.isArmed(h.clock.now), true);
+    assert.notEqual(detector.pendingImpact, null);
+    assert.equal(detector.enabledDetectors.rollover, false);
+});
+
+test('the profile name is sent in the emergency message', () => {
+    const { h, settings } = setup();
+    const shown = h.captureAlerts();
+    settings.set('profile', 'motorcycle');
+    h.startDetection();
+
+    h.motion({ x: 0, y: 0, z: 1 });
+    h.motion({ x: 0, y: 0, z: 7.5 });
+    h.clock.advance(5500);
+
+    assert.equal(shown[0].details.profile, 'Motorcycle');
+    const message = h.get('emergencyHandler').prepareEmergencyMessage(
+        shown[0].severity, { latitude: 1, longitude: 1 }, shown[0].details);
+    assert.match(message, /Severity: \w+\nProfile: Motorcycle\n/);
+});
+
+test('unknown profiles are rejected', () => {
+    const { settings } = setup();
+
+    assert.throws(() => settings.set('profile', 'boat'), /profile must be one of: car, motorcycle, bicycle, pedestrian/);
+    assert.equal(settings.get('profile'), 'car');
+});
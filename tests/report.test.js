@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, flush } = require('./harness');
+
+// Drives north at 43 km/h, crashes and lets the emergency go out - the speed makes it critical
+async function crashAndSend() {
+    const h = createHarness();
+    h.captureAlerts();
+    h.startDetection();
+    h.clock.advance(2100);
+
+    for (let i = 0; i < 5; i++) {
+        h.geolocation.push({ latitude: 51.5 + i * 0.0001, longitude: -0.12, accuracy: 8, speed: 12 });
+        for (let j = 0; j < 10; j++) h.motion({ x: 0, y: 0, z: 1 }, 100);
+    }
+    h.motion({ x: 0, y: 0, z: 7.5 });
+    for (let i = 0; i < 60; i++) h.motion({ x: 0, y: 0, z: 1 }, 100);
+    h.clock.advance(30000);
+    await flush();
+
+    const [incident] = await h.get('incidentStore').getIncidents();
+    return { h, incident, exporter: h.get('incidentExporter') };
+}
+
+test('the track exports as GeoJSON with the incident as a point', async () => {
+    const { incident, exporter } = await crashAndSend();
+    const { snapshot } = await exporter.load(incident.id);
+
+    const geojson = JSON.parse(exporter.toGeoJSON(incident, snapshot));
+    const [track, point] = geojson.features;
+
+    assert.equal(geojson.type, 'FeatureCollection');
+    assert.equal(track.geometry.type, 'LineString');
+    assert.equal(track.geometry.coordinates.length, 5);
+    assert.deepEqual(track.geometry.coordinates[0], [-0.12, 51.5]);
+    assert.equal(track.properties.times.length, 5);
+    assert.equal(point.geometry.type, 'Point');
+    assert.equal(point.properties.severity, 'critical');
+    assert.equal(point.properties.outcome, 'emergency-sent');
+    assert.ok(point.properties.notifiedServices.includes('SMS to 911: opened'));
+});
+
+test('the track exports as GPX with a waypoint at the incident', async () => {
+    const { incident, exporter } = await crashAndSend();
+    const { snapshot } = await exporter.load(incident.id);
+
+    const gpx = exporter.toGPX(incident, snapshot);
+
+    assert.match(gpx, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<gpx version="1.1"/);
+    assert.equal(gpx.match(/<trkpt /g).length, 5);
+    assert.match(gpx, /<trkpt lat="51.5" lon="-0.12"><time>2024-01-01T12:00:\d\d\.\d{3}Z<\/time><\/trkpt>/);
+    assert.match(gpx, /<wpt lat="51.5004" lon="-0.12">/);
+    assert.match(gpx, /<name>CRITICAL impact<\/name>/);
+});
+
+test('the black box time series exports as CSV relative to the trigger', async () => {
+    const { incident, exporter } = await crashAndSend();
+    const { snapshot } = await exporter.load(incident.id);
+
+    const lines = exporter.toCSV(snapshot).trim().split('\n');
+    const header = lines[0].split(',');
+    const rows = lines.slice(1).map(line => line.split(','));
+
+    assert.equal(header[0], 'time');
+    assert.equal(rows.length, snapshot.samples.length);
+
+    const g = header.indexOf('g');
+    const offset = header.indexOf('offset_ms');
+    const peak = rows.reduce((max, row) => Number(row[g]) > Number(max[g]) ? row : max);
+    assert.ok(Number(peak[g]) > 6);
+    assert.equal(Number(peak[offset]), 0);
+    assert.ok(rows.some(row => Number(row[offset]) < 0));
+});
+
+test('the printable report is self-contained and covers severity, crash type and notifications', async () => {
+    const { incident, exporter } = await crashAndSend();
+    const { snapshot } = await exporter.load(incident.id);
+
+    const html = exporter.toHTML(incident, snapshot);
+
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.doesNotMatch(html, /<script|<link|src="http/);
+    assert.match(html, /CRITICAL \(detected as high\)/);
+    assert.match(html, /Fall \/ ejection - vertical, from below/);
+    assert.match(html, /Emergency sent/);
+    assert.match(html, /<li>SMS to 911: opened<\/li>/);
+    assert.match(html, /<polyline points=/);
+    assert.match(html, /51\.500400, -0\.120000 \(±8m\)/);
+});
+
+test('report text is escaped', () => {
+    const h = createHarness();
+    const exporter = h.get('incidentExporter');
+    const incident = h.get('incidentStore').create('medium', { profile: '<Car & "Van">' });
+
+    const html = exporter.toHTML(incident, null);
+
+    assert.match(html, /&lt;Car &amp; &quot;Van&quot;&gt;/);
+    assert.match(html, /No black box snapshot is available/);
+    assert.match(html, /No GPS fixes were recorded/);
+    assert.equal(exporter.toCSV(null).trim().split('\n').length, 1);
+});
+
+test('exporting from the Incidents tab downloads the chosen format', async () => {
+    const { h, incident } = await crashAndSend();
+    const downloads = [];
+    h.context.__downloads = downloads;
+    h.run('downloadFile = (filename, content, mimeType) => __downloads.push({ filename, content, mimeType })');
+
+    await h.run(`openIncident('${incident.id}')`);
+    assert.match(h.document.getElementById('incidentDetail').innerHTML, /exportIncident\('incident-\d+', 'gpx'\)/);
+
+    for (const format of ['html', 'geojson', 'gpx', 'csv']) {
+        await h.run(`exportIncident('${incident.id}', '${format}')`);
+    }
+
+    assert.deepEqual(downloads.map(file => file.filename.replace(/^incident-[\dT-]+Z/, '')),
+        ['-report.html', '.geojson', '.gpx', '-sensors.csv']);
+    assert.deepEqual(downloads.map(file => file.mimeType),
+        ['text/html', 'application/geo+json', 'application/gpx+xml', 'text/csv']);
+    assert.equal(await h.run('exportIncident(\'missing\', \'gpx\')'), null);
+});
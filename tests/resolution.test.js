@@ -0,0 +1,180 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, flush } = require('./harness');
+
+const ANNA = { name: 'Anna', relationship: 'partner', phone: '555 0101', channels: ['sms', 'call'] };
+const BEN = { name: 'Ben', relationship: 'brother', phone: '555 0102', channels: ['sms'] };
+
+async function alertWith(contacts, h = createHarness()) {
+    contacts.forEach(contact => h.get('contactManager').add(contact));
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12 });
+
+    const emergency = h.context.emergencyHandler;
+    await emergency.sendAlert('high', {});
+    await flush();
+    return { h, emergency, engine: h.get('escalationEngine') };
+}
+
+const followUps = emergency => emergency.notifiedServices.filter(service => service.startsWith('Follow-up '));
+
+// Decoded sms: links opened after the given count
+const smsBodies = (h, from = 0) => h.document.created.slice(from)
+    .map(element => element.href || element.src || '')
+    .filter(url => url.startsWith('sms:'))
+    .map(url => decodeURIComponent(url));
+
+test("I'm safe tells everyone the alert reached and closes the incident", async () => {
+    const { h, emergency, engine } = await alertWith([ANNA, BEN]);
+    // Anna times out, Ben is being contacted, emergency services not yet
+    h.clock.advance(120000);
+    await flush();
+    const created = h.document.created.length;
+
+    await h.run("resolveEmergency('safe')");
+
+    assert.deepEqual([...followUps(emergency)].sort(), ['Follow-up SMS to Anna: opened', 'Follow-up SMS to Ben: opened']);
+    assert.equal(smsBodies(h, created).length, 2);
+    assert.match(smsBodies(h, created)[0], /UPDATE: I'm safe[\s\S]*no help needed[\s\S]*Location: 51\.500000, -0\.120000/);
+
+    assert.equal(engine.state, 'stopped');
+    assert.equal(h.get('liveLocationSharer').stopReason, 'safe');
+    h.clock.advance(600000);
+    await flush();
+    assert.ok(!emergency.notifiedServices.some(service => service.includes('911')));
+
+    const [incident] = await h.get('incidentStore').getIncidents();
+    assert.equal(incident.status, 'closed');
+    assert.equal(incident.outcome, 'safe');
+    assert.equal(incident.resolvedAt, h.clock.now - 600000);
+    assert.ok(incident.timeline.some(entry => entry.event === 'resolved' && entry.outcome === 'safe'));
+    assert.ok(incident.notifiedServices.includes('Follow-up SMS to Ben: opened'));
+    assert.match(h.document.getElementById('resolutionStatus').textContent, /Follow-up sent: I'm safe \/ false alarm/);
+});
+
+test('still needing help repeats the call, keeps escalating and reaches the webhook', async () => {
+    const h = createHarness();
+    const posted = [];
+    h.context.fetch = (url, options) => {
+        posted.push(JSON.parse(options.body));
+        return Promise.resolve({ ok: true, status: 200 });
+    };
+    h.get('webhookChannel').configure({ url: 'https://backend.example/alerts' });
+    const { emergency, engine } = await alertWith([ANNA], h);
+
+    await h.run("resolveEmergency('needs-help')");
+
+    assert.ok(followUps(emergency).includes('Follow-up Call to Anna: opened'));
+    assert.ok(followUps(emergency).includes('Follow-up Webhook: sent'));
+    assert.equal(engine.state, 'running');
+    assert.equal(h.get('liveLocationSharer').state, 'sharing');
+
+    const payload = posted.find(entry => entry.type === 'resolution');
+    assert.equal(payload.incident.id, posted[0].incident.id);
+    assert.deepEqual({ ...payload.resolution }, { outcome: 'needs-help', label: 'Still need help' });
+    assert.match(payload.message, /UPDATE: I still need help/);
+
+    const [incident] = await h.get('incidentStore').getIncidents();
+    assert.equal(incident.outcome, 'needs-help');
+});
+
+test('still needing help keeps the incident open until a final outcome is chosen', async () => {
+    const { h, emergency, engine } = await alertWith([ANNA]);
+    const store = h.get('incidentStore');
+
+    await h.run("resolveEmergency('needs-help')");
+    let [incident] = await store.getIncidents();
+    assert.notEqual(incident.status, 'closed');
+    assert.equal(incident.resolvedAt, undefined);
+    assert.ok(incident.timeline.some(entry => entry.event === 'help-requested'));
+    assert.equal(engine.state, 'running');
+
+    // Help arrived: the final outcome stops everything and closes it
+    h.clock.advance(30000);
+    const created = h.document.created.length;
+    await h.run("resolveEmergency('safe')");
+    [incident] = await store.getIncidents();
+    assert.equal(incident.status, 'closed');
+    assert.equal(incident.outcome, 'safe');
+    assert.equal(incident.resolvedAt, h.clock.now);
+    assert.equal(engine.state, 'stopped');
+    assert.equal(smsBodies(h, created).length, 1);
+    assert.ok(followUps(emergency).includes('Follow-up Call to Anna: opened'));
+});
+
+test('a resolved incident is not resolved again', async () => {
+    const { h, emergency } = await alertWith([ANNA]);
+    const store = h.get('incidentStore');
+
+    await h.run("resolveEmergency('needs-help')");
+    const sent = followUps(emergency).length;
+    assert.equal(await h.run("resolveEmergency('needs-help')"), null);
+    assert.equal(followUps(emergency).length, sent);
+
+    await h.run("resolveEmergency('safe')");
+    const [closed] = await store.getIncidents();
+    const created = h.document.created.length;
+    const after = followUps(emergency).length;
+
+    assert.equal(await h.run("resolveEmergency('safe')"), null);
+    assert.equal(await h.run("resolveEmergency('needs-help')"), null);
+    assert.equal(followUps(emergency).length, after);
+    assert.equal(smsBodies(h, created).length, 0);
+
+    const [incident] = await store.getIncidents();
+    assert.equal(incident.outcome, 'safe');
+    assert.equal(incident.timeline.length, closed.timeline.length);
+    assert.ok(h.logMessages('warning').includes("Emergency already resolved: I'm safe / false alarm"));
+});
+
+test('needing help that is not critical stops before emergency services', async () => {
+    const { h, emergency, engine } = await alertWith([ANNA]);
+
+    await h.run("resolveEmergency('minor-help')");
+    assert.deepEqual([...followUps(emergency)], ['Follow-up SMS to Anna: opened']);
+    assert.equal(engine.state, 'stopped');
+    assert.equal(h.get('liveLocationSharer').state, 'sharing');
+
+    h.clock.advance(600000);
+    await flush();
+    assert.ok(!emergency.notifiedServices.some(service => service.includes('911')));
+
+    const incidents = await h.get('incidentStore').getIncidents({ outcome: 'minor-help' });
+    assert.equal(incidents.length, 1);
+});
+
+test("the I'm safe notification says so and tapping it calls no one", async () => {
+    const h = createHarness();
+    const shown = [];
+    h.context.Notification = class {
+        constructor(title, options) {
+            this.title = title;
+            this.options = options;
+            shown.push(this);
+        }
+    };
+    h.context.Notification.permission = 'granted';
+    const { emergency } = await alertWith([ANNA], h);
+    const dialed = () => h.document.created.filter(element => (element.src || element.href || '').startsWith('tel:')).length;
+
+    await h.run("resolveEmergency('safe')");
+
+    const followUp = shown[shown.length - 1];
+    assert.equal(shown.length, 2);
+    assert.equal(followUp.title, "✅ UPDATE: I'm safe");
+    assert.match(followUp.options.body, /no help needed/);
+    assert.doesNotMatch(followUp.options.body, /Tap to call/);
+    assert.notEqual(followUp.options.tag, 'emergency-alert');
+    assert.ok(followUps(emergency).includes('Follow-up Notification: sent'));
+
+    const before = dialed();
+    followUp.onclick();
+    assert.equal(dialed(), before);
+    shown[0].onclick();
+    assert.equal(dialed(), before + 1);
+});
+
+test('there is nothing to resolve before an alert', async () => {
+    const h = createHarness();
+    assert.equal(await h.run("resolveEmergency('safe')"), null);
+    await assert.rejects(h.get('incidentResolver').resolve('fine'), /Unknown outcome fine/);
+});
@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+// Rolls the phone about its y axis at a constant rate, 20ms per sample
+function roll(h, fromDegrees, toDegrees, { degreesPerSecond = 180, withGyro = true } = {}) {
+    const steps = Math.round(Math.abs(toDegrees - fromDegrees) / degreesPerSecond * 50);
+    const rate = Math.sign(toDegrees - fromDegrees) * degreesPerSecond;
+    for (let i = 1; i <= steps; i++) {
+        const angle = (fromDegrees + (toDegrees - fromDegrees) * i / steps) * Math.PI / 180;
+        h.motion({
+            x: Math.sin(angle),
+            y: 0,
+            z: Math.cos(angle),
+            rotationRate: withGyro ? { alpha: 0, beta: 0, gamma: rate } : null
+        });
+    }
+}
+
+function hold(h, sample, ms) {
+    for (let elapsed = 0; elapsed < ms; elapsed += 20) {
+        h.motion(Object.assign({ rotationRate: { alpha: 0, beta: 0, gamma: 0 } }, sample));
+    }
+}
+
+function calibrated() {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    h.startDetection();
+    hold(h, { x: 0, y: 0, z: 1 }, 2500);
+    return { h, shown };
+}
+
+test('a roll onto the roof that stays there raises a critical rollover alert', () => {
+    const { h, shown } = calibrated();
+
+    roll(h, 0, 180);
+    hold(h, { x: 0, y: 0, z: -1 }, 4000);
+
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].severity, 'critical');
+    assert.equal(shown[0].details.rollover, true);
+    assert.equal(shown[0].details.position, 'upside-down');
+    assert.ok(shown[0].details.rotation >= 170);
+
+    const history = h.get('accidentDetector').getDetectionHistory();
+    assert.equal(history.filter(event => event.type === 'rollover').length, 1);
+});
+
+test('ending on the side raises a high severity rollover alert', () => {
+    const { h, shown } = calibrated();
+
+    roll(h, 0, 100);
+    hold(h, { x: Math.sin(100 * Math.PI / 180), y: 0, z: Math.cos(100 * Math.PI / 180) }, 4000);
+
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].severity, 'high');
+    assert.equal(shown[0].details.position, 'on-side');
+});
+
+test('a full spin that ends upright is not a rollover', () => {
+    const { h, shown } = calibrated();
+
+    roll(h, 0, 360, { degreesPerSecond: 360 });
+    hold(h, { x: 0, y: 0, z: 1 }, 6000);
+
+    assert.equal(shown.length, 0);
+});
+
+test('tilting slowly without rotating quickly is not a rollover', () => {
+    const { h, shown } = calibrated();
+
+    roll(h, 0, 90, { degreesPerSecond: 10 });
+    hold(h, { x: 1, y: 0, z: 0 }, 4000);
+
+    assert.equal(shown.length, 0);
+});
+
+test('devices without a rotation rate fall back to orientation deltas', () => {
+    const { h, shown } = calibrated();
+
+    for (let beta = 20; beta <= 180; beta += 20) {
+        h.orientation({ alpha: 0, beta: beta > 180 ? beta - 360 : beta, gamma: 0 });
+        const angle = beta * Math.PI / 180;
+        h.motion({ x: 0, y: Math.sin(angle), z: Math.cos(angle) });
+    }
+    hold(h, { x: 0, y: 0, z: -1, rotationRate: null }, 4000);
+
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].details.position, 'upside-down');
+});
+
+test('orientation deltas handle the 0/360 and ±180 wraparound', () => {
+    const h = createHarness();
+    h.startDetection();
+    const detector = h.get('accidentDetector');
+
+    h.orientation({ alpha: 359, beta: 179, gamma: 0 });
+    h.orientation({ alpha: 1, beta: -179, gamma: 0 });
+
+    assert.equal(detector.getDetectionHistory().filter(event => event.type === 'rotation').length, 0);
+    assert.equal(h.get('angleDelta')(1, 359), 2);
+    assert.equal(h.get('angleDelta')(-179, 179), 2);
+    assert.equal(h.get('angleDelta')(170, -170), -20);
+});
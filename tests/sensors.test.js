@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+const near = (actual, expected, tolerance = 0.05) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+test('a phone lying still reads about 0g of impact force', () => {
+    const h = createHarness();
+    h.startDetection();
+    const sensors = h.get('sensorManager');
+
+    for (let i = 0; i < 50; i++) h.motion({ x: 0, y: 0, z: 1 });
+
+    near(sensors.sensorData.rawForce, 1);
+    near(sensors.sensorData.impactForce, 0);
+    assert.equal(h.document.getElementById('impactForce').textContent, '0.00 g');
+});
+
+test('the browser linear acceleration is preferred over the gravity estimate', () => {
+    const h = createHarness();
+    h.startDetection();
+    const sensors = h.get('sensorManager');
+
+    h.motion({ x: 0, y: 0, z: 1, linear: { x: 0.3, y: 0.4, z: 0 } });
+
+    near(sensors.sensorData.impactForce, 0.5, 0.001);
+});
+
+test('calibration seeds the gravity estimate so a tilted mount reads 0g', () => {
+    const h = createHarness();
+    h.startDetection();
+    const sensors = h.get('sensorManager');
+
+    // Phone standing upright in a dash mount: gravity along y instead of z
+    for (let i = 0; i < 40; i++) h.motion({ x: 0, y: 1, z: 0 }, 50);
+    h.clock.advance(100);
+
+    near(sensors.baselineAccel.y, 9.81, 0.01);
+    h.motion({ x: 0, y: 1, z: 0 });
+    near(sensors.sensorData.impactForce, 0);
+});
+
+test('an impact does not leak into the gravity estimate', () => {
+    const h = createHarness();
+    h.startDetection();
+    const sensors = h.get('sensorManager');
+
+    h.motion({ x: 0, y: 0, z: 1 });
+    for (let i = 0; i < 10; i++) h.motion({ x: 5, y: 0, z: 1 }, 10);
+
+    near(sensors.gravity.x, 0, 0.001);
+    near(sensors.sensorData.impactForce, 5);
+});
+
+test('jerk is the rate of change of linear acceleration in g/s', () => {
+    const h = createHarness();
+    h.startDetection();
+    const sensors = h.get('sensorManager');
+
+    h.motion({ x: 0, y: 0, z: 1, linear: { x: 0, y: 0, z: 0 } }, 20);
+    h.motion({ x: 0, y: 0, z: 1, linear: { x: 2, y: 0, z: 0 } }, 20);
+
+    near(sensors.sensorData.jerk, 100, 0.5);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+function setup() {
+    const h = createHarness();
+    return { h, settings: h.get('settingsManager'), detector: h.get('accidentDetector') };
+}
+
+test('defaults are applied to the detector and alert handler at startup', () => {
+    const { h, detector } = setup();
+    const t = detector.detectionThresholds;
+
+    assert.deepEqual([t.lowImpact, t.mediumImpact, t.highImpact, t.criticalImpact], [2.5, 4, 6, 8]);
+    assert.equal(h.get('audioMonitor').featureExtractor.loudLevel, 100);
+    assert.equal(h.context.alertHandler.options.voice, true);
+});
+
+test('changing the impact threshold scales the detector live and is persisted', () => {
+    const { h, settings, detector } = setup();
+
+    const changed = settings.set('impactThreshold', 6);
+
+    assert.deepEqual([...changed], ['impactThreshold']);
+    assert.equal(detector.detectionThresholds.mediumImpact, 6);
+    assert.equal(detector.detectionThresholds.criticalImpact, 12);
+    assert.equal(JSON.parse(h.localStorage.getItem('vadSettings')).impactThreshold, 6);
+    assert.equal(h.document.getElementById('impactValue').textContent, '6.0g');
+});
+
+test('an invalid value is rejected and leaves every setting untouched', () => {
+    const { settings } = setup();
+
+    assert.throws(() => settings.update({ impactThreshold: 3, soundThreshold: 200 }),
+        /soundThreshold must be between 80 and 120/);
+    assert.throws(() => settings.set('enableVoice', 'yes'), /enableVoice must be true or false/);
+    assert.throws(() => settings.set('volume', 3), /Unknown setting: volume/);
+    assert.equal(settings.get('impactThreshold'), 4);
+});
+
+test('stored settings that fail validation fall back to the default', () => {
+    const { h, settings } = setup();
+
+    h.localStorage.setItem('vadSettings', JSON.stringify({ impactThreshold: 50, soundThreshold: 90 }));
+    settings.load();
+
+    assert.equal(settings.get('impactThreshold'), 4);
+    assert.equal(settings.get('soundThreshold'), 90);
+    assert.ok(h.logMessages('warning').some(message => message.includes('impactThreshold must be between')));
+});
+
+test('settings round-trip through export and import', () => {
+    const { h, settings } = setup();
+
+    settings.update({ impactThreshold: 5, enableShake: false });
+    const exported = settings.export();
+    settings.reset();
+    assert.equal(settings.get('enableShake'), true);
+
+    const data = JSON.parse(exported);
+    data.settings.futureOption = 1;
+    const changed = settings.import(JSON.stringify(data));
+
+    assert.deepEqual([...changed].sort(), ['enableShake', 'impactThreshold']);
+    assert.equal(settings.get('impactThreshold'), 5);
+    assert.ok(h.logMessages('warning').includes('Ignoring unknown setting in import: futureOption'));
+    assert.throws(() => settings.import('{"samples": []}'), /Not a settings file/);
+});
+
+test('disabled voice, shake and vibration are not used by the alert', () => {
+    const { h, settings } = setup();
+    const handler = h.context.alertHandler;
+
+    settings.update({ enableVoice: false, enableShake: false, enableVibration: false });
+    handler.showAlert('high', {});
+
+    assert.equal(handler.shakeDetection, null);
+    assert.equal(h.vibrations.length, 0);
+});
+
+test('a disabled microphone is ignored by the detector', () => {
+    const { h, settings, detector } = setup();
+    h.startDetection();
+
+    settings.set('enableMicrophone', false);
+    h.motion({ x: 0, y: 0, z: 7.5 });
+    h.audio({ level: 110, crashScore: 0.9 });
+
+    assert.equal(detector.pendingImpact.details.audioScore, undefined);
+});
+
+test('the Settings tab controls are bound once the page loads', () => {
+    const { h, settings } = setup();
+
+    h.dispatch('load');
+    const slider = h.document.getElementById('soundThreshold');
+    assert.equal(slider.value, 100);
+
+    slider.value = '110';
+    slider.dispatchEvent({ type: 'input' });
+    assert.equal(settings.get('soundThreshold'), 110);
+    assert.equal(h.get('audioMonitor').featureExtractor.loudLevel, 110);
+    assert.equal(h.document.getElementById('soundValue').textContent, '110 dB');
+
+    h.run("toggleSensor('gps', false)");
+    assert.equal(settings.get('enableGPS'), false);
+    assert.equal(h.document.getElementById('enableGPS').checked, false);
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness } = require('./harness');
+
+function setup() {
+    const h = createHarness();
+    const shown = h.captureAlerts();
+    h.startDetection();
+    h.motion({ x: 0, y: 0, z: 1 });
+    return { h, shown, detector: h.get('accidentDetector'), gps: h.get('gpsTracker') };
+}
+
+function settle(h) {
+    for (let i = 0; i < 60; i++) h.motion({ x: 0, y: 0, z: 1 }, 100);
+}
+
+test('speed and heading are derived from consecutive fixes when the browser omits them', () => {
+    const { h, gps } = setup();
+
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12 });
+    h.clock.advance(1000);
+    // 0.0001 degrees of latitude is ~11.1 m due north
+    h.geolocation.push({ latitude: 51.5001, longitude: -0.12 });
+
+    assert.equal(gps.currentPosition.speedSource, 'derived');
+    assert.ok(Math.abs(gps.currentPosition.speed - 11.12) < 0.05);
+    assert.ok(Math.abs(gps.currentPosition.heading) < 0.01);
+    assert.equal(gps.getSpeedHistory().length, 1);
+});
+
+test('browser-reported speed and heading are kept as they are', () => {
+    const { h, gps } = setup();
+
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12, speed: 3, heading: 90 });
+    h.clock.advance(1000);
+    h.geolocation.push({ latitude: 51.6, longitude: -0.12, speed: 4, heading: 95 });
+
+    assert.equal(gps.currentPosition.speedSource, 'gps');
+    assert.equal(gps.currentPosition.speed, 4);
+    assert.equal(gps.currentPosition.heading, 95);
+    assert.equal(gps.getMaxSpeed(0), 4);
+});
+
+test('impacts are suppressed until the vehicle has reached the arming speed', () => {
+    const { h, shown, detector } = setup();
+
+    h.geolocation.push({ latitude: 1, longitude: 1, speed: 1 });
+    h.motion({ x: 0, y: 0, z: 7.5 });
+    assert.equal(detector.isArmed(h.clock.now), false);
+    settle(h);
+
+    assert.equal(shown.length, 0);
+    const suppressed = detector.getDetectionHistory().find(event => event.type === 'suppressed');
+    assert.equal(suppressed.reason, 'not-armed');
+    assert.equal(suppressed.originalSeverity, 'high');
+});
+
+test('detection stays armed for a while after the vehicle stops', () => {
+    const { h, detector } = setup();
+
+    h.geolocation.push({ latitude: 1, longitude: 1, speed: 15 });
+    h.clock.advance(60000);
+    h.geolocation.push({ latitude: 1, longitude: 1, speed: 0 });
+    h.motion({ x: 0, y: 0, z: 7.5 });
+
+    assert.equal(detector.isArmed(h.clock.now), true);
+    assert.equal(detector.pendingImpact.severity, 'high');
+});
+
+test('a stop longer than two minutes (traffic jam, red light) keeps detection armed', () => {
+    const { h, shown, detector } = setup();
+
+    h.geolocation.push({ latitude: 1, longitude: 1, speed: 15 });
+    // Stationary fixes every 10 s for 3 minutes
+    for (let i = 0; i < 18; i++) {
+        h.clock.advance(10000);
+        h.geolocation.push({ latitude: 1, longitude: 1, speed: 0 });
+    }
+
+    // 6.5g rear-end impact
+    h.motion({ x: 0, y: 0, z: 7.5 });
+    assert.equal(detector.isArmed(h.clock.now), true);
+    settle(h);
+
+    assert.equal(shown.length, 1);
+    assert.ok(!detector.getDetectionHistory().some(event => event.reason === 'not-armed'));
+});
+
+test('60 to 0 km/h around an impact raises the severity and is reported in the message', () => {
+    const { h, shown, detector } = setup();
+
+    h.geolocation.push({ latitude: 1, longitude: 1, speed: 16.7 });
+    // 4.5g - medium on its own, high once the vehicle comes to rest
+    h.motion({ x: 0, y: 0, z: 5.5 }, 500);
+    h.clock.advance(1000);
+    h.geolocation.push({ latitude: 1, longitude: 1, speed: 0 });
+    settle(h);
+
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].severity, 'critical');
+    assert.equal(shown[0].details.confirmation.outcome, 'stationary');
+    assert.equal(shown[0].details.deceleration.duration, 1500);
+    assert.ok(detector.getDetectionHistory().some(event => event.type === 'deceleration'));
+
+    const message = h.get('emergencyHandler').prepareEmergencyMessage(
+        shown[0].severity, { latitude: 1, longitude: 1 }, shown[0].details);
+    assert.match(message, /Speed: 60 → 0 km\/h in 1\.5s/);
+});
+
+test('a gentle stop is not treated as a sudden deceleration', () => {
+    const { h, shown } = setup();
+
+    h.geolocation.push({ latitude: 1, longitude: 1, speed: 8 });
+    h.motion({ x: 0, y: 0, z: 5.5 }, 500);
+    h.clock.advance(1000);
+    h.geolocation.push({ latitude: 1, longitude: 1, speed: 1 });
+    settle(h);
+
+    assert.equal(shown[0].severity, 'medium');
+    assert.equal(shown[0].details.deceleration, undefined);
+    assert.equal(shown[0].details.fusion.factors.some(factor => factor.name === 'speedChange'), false);
+});
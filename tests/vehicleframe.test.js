@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, G } = require('./harness');
+
+// The phone lies face up, turned so the top of the screen points at the passenger door:
+// vehicle forward is device -x and vehicle left is device -y
+function setup() {
+    const h = createHarness();
+    const detector = h.startDetection();
+    h.clock.advance(2100);
+    return { h, detector, sensors: h.get('sensorManager') };
+}
+
+// Feeds 10 motion samples and one GPS fix per second. accel in m/s² along the road,
+// turn in degrees per second (positive = right).
+function drive(h, phases) {
+    let speed = 15;
+    let heading = 0;
+    h.geolocation.push({ latitude: 40.7128, longitude: -74.006, speed, heading });
+
+    phases.forEach(({ seconds, accel = 0, turn = 0 }) => {
+        for (let s = 0; s < seconds; s++) {
+            const lateral = -speed * turn * Math.PI / 180;
+            for (let i = 0; i < 10; i++) {
+                h.motion({ x: -accel / G, y: -lateral / G, z: 1 }, 100);
+            }
+            speed += accel;
+            heading = (heading + turn + 360) % 360;
+            h.geolocation.push({ latitude: 40.7128, longitude: -74.006, speed, heading });
+        }
+    });
+}
+
+const NORMAL_DRIVE = [
+    { seconds: 4, accel: 1.5 },
+    { seconds: 4, accel: -1.5 },
+    { seconds: 3, turn: 10 },
+    { seconds: 3, turn: -10 },
+    { seconds: 5 }
+];
+
+test('the mount orientation is learned from GPS speed and heading changes', () => {
+    const { h, sensors } = setup();
+
+    assert.equal(sensors.vehicleFrame.isReady(), false);
+    drive(h, NORMAL_DRIVE);
+
+    const status = sensors.vehicleFrame.getStatus();
+    assert.equal(status.ready, true);
+    assert.ok(status.consistency > 0.9);
+    assert.ok(status.forward.x < -0.99, `forward ${JSON.stringify(status.forward)}`);
+});
+
+test('accelerations are exposed along the vehicle axes once learned', () => {
+    const { h, sensors } = setup();
+    drive(h, NORMAL_DRIVE);
+
+    // Gentle braking with a slight left turn
+    h.motion({ x: 0.3, y: -0.1, z: 1 });
+    const axes = sensors.getSensorData().vehicleAcceleration;
+
+    assert.ok(Math.abs(axes.longitudinal + 0.3) < 0.05, `longitudinal ${axes.longitudinal}`);
+    assert.ok(Math.abs(axes.lateral - 0.1) < 0.05, `lateral ${axes.lateral}`);
+    assert.ok(Math.abs(axes.vertical) < 0.05);
+});
+
+test('a frontal impact is reported as coming from 12 o\'clock', () => {
+    const { h, detector } = setup();
+    drive(h, NORMAL_DRIVE);
+
+    h.motion({ x: 6, y: 0, z: 1 });
+
+    const direction = detector.pendingImpact.details.direction;
+    assert.equal(direction.from, 'front');
+    assert.equal(direction.clock, 12);
+    assert.ok(direction.longitudinal < -5.5);
+});
+
+test('side and rear impacts are told apart', () => {
+    const classify = (h, acceleration) => h.get('classifyImpactDirection')(acceleration, 6);
+    const h = createHarness();
+
+    // Pushed to the right = hit from the left
+    assert.equal(classify(h, { longitudinal: 0, lateral: -6, vertical: 0 }).from, 'left');
+    assert.equal(classify(h, { longitudinal: 0, lateral: -6, vertical: 0 }).clock, 9);
+    assert.equal(classify(h, { longitudinal: 0, lateral: 6, vertical: 0 }).clock, 3);
+    assert.equal(classify(h, { longitudinal: 6, lateral: 0, vertical: 0 }).from, 'rear');
+    assert.equal(classify(h, { longitudinal: -1, lateral: 0, vertical: 6 }).from, 'below');
+});
+
+test('before the mount is learned only vertical impacts get a direction', () => {
+    const { h, detector } = setup();
+    h.geolocation.push({ latitude: 40.7128, longitude: -74.006, speed: 15 });
+
+    h.motion({ x: 6, y: 0, z: 1 });
+    assert.equal(detector.pendingImpact.details.direction.from, 'unknown');
+    assert.equal(detector.pendingImpact.details.direction.longitudinal, null);
+
+    const classify = h.get('classifyImpactDirection');
+    assert.equal(classify({ longitudinal: null, lateral: null, vertical: -6 }, 6.2).from, 'above');
+});
+
+test('the alert screen shows the impact direction with the crash type', () => {
+    const { h } = setup();
+    const shown = h.captureAlerts();
+    drive(h, NORMAL_DRIVE);
+
+    h.motion({ x: 6, y: 0, z: 1 });
+    h.clock.advance(5500);
+
+    assert.equal(shown.length, 1);
+    assert.equal(h.document.getElementById('alertDirection').textContent,
+        '💥 Frontal collision - from the front (12 o\'clock)');
+});
@@ -0,0 +1,152 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createHarness, flush } = require('./harness');
+const { createStubServer, parseArgs } = require('../tools/webhook-stub');
+
+// Real network round trips finish outside the fake clock
+async function waitFor(predicate, timeout = 3000) {
+    const started = Date.now();
+    while (!predicate()) {
+        if (Date.now() - started > timeout) throw new Error('timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+// Alert details as the detector hands them over: classified crash type, profile and incident
+function detectedAlert(h, severity, impact) {
+    const shown = h.captureAlerts();
+    h.get('accidentDetector').triggerAccidentAlert(severity, Object.assign({ impactForce: 6.5 }, impact), h.clock.now);
+    return shown[0];
+}
+
+async function startStub(options = {}) {
+    const lines = [];
+    const server = createStubServer(Object.assign({ log: line => lines.push(line) }, options));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, lines, url: `http://127.0.0.1:${server.address().port}/alerts` };
+}
+
+test('the alert is posted as the documented payload with the auth header', async () => {
+    const h = createHarness();
+    const posted = [];
+    h.context.fetch = (url, options) => {
+        posted.push({ url, options });
+        return Promise.resolve({ ok: true, status: 200 });
+    };
+    h.get('webhookChannel').configure({ url: 'https://backend.example/alerts', authValue: 'Bearer s3cret' });
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12, accuracy: 8 });
+
+    const emergency = h.context.emergencyHandler;
+    const alert = detectedAlert(h, 'critical', { direction: { from: 'front', clock: 12 } });
+    await emergency.sendAlert(alert.severity, alert.details);
+    await flush();
+
+    assert.equal(posted.length, 1);
+    assert.equal(posted[0].url, 'https://backend.example/alerts');
+    assert.equal(posted[0].options.method, 'POST');
+    assert.equal(posted[0].options.headers.Authorization, 'Bearer s3cret');
+
+    const payload = JSON.parse(posted[0].options.body);
+    const [incident] = await h.get('incidentStore').getIncidents();
+    assert.equal(payload.version, 1);
+    assert.equal(payload.type, 'emergency');
+    assert.deepEqual(payload.incident, {
+        id: incident.id,
+        severity: 'critical',
+        crashType: 'frontal',
+        direction: 'from the front (12 o\'clock)',
+        clock: 12,
+        profile: 'car',
+        impactForce: 6.5,
+        confidence: null
+    });
+    assert.deepEqual(payload.location, {
+        latitude: 51.5, longitude: -0.12, accuracy: 8, mapUrl: 'https://www.google.com/maps?q=51.5,-0.12'
+    });
+    assert.match(payload.message, /Severity: CRITICAL/);
+    assert.equal(payload.emergencyNumber, '911');
+    assert.ok(emergency.notifiedServices.includes('Webhook: sent'));
+});
+
+test('webhook settings are validated and saved from the form', () => {
+    const h = createHarness();
+    const webhook = h.get('webhookChannel');
+    const field = id => h.document.getElementById(id);
+
+    assert.throws(() => webhook.configure({ url: 'ftp://backend.example' }), /must start with http/);
+    assert.throws(() => webhook.configure({ url: 'https://backend.example', authHeader: 'X Key' }), /Auth header name/);
+
+    field('webhookUrl').value = ' https://backend.example/alerts ';
+    field('webhookAuthHeader').value = 'X-Api-Key';
+    field('webhookAuthValue').value = 'k3y';
+    h.run('saveWebhookForm()');
+
+    assert.deepEqual({ ...webhook.getConfig() }, {
+        url: 'https://backend.example/alerts', authHeader: 'X-Api-Key', authValue: 'k3y'
+    });
+    assert.equal(field('webhookStatus').textContent, 'Saved');
+    assert.match(h.localStorage.getItem('vadChannels'), /X-Api-Key/);
+});
+
+test('the stub server receives and logs an alert end to end', async (t) => {
+    const { server, lines, url } = await startStub({ token: 'stub-token' });
+    t.after(() => server.close());
+
+    const h = createHarness();
+    h.context.fetch = fetch;
+    h.get('webhookChannel').configure({ url, authValue: 'Bearer stub-token' });
+    h.geolocation.push({ latitude: 51.5, longitude: -0.12, accuracy: 8 });
+
+    const emergency = h.context.emergencyHandler;
+    const alert = detectedAlert(h, 'high', { direction: { from: 'rear', clock: 6 } });
+    await emergency.sendAlert(alert.severity, alert.details);
+    await waitFor(() => emergency.notifiedServices.includes('Webhook: sent'));
+
+    assert.equal(server.received.length, 1);
+    assert.equal(server.received[0].incident.severity, 'high');
+    assert.match(lines[0], /\/alerts type=emergency incident=\S+ severity=high crashType=rear-end clock=6 location=51.5,-0.12 \(±8m\)/);
+});
+
+test('the stub rejects a wrong token and the test button reports it', async (t) => {
+    const { server, url } = await startStub({ token: 'stub-token' });
+    t.after(() => server.close());
+
+    const h = createHarness();
+    h.context.fetch = fetch;
+    h.get('webhookChannel').configure({ url, authValue: 'Bearer wrong' });
+
+    const result = await h.run('testWebhook()');
+
+    assert.deepEqual({ ...result }, { status: 'failed', detail: 'HTTP 401' });
+    assert.equal(h.document.getElementById('webhookStatus').textContent, '✗ Test failed - HTTP 401');
+    assert.equal(server.received.length, 0);
+    const logged = h.logs.find(entry => entry.message === 'Webhook test: failed (HTTP 401)');
+    assert.equal(logged.module, 'webhook');
+    assert.equal(logged.level, 'warning');
+    assert.deepEqual({ ...logged.fields }, { status: 'failed', detail: 'HTTP 401' });
+
+    h.get('webhookChannel').configure({ url, authValue: 'Bearer stub-token' });
+    const configured = h.logs.filter(entry => entry.message === `Webhook set to ${url}`).pop();
+    assert.equal(configured.fields.authenticated, true);
+    assert.ok(!JSON.stringify(configured.fields).includes('stub-token'));
+    assert.equal((await h.run('testWebhook()')).status, 'sent');
+    assert.equal(server.received[0].type, 'test');
+});
+
+test('the stub checks a custom auth header against the bare token', async (t) => {
+    const options = parseArgs(['--token', 'secret', '--header', 'X-Api-Key', '--port', '0']);
+    assert.equal(options.header, 'X-Api-Key');
+    const { server, url } = await startStub(options);
+    t.after(() => server.close());
+
+    const h = createHarness();
+    h.context.fetch = fetch;
+    const webhook = h.get('webhookChannel');
+
+    webhook.configure({ url, authValue: 'Bearer secret' });
+    assert.deepEqual({ ...await h.run('testWebhook()') }, { status: 'failed', detail: 'HTTP 401' });
+
+    webhook.configure({ url, authHeader: 'X-Api-Key', authValue: 'secret' });
+    assert.equal((await h.run('testWebhook()')).status, 'sent');
+    assert.equal(server.received.length, 1);
+});
@@ -0,0 +1,128 @@
+// Webhook stub server
+// Receives the JSON alerts the Webhook channel POSTs and logs them, so the whole flow can
+// be tried on one machine with no outside services:
+//
+//   node tools/webhook-stub.js [--port 8787] [--token secret] [--header X-Api-Key] [--out alerts.jsonl]
+//
+// Then set the webhook URL in Settings to http://<this machine>:8787/alerts and, with
+// --token, the auth value to "Bearer secret" - or, with --header, the auth header to that
+// name and the auth value to the token itself.
+const http = require('http');
+const fs = require('fs');
+
+const MAX_BODY = 1024 * 1024;
+
+function summarize(payload) {
+    const incident = payload.incident || {};
+    const location = payload.location;
+    return [
+        `type=${payload.type}`,
+        incident.id ? `incident=${incident.id}` : null,
+        incident.severity ? `severity=${incident.severity}` : null,
+        incident.crashType ? `crashType=${incident.crashType}` : null,
+        incident.clock ? `clock=${incident.clock}` : null,
+        location ? `location=${location.latitude},${location.longitude} (±${location.accuracy}m)` : 'location=none'
+    ].filter(Boolean).join(' ');
+}
+
+// The auth header and value the stub expects: "Authorization: Bearer <token>" by default,
+// the bare token under any other header name
+function expectedAuth(options) {
+    const header = (options.header || 'Authorization').toLowerCase();
+    return {
+        header: header,
+        value: header === 'authorization' ? `Bearer ${options.token}` : options.token
+    };
+}
+
+// options: { token, header, out, log } - log defaults to console.log
+function createStubServer(options = {}) {
+    const log = options.log || console.log;
+    const received = [];
+    const auth = expectedAuth(options);
+
+    const server = http.createServer((req, res) => {
+        // The app is served from another origin, so answer the CORS preflight
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || 'Content-Type, Authorization');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const reply = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method === 'GET') {
+            reply(200, { received: received.length, payloads: received });
+            return;
+        }
+        if (req.method !== 'POST') {
+            reply(405, { error: 'POST alerts to any path' });
+            return;
+        }
+        if (options.token && req.headers[auth.header] !== auth.value) {
+            log(`[${new Date().toISOString()}] rejected ${req.url} - missing or wrong auth`);
+            reply(401, { error: 'unauthorized' });
+            return;
+        }
+
+        let body = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > MAX_BODY) {
+                reply(413, { error: 'payload too large' });
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            let payload;
+            try {
+                payload = JSON.parse(body);
+            } catch (error) {
+                reply(400, { error: 'body is not JSON' });
+                return;
+            }
+
+            received.push(payload);
+            log(`[${new Date().toISOString()}] ${req.url} ${summarize(payload)}`);
+            log(JSON.stringify(payload, null, 2));
+            if (options.out) {
+                fs.appendFileSync(options.out, JSON.stringify(payload) + '\n');
+            }
+            reply(200, { ok: true, received: received.length });
+        });
+    });
+
+    server.received = received;
+    return server;
+}
+
+function parseArgs(argv) {
+    const options = { port: 8787 };
+    for (let i = 0; i < argv.length; i += 2) {
+        const value = argv[i + 1];
+        if (argv[i] === '--port') options.port = Number(value);
+        else if (argv[i] === '--token') options.token = value;
+        else if (argv[i] === '--header') options.header = value;
+        else if (argv[i] === '--out') options.out = value;
+        else throw new Error(`Unknown option ${argv[i]}`);
+    }
+    return options;
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    createStubServer(options).listen(options.port, () => {
+        console.log(`Webhook stub listening on http://0.0.0.0:${options.port}/alerts` +
+            `${options.token ? ` (${options.header || 'Authorization: Bearer'} token required)` : ''}`);
+    });
+}
+
+module.exports = { createStubServer, summarize, parseArgs };
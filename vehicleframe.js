@@ -0,0 +1,134 @@
+// Vehicle Frame Module
+// Estimates how the phone sits in its mount so accelerations can be read along the
+// vehicle's axes: longitudinal (forward +), lateral (left +) and vertical (up +).
+// Up comes from gravity; forward from matching the phone's horizontal acceleration
+// against the speed and heading changes GPS reports during normal driving.
+const vehicleFrameLog = logger.module('sensors');
+
+class VehicleFrameEstimator {
+    constructor() {
+        this.gravityTimeConstant = 20000;  // ms - slow enough that braking and cornering don't tilt "up"
+        this.minSpeed = 5;                 // m/s - GPS heading is noise when crawling
+        this.minAcceleration = 0.5;        // m/s² (~0.05g) of GPS-derived acceleration before a fix pair counts
+        this.maxFixGap = 3000;             // ms between the two fixes
+        this.minSamples = 10;              // Fix pairs before the estimate is trusted
+        this.minConsistency = 0.6;         // How well the fix pairs agree on forward (0-1)
+        this.decay = 0.97;                 // Older fix pairs fade so a re-seated phone is relearned
+        this.remountAngle = 30;            // degrees "up" may move before starting over
+
+        this.reset();
+    }
+
+    reset(gravity = { x: 0, y: 0, z: 9.81 }) {
+        this.gravity = Object.assign({}, gravity);
+        this.learnedUp = null;
+        this.forwardSum = { x: 0, y: 0, z: 0 };
+        this.weightSum = 0;
+        this.samples = 0;
+        this.lastFix = null;
+        this.interval = { sum: { x: 0, y: 0, z: 0 }, count: 0 };
+    }
+
+    // raw: acceleration including gravity (m/s²) from every motion sample
+    addMotion(raw, dt) {
+        const alpha = dt / (this.gravityTimeConstant + dt);
+        this.gravity = addVectors(this.gravity, scaleVector(subtractVectors(raw, this.gravity), alpha));
+
+        this.interval.sum = addVectors(this.interval.sum, raw);
+        this.interval.count++;
+    }
+
+    // fix: GPSTracker fix with speed (m/s) and heading (degrees clockwise from north)
+    addFix(fix) {
+        const previous = this.lastFix;
+        const interval = this.interval;
+        this.lastFix = fix;
+        this.interval = { sum: { x: 0, y: 0, z: 0 }, count: 0 };
+
+        if (!previous || fix.speed === null || previous.speed === null || interval.count === 0) return;
+
+        const elapsed = fix.timestamp - previous.timestamp;
+        const speed = (fix.speed + previous.speed) / 2;
+        if (elapsed <= 0 || elapsed > this.maxFixGap || speed < this.minSpeed) return;
+
+        const seconds = elapsed / 1000;
+        const longitudinal = (fix.speed - previous.speed) / seconds;
+        let lateral = 0;
+        if (fix.heading !== null && previous.heading !== null) {
+            // Turning right (heading increasing) pulls the vehicle to the right
+            const turn = ((fix.heading - previous.heading + 540) % 360) - 180;
+            lateral = -speed * (turn * Math.PI / 180) / seconds;
+        }
+        if (Math.hypot(longitudinal, lateral) < this.minAcceleration) return;
+
+        const up = this.up();
+        if (this.learnedUp && angleBetween(up, this.learnedUp) > this.remountAngle) {
+            vehicleFrameLog.info('Phone moved in its mount - relearning vehicle orientation',
+                { angle: angleBetween(up, this.learnedUp), samples: this.samples });
+            this.forwardSum = { x: 0, y: 0, z: 0 };
+            this.weightSum = 0;
+            this.samples = 0;
+        }
+        this.learnedUp = up;
+
+        // Gravity has no horizontal part, so the mean raw reading over the interval gives the
+        // vehicle's horizontal acceleration. If it is aL·forward + aT·left with left = up × forward,
+        // then aL·measured − aT·(up × measured) = (aL² + aT²)·forward.
+        const measured = horizontalComponent(scaleVector(interval.sum, 1 / interval.count), up);
+        const term = subtractVectors(
+            scaleVector(measured, longitudinal),
+            scaleVector(crossProduct(up, measured), lateral)
+        );
+
+        this.forwardSum = addVectors(scaleVector(this.forwardSum, this.decay), term);
+        this.weightSum = this.weightSum * this.decay + vectorMagnitude(term);
+        this.samples++;
+    }
+
+    up() {
+        return normalizeVector(this.gravity);
+    }
+
+    // 1 when every fix pair pointed the same way, near 0 when they cancel out
+    consistency() {
+        return this.weightSum > 0 ? vectorMagnitude(this.forwardSum) / this.weightSum : 0;
+    }
+
+    isReady() {
+        return this.samples >= this.minSamples && this.consistency() >= this.minConsistency;
+    }
+
+    // Unit forward vector in device coordinates, or null until learned
+    forward() {
+        if (!this.isReady()) return null;
+        return normalizeVector(horizontalComponent(this.forwardSum, this.up()));
+    }
+
+    // linear: gravity-free acceleration (m/s²) in device coordinates. Vertical is always
+    // known; longitudinal and lateral stay null until the mount has been learned.
+    toVehicle(linear) {
+        const up = this.up();
+        const forward = this.forward();
+        const vertical = dotProduct(linear, up) / 9.81;
+        if (!forward) {
+            return { longitudinal: null, lateral: null, vertical: vertical };
+        }
+
+        const left = crossProduct(up, forward);
+        return {
+            longitudinal: dotProduct(linear, forward) / 9.81,
+            lateral: dotProduct(linear, left) / 9.81,
+            vertical: vertical
+        };
+    }
+
+    getStatus() {
+        return {
+            ready: this.isReady(),
+            samples: this.samples,
+            consistency: this.consistency(),
+            forward: this.forward(),
+            up: this.up()
+        };
+    }
+}
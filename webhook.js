@@ -0,0 +1,365 @@
+// Webhook Module
+// Sends alerts as JSON to a self-hosted emergency backend - the one channel that gets an
+// alert off the phone without anyone tapping send. Alerts go through the outbox so they are
+// retried until delivered. The payload is documented in the README and
+// tools/webhook-stub.js receives it locally for testing.
+const WEBHOOK_PAYLOAD_VERSION = 1;
+const WEBHOOK_TIMEOUT = 10000;   // ms before a test POST counts as failed
+const webhookLog = logger.module('webhook');
+
+class WebhookChannel {
+    constructor() {
+        // Outbox entries whose first attempt is reported as the channel result
+        this.inFlight = new Set();
+    }
+
+    // { url, authHeader, authValue } - stored with the other channel settings
+    getConfig() {
+        return Object.assign({ url: '', authHeader: 'Authorization', authValue: '' }, channelRegistry.getConfig('webhook'));
+    }
+
+    // Returns the normalized config or throws if it can't be used
+    validate(config) {
+        const url = String(config.url || '').trim();
+        const authHeader = String(config.authHeader || '').trim() || 'Authorization';
+        const authValue = String(config.authValue || '').trim();
+
+        if (url && !/^https?:\/\/[^\s/?#]+[^\s]*$/i.test(url)) {
+            throw new Error('Webhook URL must start with http:// or https://');
+        }
+        if (!/^[A-Za-z0-9-]+$/.test(authHeader)) {
+            throw new Error('Auth header name may only contain letters, digits and dashes');
+        }
+
+        return { url, authHeader, authValue };
+    }
+
+    configure(config) {
+        const validated = this.validate(config);
+        channelRegistry.configure('webhook', validated);
+        // The auth value is a secret - only log whether one is set
+        webhookLog.info(validated.url ? `Webhook set to ${validated.url}` : 'Webhook removed', {
+            url: validated.url,
+            authHeader: validated.authHeader,
+            authenticated: Boolean(validated.authValue)
+        });
+        return validated;
+    }
+
+    isConfigured() {
+        return typeof fetch === 'function' && Boolean(this.getConfig().url);
+    }
+
+    // The documented JSON body - request.alert carries the incident being reported and
+    // request.type says what kind of message it is (emergency, location-update, resolution)
+    buildPayload(request, type = request.type || 'emergency') {
+        const alert = request.alert || {};
+        const details = alert.details || {};
+        const crashType = details.crashType || null;
+        const location = request.location && !request.location.unavailable ? request.location : null;
+
+        const payload = {
+            version: WEBHOOK_PAYLOAD_VERSION,
+            type: type,
+            sentAt: new Date().toISOString(),
+            incident: {
+                id: alert.incidentId || null,
+                severity: alert.severity || null,
+                // classifyCrash result split into plain fields
+                crashType: crashType ? crashType.type : null,
+                direction: crashType ? crashType.direction : null,
+                clock: crashType ? finiteOrNull(crashType.clock) : null,
+                profile: details.profileId || null,
+                impactForce: finiteOrNull(details.impactForce),
+                confidence: details.fusion ? finiteOrNull(details.fusion.confidence) : null
+            },
+            location: location ? {
+                latitude: location.latitude,
+                longitude: location.longitude,
+                accuracy: finiteOrNull(location.accuracy),
+                mapUrl: gpsTracker.getGoogleMapsUrl(location.latitude, location.longitude)
+            } : null,
+            message: request.message || '',
+            emergencyNumber: emergencyHandler.getEmergencyNumber(),
+            device: {
+                userAgent: navigator.userAgent
+            }
+        };
+
+        // Live location updates also say how the user is moving and how long their phone lasts
+        if (request.session) {
+            const battery = request.battery;
+            payload.tracking = {
+                sequence: request.session.sequence,
+                startedAt: request.session.startedAt,
+                endsAt: request.session.endsAt,
+                fixedAt: location && location.timestamp ? new Date(location.timestamp).toISOString() : null,
+                speed: location ? finiteOrNull(location.speed) : null,
+                heading: location ? finiteOrNull(location.heading) : null,
+                battery: battery ? { level: finiteOrNull(battery.level), charging: Boolean(battery.charging) } : null
+            };
+        }
+
+        if (request.resolution) {
+            payload.resolution = { outcome: request.resolution.outcome, label: request.resolution.label };
+        }
+        return payload;
+    }
+
+    headers() {
+        const config = this.getConfig();
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.authValue) {
+            headers[config.authHeader] = config.authValue;
+        }
+        return headers;
+    }
+
+    // Queues the payload and makes the first attempt. Resolves to a channel result -
+    // 'sent' on any 2xx response, 'failed' with the reason otherwise.
+    async send(request) {
+        const payload = this.buildPayload(request);
+        const entry = await outbox.enqueue({
+            url: this.getConfig().url,
+            headers: this.headers(),
+            body: JSON.stringify(payload),
+            type: payload.type,
+            incidentId: payload.incident.id
+        });
+
+        this.inFlight.add(entry.id);
+        const attempted = await outbox.deliver(entry).finally(() => this.inFlight.delete(entry.id));
+
+        if (attempted.status === 'delivered') return 'sent';
+        if (attempted.status === 'pending') {
+            scheduleOutbox();
+            requestOutboxSync();
+            // No error yet when the page's retry or the service worker got to it first
+            return { status: 'failed', detail: `${attempted.lastError || 'already sending'} - queued for retry` };
+        }
+        return { status: 'failed', detail: attempted.lastError };
+    }
+
+    // Direct POST that is never queued - for the Settings test
+    async post(payload) {
+        const config = this.getConfig();
+        const controller = typeof AbortController === 'function' ? new AbortController() : null;
+        const timer = setTimeout(() => controller && controller.abort(), WEBHOOK_TIMEOUT);
+
+        try {
+            const response = await fetch(config.url, {
+                method: 'POST',
+                headers: this.headers(),
+                body: JSON.stringify(payload),
+                signal: controller ? controller.signal : undefined
+            });
+            return response.ok ? 'sent' : { status: 'failed', detail: `HTTP ${response.status}` };
+        } catch (error) {
+            return { status: 'failed', detail: error.name === 'AbortError' ? 'timed out' : error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Posts a 'test' payload so the backend can be checked from Settings
+    sendTest() {
+        return this.post(this.buildPayload({
+            message: 'Test alert from Vehicle Accident Detection - no action needed',
+            location: gpsTracker.currentPosition
+        }, 'test'));
+    }
+}
+
+// Global functions for button handlers
+function fillWebhookForm() {
+    const config = webhookChannel.getConfig();
+    const set = (id, value) => {
+        const element = document.getElementById(id);
+        if (element) element.value = value;
+    };
+
+    set('webhookUrl', config.url);
+    set('webhookAuthHeader', config.authHeader);
+    set('webhookAuthValue', config.authValue);
+}
+
+function readWebhookForm() {
+    const value = id => {
+        const element = document.getElementById(id);
+        return element ? element.value : '';
+    };
+
+    return {
+        url: value('webhookUrl'),
+        authHeader: value('webhookAuthHeader'),
+        authValue: value('webhookAuthValue')
+    };
+}
+
+function showWebhookStatus(text) {
+    const element = document.getElementById('webhookStatus');
+    if (element) element.textContent = text;
+}
+
+function saveWebhookForm() {
+    try {
+        const config = webhookChannel.configure(readWebhookForm());
+        fillWebhookForm();
+        showWebhookStatus(config.url ? 'Saved' : 'Webhook removed');
+    } catch (error) {
+        webhookLog.error(`Could not save webhook: ${error.message}`);
+        alert(error.message);
+    }
+}
+
+// Outbox on the page: retries when the next entry is due and when coverage returns, and
+// hands over to Background Sync so retries carry on after the page is closed
+let outboxTimer = null;
+
+async function processOutbox(force = false) {
+    clearTimeout(outboxTimer);
+    outboxTimer = null;
+
+    const summary = await outbox.flush(force);
+    await scheduleOutbox();
+    renderOutbox();
+    return summary;
+}
+
+async function scheduleOutbox() {
+    const next = await outbox.nextAttemptAt();
+    if (next === null || !outbox.isOnline()) return;
+
+    clearTimeout(outboxTimer);
+    outboxTimer = setTimeout(() => processOutbox(), Math.max(0, next - Date.now()));
+}
+
+// Offline support and Background Sync for the outbox both need the service worker
+function registerServiceWorker() {
+    if (!navigator.serviceWorker) return Promise.resolve(null);
+
+    return navigator.serviceWorker.register('./sw.js')
+        .then((registration) => {
+            outboxLog.info('Service worker registered', { scope: registration.scope });
+            return registration;
+        })
+        .catch((error) => {
+            outboxLog.warning(`Service worker not registered - ${error.message}`);
+            return null;
+        });
+}
+
+function requestOutboxSync() {
+    if (!navigator.serviceWorker) return Promise.resolve(false);
+
+    return navigator.serviceWorker.ready
+        .then(registration => registration.sync
+            ? registration.sync.register(OUTBOX_SYNC_TAG).then(() => true)
+            : false)
+        .catch(() => false);
+}
+
+// Retries finish after the channel result was reported - note them on the incident
+function recordOutboxEntry(entry) {
+    renderOutbox();
+    if (webhookChannel.inFlight.has(entry.id) || entry.status === 'pending' || !entry.incidentId) return;
+
+    const delivered = entry.status === 'delivered';
+    const active = emergencyHandler.activeAlert && emergencyHandler.activeAlert.incidentId === entry.incidentId;
+    if (active) {
+        emergencyHandler.notifiedServices.push(delivered
+            ? `Webhook: sent (attempt ${entry.attempts})`
+            : `Webhook: failed (${entry.lastError})`);
+        emergencyHandler.renderNotifiedServices();
+    }
+
+    incidentStore.update(entry.incidentId, active ? { notifiedServices: emergencyHandler.notifiedServices.slice() } : {}, {
+        event: delivered ? 'webhook-delivered' : 'webhook-failed',
+        type: entry.type,
+        attempts: entry.attempts
+    });
+}
+
+async function renderOutbox() {
+    const status = document.getElementById('outboxStatus');
+    const list = document.getElementById('outboxList');
+    if (!status && !list) return;
+
+    const entries = await outbox.getEntries();
+    const counts = { delivered: 0, pending: 0, failed: 0 };
+    entries.forEach(entry => {
+        counts[entry.status]++;
+    });
+
+    if (status) {
+        status.textContent = `Outbox: ${counts.pending} waiting · ${counts.delivered} delivered · ${counts.failed} failed`;
+    }
+    if (list) {
+        list.innerHTML = entries.slice(-5).reverse().map(entry => {
+            const detail = entry.status === 'pending'
+                ? `retry at ${new Date(entry.nextAttemptAt).toLocaleTimeString()}`
+                : entry.status === 'delivered' ? `after ${entry.attempts} attempt(s)` : entry.lastError;
+            return `<li class="outbox-entry ${entry.status}">${new Date(entry.createdAt).toLocaleTimeString()} ` +
+                `${escapeHtml(entry.type)}: ${entry.status}${detail ? ` - ${escapeHtml(detail)}` : ''}</li>`;
+        }).join('');
+    }
+}
+
+async function retryOutbox() {
+    await outbox.retryFailed();
+    return processOutbox(true);
+}
+
+async function testWebhook() {
+    if (!webhookChannel.isConfigured()) {
+        showWebhookStatus('Save a webhook URL first');
+        return null;
+    }
+
+    showWebhookStatus('Sending test...');
+    const outcome = await webhookChannel.sendTest();
+    const result = typeof outcome === 'string' ? { status: outcome, detail: '' } : outcome;
+    showWebhookStatus(result.status === 'sent' ? '✓ Test delivered' : `✗ Test failed - ${result.detail}`);
+    const log = result.status === 'sent' ? webhookLog.info : webhookLog.warning;
+    log(`Webhook test: ${result.status}${result.detail ? ` (${result.detail})` : ''}`,
+        { status: result.status, detail: result.detail });
+    return result;
+}
+
+// Create global instance and register it as a notification channel
+const webhookChannel = new WebhookChannel();
+
+channelRegistry.register({
+    id: 'webhook',
+    label: 'Webhook',
+    icon: '🌐',
+    description: 'POSTs the alert as JSON to your own server',
+    capabilities: { recipient: null, automatic: true, location: true },
+    isSupported: () => webhookChannel.isConfigured(),
+    send: (request) => webhookChannel.send(request)
+});
+
+outbox.callbacks.push(entry => recordOutboxEntry(entry));
+
+window.addEventListener('load', () => {
+    fillWebhookForm();
+
+    registerServiceWorker();
+
+    // Deliveries made by the service worker while the page was away
+    if (navigator.serviceWorker) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'outbox') {
+                outbox.callbacks.forEach(callback => callback(event.data.entry));
+            }
+        });
+    }
+
+    // Anything left from an earlier session goes out now
+    processOutbox();
+});
+
+// Coverage is back - don't wait for the backoff
+window.addEventListener('online', () => {
+    processOutbox(true);
+});